@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "dev"."User" ADD COLUMN "lockedUntil" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "User_deletedAt_idx" ON "dev"."User"("deletedAt");
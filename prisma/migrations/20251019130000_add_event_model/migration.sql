@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "dev"."Event" (
+    "id" SERIAL NOT NULL,
+    "topic" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Event_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Event_topic_id_idx" ON "dev"."Event"("topic", "id");
+
+-- CreateIndex
+CREATE INDEX "Event_createdAt_idx" ON "dev"."Event"("createdAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "dev"."ApiRequest" ADD COLUMN     "requestId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ApiRequest_requestId_idx" ON "dev"."ApiRequest"("requestId");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "dev"."ApiRequest" ADD COLUMN     "operationName" TEXT,
+ADD COLUMN     "operationType" TEXT,
+ADD COLUMN     "resolverErrorCount" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "ApiRequest_operationName_idx" ON "dev"."ApiRequest"("operationName");
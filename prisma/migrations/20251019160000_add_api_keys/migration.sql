@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "dev"."ApiKey" (
+    "id" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "createdById" UUID,
+    "expiresAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "lastUsedIp" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ApiKey_keyHash_key" ON "dev"."ApiKey"("keyHash");
+
+-- CreateIndex
+CREATE INDEX "ApiKey_createdById_idx" ON "dev"."ApiKey"("createdById");
+
+-- AddForeignKey
+ALTER TABLE "dev"."ApiKey" ADD CONSTRAINT "ApiKey_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "dev"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "dev"."RateLimit" (
+    "key" TEXT NOT NULL,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "resetAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RateLimit_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "RateLimit_resetAt_idx" ON "dev"."RateLimit"("resetAt");
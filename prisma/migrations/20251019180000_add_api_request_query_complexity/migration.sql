@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "dev"."ApiRequest" ADD COLUMN     "queryCost" INTEGER,
+ADD COLUMN     "queryDepth" INTEGER;
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "dev"."PersistedQuery" (
+    "key" TEXT NOT NULL,
+    "query" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PersistedQuery_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "PersistedQuery_expiresAt_idx" ON "dev"."PersistedQuery"("expiresAt");
@@ -8,6 +8,44 @@ import TimeUtils from '../utils/timeUtils.js';
 // Load environment variables from .env file
 dotenv.config();
 
+/**
+ * Merge rate limit tiers overridden in RATE_LIMIT_TIERS into the defaults
+ * @param {Object} defaults - Default tiers by route group
+ * @param {string} [json] - JSON object of groups, each group is merged with its defaults
+ * @returns {Object} Tiers by route group
+ * @throws {Error} If RATE_LIMIT_TIERS is not a JSON object, the server must not start with other limits than configured
+ */
+export const mergeRateLimitTiers = (defaults, json) => {
+    if (!json) return defaults;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(json);
+    } catch {
+        overrides = null;
+    }
+
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error(`Invalid RATE_LIMIT_TIERS, expected a JSON object: ${json}`);
+    }
+
+    return Object.fromEntries(
+        [...new Set([...Object.keys(defaults), ...Object.keys(overrides)])].map(group => {
+            const tier = defaults[group] ?? {};
+            const override = overrides[group] ?? {};
+            return [group, {
+                ...tier,
+                ...override,
+                limits: { ...tier.limits, ...override.limits },
+                operations: { ...tier.operations, ...override.operations },
+            }];
+        })
+    );
+};
+
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '15', 10) * 60 * 1000; // default 15 minutes
+const rateLimitMax = parseInt(process.env.RATE_LIMIT_MAX || '100', 10); // default 100 requests per windowMs
+
 const config = {
     // Server configuration
     port: process.env.PORT || 4000,
@@ -23,6 +61,64 @@ const config = {
         secret: process.env.JWT_SECRET || 'your-secret-key-should-be-in-env',
         accessExpiration: TimeUtils.parseTimeString(process.env.JWT_ACCESS_EXPIRATION, 3600), // Default to 1 hour
         refreshExpiration: TimeUtils.parseTimeString(process.env.JWT_REFRESH_EXPIRATION, 86400), // Default to 1 day
+        refreshGracePeriod: TimeUtils.parseTimeString(process.env.JWT_REFRESH_GRACE_PERIOD, 30), // Concurrent requests may present a just rotated token this long
+    },
+
+    // Account security
+    auth: {
+        requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true', // Block login until email is verified
+        emailVerificationExpiration: TimeUtils.parseTimeString(process.env.EMAIL_VERIFICATION_EXPIRATION, 86400), // Default to 1 day
+        verificationResendCooldown: TimeUtils.parseTimeString(process.env.VERIFICATION_RESEND_COOLDOWN, 60), // Default to 1 minute
+        passwordResetExpiration: TimeUtils.parseTimeString(process.env.PASSWORD_RESET_EXPIRATION, 3600), // Default to 1 hour
+        lockout: {
+            threshold: parseInt(process.env.LOCKOUT_THRESHOLD || '5', 10), // Failed logins before the account is locked
+            duration: TimeUtils.parseTimeString(process.env.LOCKOUT_DURATION, 900), // Default to 15 minutes, doubled on every further failure
+            maxDuration: TimeUtils.parseTimeString(process.env.LOCKOUT_MAX_DURATION, 86400), // Default to 1 day
+        },
+    },
+
+    // GraphQL subscriptions
+    pubsub: {
+        adapter: process.env.PUBSUB_ADAPTER || 'memory', // 'memory' (single instance) or 'postgres' (LISTEN/NOTIFY over DATABASE_URL)
+        bufferSize: parseInt(process.env.SUBSCRIPTION_BUFFER_SIZE || '100', 10), // Events buffered per subscriber before the overflow policy applies
+        overflow: process.env.SUBSCRIPTION_OVERFLOW_POLICY || 'drop-oldest', // 'drop-oldest', 'drop-newest' or 'disconnect'
+    },
+
+    // WebSocket subscriptions
+    websocket: {
+        requireAuth: process.env.WS_REQUIRE_AUTH === 'true', // Close unauthenticated connections at connection_init with 4403
+    },
+
+    // GraphQL query limits, operations over them are rejected with QUERY_TOO_COMPLEX (field costs: src/graphql/queryComplexity.js)
+    queryComplexity: {
+        maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH || '10', 10), // Nesting levels of fields, fragments included
+        maxCost: parseInt(process.env.GRAPHQL_MAX_COST || '1000', 10), // Cost score of an operation
+        defaultListSize: parseInt(process.env.GRAPHQL_DEFAULT_LIST_SIZE || '20', 10), // Items assumed for list fields without a configured multiplier
+    },
+
+    // Automatic persisted queries (APQ) and the operation allowlist, over HTTP and WebSocket
+    persistedQueries: {
+        enabled: process.env.PERSISTED_QUERIES_ENABLED !== 'false', // Let clients register queries by hash
+        cache: process.env.PERSISTED_QUERIES_CACHE || 'memory', // 'memory' (per instance) or 'postgres' (shared by every instance)
+        ttl: TimeUtils.parseTimeString(process.env.PERSISTED_QUERIES_TTL, 86400), // Default to 1 day before a registered query must be sent again
+        manifest: process.env.GRAPHQL_OPERATION_MANIFEST || null, // Path of the persisted query manifest of the clients
+        // Only execute operations of the manifest, on by default in production when a manifest is set
+        allowlist: process.env.GRAPHQL_ALLOWLIST
+            ? process.env.GRAPHQL_ALLOWLIST === 'true'
+            : process.env.NODE_ENV === 'production' && Boolean(process.env.GRAPHQL_OPERATION_MANIFEST),
+    },
+
+    // Persistent event log used to replay missed subscription events
+    events: {
+        retention: TimeUtils.parseTimeString(process.env.EVENT_RETENTION, 604800), // Default to 7 days of replayable events
+        retentionInterval: TimeUtils.parseTimeString(process.env.EVENT_RETENTION_INTERVAL, 3600), // Default to 1 hour
+        replayLimit: parseInt(process.env.EVENT_REPLAY_LIMIT || '1000', 10), // Maximum number of events replayed per subscription
+    },
+
+    // User lifecycle
+    users: {
+        deletedRetention: TimeUtils.parseTimeString(process.env.DELETED_USER_RETENTION, 2592000), // Default to 30 days before soft-deleted users are purged
+        purgeInterval: TimeUtils.parseTimeString(process.env.USER_PURGE_INTERVAL, 3600), // Default to 1 hour
     },
 
     // Logging configuration
@@ -32,6 +128,22 @@ const config = {
         maxFiles: process.env.LOG_MAX_FILES || '7d',
     },
 
+    // API request tracking (ApiRequest analytics)
+    apiTracking: {
+        batchSize: parseInt(process.env.API_TRACKING_BATCH_SIZE || '100', 10), // Requests written per batch
+        flushInterval: TimeUtils.parseTimeString(process.env.API_TRACKING_FLUSH_INTERVAL, 5), // Default to 5 seconds before a partial batch is written
+        maxQueued: parseInt(process.env.API_TRACKING_MAX_QUEUED || '1000', 10), // Requests kept for a retry while writes fail, the oldest are dropped beyond
+        sampleRate: parseFloat(process.env.API_TRACKING_SAMPLE_RATE || '1'), // Share of requests recorded, between 0 and 1
+        exclude: (process.env.API_TRACKING_EXCLUDE || '/api/health,/favicon.ico,*.css,*.js,*.map,*.png,*.jpg,*.svg,*.ico,*.woff,*.woff2')
+            .split(',').map(pattern => pattern.trim()).filter(Boolean), // Exact paths, `/prefix/*` or `*.extension`
+    },
+
+    // Analytics pages opened by admins in a browser
+    analytics: {
+        sessionExpiration: TimeUtils.parseTimeString(process.env.ANALYTICS_SESSION_EXPIRATION, 3600), // Default to 1 hour, lifetime of the session cookie of the pages
+        linkExpiration: TimeUtils.parseTimeString(process.env.ANALYTICS_LINK_EXPIRATION, 60), // Default to 1 minute to open the link of a new session
+    },
+
     // Email configuration
     email: {
         host: process.env.EMAIL_HOST,
@@ -46,8 +158,41 @@ const config = {
 
     // Rate limiting
     rateLimit: {
-        windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '15', 10) * 60 * 1000, // default 15 minutes
-        max: parseInt(process.env.RATE_LIMIT_MAX || '100', 10), // default 100 requests per windowMs
+        enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+        windowMs: rateLimitWindowMs,
+        max: rateLimitMax, // Anonymous clients on the REST API
+        // Requests per window by route group and role. `default` applies to anonymous clients and roles
+        // not listed, API_KEY to API keys. REST groups match by path prefix, the longest prefix wins.
+        // GraphQL counts every operation against its limits, except the operations listed in `operations`
+        // (by operation name or root field), which have their own counter and limits.
+        tiers: mergeRateLimitTiers({
+            api: {
+                path: '/api',
+                windowMs: rateLimitWindowMs,
+                limits: { default: rateLimitMax, USER: 300, MODERATOR: 500, ADMIN: 1000, SYSADMIN: 2000, API_KEY: 600 },
+            },
+            auth: {
+                path: '/api/auth',
+                windowMs: 15 * 60 * 1000,
+                limits: { default: 30, USER: 60, MODERATOR: 60, ADMIN: 120, SYSADMIN: 120 },
+            },
+            analytics: {
+                path: '/api/analytics',
+                windowMs: rateLimitWindowMs,
+                limits: { default: 20, ADMIN: 1000, SYSADMIN: 2000, API_KEY: 1000 },
+            },
+            graphql: {
+                windowMs: 60 * 1000,
+                limits: { default: 60, USER: 120, MODERATOR: 200, ADMIN: 600, SYSADMIN: 1200, API_KEY: 300 },
+                operations: {
+                    login: { default: 10 },
+                    register: { default: 5 },
+                    forgotPassword: { default: 5 },
+                    resetPassword: { default: 10 },
+                    resendVerificationEmail: { default: 5 },
+                },
+            },
+        }, process.env.RATE_LIMIT_TIERS),
     },
 
     // System User
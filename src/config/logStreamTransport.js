@@ -0,0 +1,81 @@
+import winston from 'winston';
+
+const LEVEL = Symbol.for('level');
+
+/**
+ * Winston transport fanning log records out to live listeners
+ * Feeds the logs SSE endpoint and the logStream subscription. Records are
+ * only collected while someone listens and are delivered in batches on the
+ * next turn of the event loop. Each listener gets the records at its level
+ * or more severe, like Winston's own transport levels.
+ */
+export class LogStreamTransport extends winston.Transport {
+    /**
+     * @param {Object} options - Transport options
+     * @param {Object} options.levels - Logger levels, lower is more severe
+     */
+    constructor({ levels, ...options }) {
+        super({ level: 'debug', ...options });
+        this.levels = levels;
+        this.listeners = new Set();
+        this.pending = [];
+        this.delivering = false;
+    }
+
+    /**
+     * Winston entry point, called for every record the logger lets through
+     * @param {Object} info - Log record
+     * @param {Function} callback - Called once the record is handled
+     */
+    log(info, callback) {
+        // Records logged by a listener itself are not streamed again, so they cannot loop
+        if (this.listeners.size && !this.delivering) {
+            this.pending.push({
+                timestamp: new Date(),
+                level: info[LEVEL] ?? info.level,
+                message: String(info.message),
+                requestId: info.requestId ?? null,
+            });
+
+            if (this.pending.length === 1) {
+                setImmediate(() => this.deliver());
+            }
+        }
+
+        callback();
+    }
+
+    /**
+     * Hand the pending records to the listeners
+     * Runs outside of Winston's write path, so records logged by a listener
+     * reach log() right away, while delivering is still set.
+     */
+    deliver() {
+        const entries = this.pending;
+        this.pending = [];
+
+        this.delivering = true;
+        entries.forEach(entry => this.listeners.forEach(({ level, listener }) => {
+            if (this.levels[entry.level] <= this.levels[level]) {
+                try {
+                    listener(entry);
+                } catch {
+                    // A failing listener must not break logging, and cannot be logged here
+                }
+            }
+        }));
+        this.delivering = false;
+    }
+
+    /**
+     * Listen to new log records
+     * @param {string} level - Least severe level to receive
+     * @param {Function} listener - (entry) => void, entry is { timestamp, level, message, requestId }
+     * @returns {Function} Stops listening
+     */
+    subscribe(level, listener) {
+        const subscription = { level, listener };
+        this.listeners.add(subscription);
+        return () => this.listeners.delete(subscription);
+    }
+}
@@ -1,6 +1,8 @@
 import winston from 'winston';
 import 'winston-daily-rotate-file';
 import path from 'path';
+import { LogStreamTransport } from './logStreamTransport.js';
+import { getRequestId } from '../utils/requestContext.js';
 
 // Define log directory
 const logDir = path.join(process.cwd(), 'logs');
@@ -33,22 +35,44 @@ const colors = {
 // Tell winston that we want to link the colors
 winston.addColors(colors);
 
-// Custom format for logs
-const format = winston.format.combine(
-    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
-    winston.format.printf(
-        (info) => `${info.timestamp} ${info.level}: ${info.message}`,
-    ),
-);
+// Log format, 'text' (default) or 'json' (one object per line, metadata included)
+const logFormat = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// Errors passed as metadata are written with their stack instead of as `{}`
+const errorReplacer = (key, value) => (value instanceof Error
+    ? { name: value.name, message: value.message, stack: value.stack, ...value }
+    : value);
+
+// Custom format for logs, text lines carry the request ID after the level
+const format = logFormat === 'json'
+    ? winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.errors({ stack: true }),
+        winston.format.json({ replacer: errorReplacer }),
+    )
+    : winston.format.combine(
+        winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
+        winston.format.printf(
+            (info) => `${info.timestamp} ${info.level}${info.requestId ? ` [${info.requestId}]` : ''}: ${info.message}`,
+        ),
+    );
+
+// Read on every log call, so each line carries the ID of the request it was written for
+const defaultMeta = Object.defineProperty({}, 'requestId', { enumerable: true, get: getRequestId });
+
+// Live log records for the logs SSE endpoint and the logStream subscription
+const logStream = new LogStreamTransport({ levels });
 
 // Define which transports the logger must use
 const transports = [
     // Console transport
     new winston.transports.Console({
-        format: winston.format.combine(
-            winston.format.colorize({ all: true }),
-            format,
-        ),
+        format: logFormat === 'json'
+            ? format
+            : winston.format.combine(
+                winston.format.colorize({ all: true }),
+                format,
+            ),
     }),
 
     // File transport for all logs
@@ -71,6 +95,8 @@ const transports = [
         maxFiles: process.env.LOG_MAX_FILES || '7d',
         format,
     }),
+
+    logStream,
 ];
 
 // Create the logger instance
@@ -78,6 +104,7 @@ const logger = winston.createLogger({
     level: level(),
     levels,
     format,
+    defaultMeta,
     transports,
     exceptionHandlers: [
         new winston.transports.DailyRotateFile({
@@ -107,4 +134,4 @@ const stream = {
     write: (message) => logger.http(message.trim()),
 };
 
-export { logger, stream };
\ No newline at end of file
+export { logger, stream, logDir, levels, logStream };
\ No newline at end of file
@@ -16,7 +16,7 @@ const createTransporter = () => {
     }
 
     // Create real transporter with configured settings
-    const transporter = nodemailer.createTransporter({
+    const transporter = nodemailer.createTransport({
         host,
         port,
         secure,
@@ -42,7 +42,7 @@ const createTestTransporter = async () => {
         });
 
         // Create a reusable transporter using the test account
-        const transporter = nodemailer.createTransporter({
+        const transporter = nodemailer.createTransport({
             host: 'smtp.ethereal.email',
             port: 587,
             secure: false,
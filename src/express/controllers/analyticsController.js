@@ -1,6 +1,13 @@
 import { logger } from '../../config/logger.js';
+import { config } from '../../config/index.js';
 import { apiResponse } from '../../utils/response.js';
+import { generateDashboardToken } from '../../utils/jwtUtils.js';
 import { AnalyticsService } from '../services/analyticsService.js';
+import { AuthService } from '../services/authService.js';
+import { LogService } from '../services/logService.js';
+
+// Keeps proxies from closing idle log streams
+const LOG_STREAM_HEARTBEAT_INTERVAL = 30000;
 
 /**
  * Analytics Controller
@@ -63,6 +70,69 @@ export class AnalyticsController {
         }
     }
 
+    /**
+     * List open WebSocket connections
+     * @route GET /api/analytics/connections
+     */
+    static async getConnections(req, res, next) {
+        try {
+            res.json(apiResponse({
+                status: true,
+                message: 'Active connections fetched successfully',
+                data: AnalyticsService.getConnectionMetrics(),
+            }));
+        } catch (error) {
+            logger.error('Failed to fetch active connections:', error);
+            next(error);
+        }
+    }
+
+    /**
+     * Force-disconnect a WebSocket connection
+     * @route DELETE /api/analytics/connections/:id
+     */
+    static async disconnectConnection(req, res, next) {
+        try {
+            AnalyticsService.disconnectConnection(req.params.id, req.body?.reason);
+            logger.info(`Connection ${req.params.id} disconnected by admin ${req.user.id}`);
+            res.json(apiResponse({
+                status: true,
+                message: 'Connection disconnected successfully',
+                data: null,
+            }));
+        } catch (error) {
+            logger.error('Failed to disconnect connection:', error);
+            next(error);
+        }
+    }
+
+    /**
+     * Start a browser session of the analytics pages
+     * Sets the session cookie for the client making the request, and returns a
+     * short-lived link that starts the session in a browser opening it.
+     * @route POST /api/analytics/session
+     */
+    static async createSession(req, res, next) {
+        try {
+            AuthService.setDashboardCookie(res, req.user);
+            const link = generateDashboardToken(req.user, config.analytics.linkExpiration);
+
+            logger.info(`Analytics session started by admin ${req.user.id}`);
+            res.status(201).json(apiResponse({
+                status: true,
+                message: 'Analytics session created successfully',
+                data: {
+                    url: `${req.baseUrl}/?session=${encodeURIComponent(link)}`,
+                    linkExpiresIn: config.analytics.linkExpiration,
+                    sessionExpiresIn: config.analytics.sessionExpiration,
+                },
+            }));
+        } catch (error) {
+            logger.error('Failed to create analytics session:', error);
+            next(error);
+        }
+    }
+
     /**
      * Render analytics dashboard page
      * @route GET /api/analytics/
@@ -85,6 +155,8 @@ export class AnalyticsController {
                     }
                 },
                 users: dashboardData.users,
+                subscriptions: dashboardData.subscriptions,
+                connections: dashboardData.connections,
                 monthlyGrowth: dashboardData.monthlyGrowth,
                 api: dashboardData.api,
                 apiSchema: dashboardData.apiSchema,
@@ -138,16 +210,26 @@ export class AnalyticsController {
      */
     static async getLogsPage(req, res, next) {
         try {
-            const { logType = 'application', limit = 100 } = req.query;
+            const { logType = 'application', level = '', from = '', to = '', search = '', page = 1, limit = 100 } = req.query;
 
             // Get logs data
-            const logsData = await AnalyticsService.getLogsData(logType, parseInt(limit));
+            const logsData = await AnalyticsService.getLogsData({
+                type: logType,
+                level,
+                from,
+                to,
+                search,
+                page: parseInt(page),
+                limit: parseInt(limit)
+            });
 
             const templateData = {
                 title: 'System Logs',
                 timestamp: new Date().toLocaleString(),
-                logType,
-                limit: parseInt(limit),
+                level,
+                from,
+                to,
+                search,
                 ...logsData
             };
 
@@ -158,4 +240,45 @@ export class AnalyticsController {
             next(error);
         }
     }
+
+    /**
+     * Stream new log entries as Server-Sent Events
+     * Each entry is sent as a `log` event, only entries at the `level` query parameter or more severe.
+     * @route GET /api/analytics/logs/stream
+     */
+    static streamLogs(req, res, next) {
+        let unsubscribe;
+        try {
+            unsubscribe = LogService.streamLogs(req.query.level, (entry) => {
+                // Entries are dropped while a slow client catches up
+                if (!res.writableNeedDrain) {
+                    res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+                }
+            });
+        } catch (error) {
+            return next(error);
+        }
+
+        // No record can be logged in between, so the listener never writes before the headers
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_STREAM_HEARTBEAT_INTERVAL);
+        heartbeat.unref();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            logger.debug('Log stream client disconnected');
+        });
+
+        logger.debug(`Log stream client connected at level ${req.query.level || 'debug'}`);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { ApiKeyService } from '../services/apiKeyService.js';
+import { apiResponse } from '../../utils/response.js';
+
+/**
+ * Controller for API key management (admin only)
+ */
+export class ApiKeyController {
+    /**
+     * List every API key
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async listKeys(req, res, next) {
+        try {
+            const apiKeys = await ApiKeyService.listKeys();
+            res.json(apiResponse({
+                status: true,
+                message: 'API keys fetched successfully',
+                data: apiKeys,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Create an API key, the raw key is only part of this response
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async createKey(req, res, next) {
+        try {
+            const { name, scopes, expiresAt } = req.body ?? {};
+
+            const result = await ApiKeyService.createKey({ name, scopes, expiresAt }, req.user.id);
+            res.status(201).json(apiResponse({
+                status: true,
+                message: 'API key created successfully, store the key now, it cannot be shown again',
+                data: result,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Revoke an API key
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async revokeKey(req, res, next) {
+        try {
+            const apiKey = await ApiKeyService.revokeKey(req.params.id);
+            res.json(apiResponse({
+                status: true,
+                message: 'API key revoked successfully',
+                data: apiKey,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -1,7 +1,19 @@
+import { AuthService } from '../services/authService.js';
 import { UserService } from '../services/userService.js';
 import { logger } from '../../config/logger.js';
 import { ValidationError, UnauthorizedError } from '../../utils/errors.js';
 
+/**
+ * Build the client metadata passed to AuthService
+ * @param {Object} req - Express request object
+ * @returns {Object} Client metadata
+ */
+const clientMeta = (req) => ({
+    transport: 'rest',
+    deviceInfo: req.get('user-agent'),
+    ipAddress: req.ip,
+});
+
 /**
  * Controller for authentication endpoints
  */
@@ -14,7 +26,7 @@ export class AuthController {
      */
     static async register(req, res, next) {
         try {
-            const { email, password, firstName, lastName } = req.body;
+            const { email, password, userName, firstName, lastName } = req.body ?? {};
 
             // Basic validation
             if (!email || !password) {
@@ -22,12 +34,13 @@ export class AuthController {
             }
 
             // Create user
-            const user = await UserService.createUser({
+            const user = await AuthService.register({
                 email,
                 password,
+                userName,
                 firstName,
                 lastName,
-            });
+            }, clientMeta(req));
 
             res.status(201).json({
                 message: 'User registered successfully',
@@ -46,7 +59,7 @@ export class AuthController {
      */
     static async login(req, res, next) {
         try {
-            const { email, password } = req.body;
+            const { email, password } = req.body ?? {};
 
             // Basic validation
             if (!email || !password) {
@@ -54,8 +67,9 @@ export class AuthController {
             }
 
             // Authenticate user
-            const authData = await UserService.login(email, password);
+            const authData = await AuthService.login(email, password, clientMeta(req));
 
+            AuthService.setRefreshCookie(res, authData.refreshToken);
             res.json(authData);
         } catch (error) {
             next(error);
@@ -70,20 +84,112 @@ export class AuthController {
      */
     static async refreshToken(req, res, next) {
         try {
-            const { refreshToken } = req.body;
+            const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
 
             if (!refreshToken) {
                 throw new ValidationError('Refresh token is required');
             }
 
-            const refreshData = await UserService.refreshToken(refreshToken);
+            const refreshData = await AuthService.refresh(refreshToken, clientMeta(req));
 
+            AuthService.setRefreshCookie(res, refreshData.refreshToken);
             res.json(refreshData);
         } catch (error) {
             next(error);
         }
     }
 
+    /**
+     * Verify email address
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async verifyEmail(req, res, next) {
+        try {
+            const { token } = req.body ?? {};
+
+            if (!token) {
+                throw new ValidationError('Verification token is required');
+            }
+
+            const user = await AuthService.verifyEmail(token, clientMeta(req));
+
+            res.json({
+                message: 'Email verified successfully',
+                user,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Resend verification email
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async resendVerification(req, res, next) {
+        try {
+            const { email } = req.body ?? {};
+
+            if (!email) {
+                throw new ValidationError('Email is required');
+            }
+
+            const result = await AuthService.resendVerificationEmail(email);
+
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Request a password reset email
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async forgotPassword(req, res, next) {
+        try {
+            const { email } = req.body ?? {};
+
+            if (!email) {
+                throw new ValidationError('Email is required');
+            }
+
+            const result = await AuthService.forgotPassword(email, clientMeta(req));
+
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Reset password with a reset token
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async resetPassword(req, res, next) {
+        try {
+            const { token, password } = req.body ?? {};
+
+            if (!token || !password) {
+                throw new ValidationError('Reset token and new password are required');
+            }
+
+            const result = await AuthService.resetPassword(token, password, clientMeta(req));
+
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * Logout user
      * @param {Object} req - Express request object
@@ -91,11 +197,32 @@ export class AuthController {
      * @param {Function} next - Express next middleware function
      */
     static async logout(req, res, next) {
+        try {
+            const { id } = req.user;
+            const refreshToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+            const result = await AuthService.logout(id, refreshToken, clientMeta(req));
+
+            AuthService.clearRefreshCookie(res);
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Logout user from every device
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async logoutAll(req, res, next) {
         try {
             const { id } = req.user;
 
-            const result = await UserService.logout(id);
+            const result = await AuthService.logoutAll(id, clientMeta(req));
 
+            AuthService.clearRefreshCookie(res);
             res.json(result);
         } catch (error) {
             next(error);
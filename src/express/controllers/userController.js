@@ -1,8 +1,42 @@
 import { UserService } from '../services/userService.js';
+import { AuthService } from '../services/authService.js';
 import { logger } from '../../config/logger.js';
-import { ForbiddenError } from '../../utils/errors.js';
+import { ForbiddenError, ValidationError } from '../../utils/errors.js';
 import { apiResponse } from '../../utils/response.js';
-import prisma from '../../../prisma/client.js';
+
+/**
+ * Parse an optional boolean query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for the error message
+ * @returns {boolean|undefined} Parsed value
+ */
+const parseBoolean = (value, name) => {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new ValidationError(`${name} must be true or false`);
+};
+
+/**
+ * Build an RFC 8288 Link header for a cursor paginated listing
+ * @param {Object} req - Express request object
+ * @param {Object} pageInfo - Connection page info
+ * @returns {string} Link header value
+ */
+const paginationLinks = (req, pageInfo) => {
+    const path = req.path === '/' ? req.baseUrl : `${req.baseUrl}${req.path}`;
+    const url = new URL(`${req.protocol}://${req.get('host')}${path}`);
+    for (const [key, value] of Object.entries(req.query)) {
+        if (key !== 'after') url.searchParams.set(key, value);
+    }
+
+    const links = [`<${url}>; rel="first"`];
+    if (pageInfo.hasNextPage) {
+        url.searchParams.set('after', pageInfo.endCursor);
+        links.push(`<${url}>; rel="next"`);
+    }
+    return links.join(', ');
+};
 
 /**
  * Controller for user endpoints
@@ -27,7 +61,8 @@ export class UserController {
             res.json(apiResponse({
                 status: true,
                 message: 'User profile fetched successfully',
-                data: user,
+                // Admins viewing another user do not get its tokens
+                data: id === req.user.id ? user : UserService.toPublicUser(user),
             }));
         } catch (error) {
             next(error);
@@ -49,7 +84,7 @@ export class UserController {
                 throw new ForbiddenError('Not authorized to update this profile');
             }
 
-            const updatedUser = await UserService.updateUser(id, req.body);
+            const updatedUser = await UserService.updateUser(id, UserService.pickUpdatableFields(req.body, req.user), req.user);
             res.json(apiResponse({
                 status: true,
                 message: 'Profile updated successfully',
@@ -61,7 +96,7 @@ export class UserController {
     }
 
     /**
-     * Delete user account
+     * Delete user account (soft delete)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next middleware function
@@ -87,32 +122,137 @@ export class UserController {
     }
 
     /**
-     * Admin only: Get all users
+     * Admin only: Invalidate all tokens of a user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async revokeSessions(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await AuthService.revokeSessions(id, { transport: 'rest', ipAddress: req.ip });
+            res.json(apiResponse({
+                status: true,
+                message: 'User sessions revoked successfully',
+                data: result,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Admin only: Unlock a locked account
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async unlockUser(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const user = await AuthService.unlockUser(id, { transport: 'rest', ipAddress: req.ip });
+            res.json(apiResponse({
+                status: true,
+                message: 'User unlocked successfully',
+                data: user,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Admin only: Restore a soft-deleted user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async restoreUser(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const user = await UserService.restoreUser(id);
+            res.json(apiResponse({
+                status: true,
+                message: 'User restored successfully',
+                data: user,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Admin only: Permanently delete a soft-deleted user
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Express next middleware function
+     */
+    static async purgeUser(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            const result = await UserService.purgeUser(id);
+            res.json(apiResponse({
+                status: true,
+                message: result.message,
+                data: null,
+            }));
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Admin only: List users with cursor pagination
+     * Query parameters: first, after, role, isActive, isVerified, createdAfter,
+     * createdBefore, search, orderBy (createdAt | updatedAt | email), direction (asc | desc).
+     * Page links are returned in the Link header, the total in X-Total-Count.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next middleware function
      */
     static async getAllUsers(req, res, next) {
         try {
-            const users = await prisma.user.findMany({
+            const { first, after, role, createdAfter, createdBefore, search, orderBy, direction } = req.query;
+
+            const { edges, pageInfo, totalCount } = await UserService.listUsers({
+                first,
+                after,
+                filter: {
+                    role,
+                    isActive: parseBoolean(req.query.isActive, 'isActive'),
+                    isVerified: parseBoolean(req.query.isVerified, 'isVerified'),
+                    createdAfter,
+                    createdBefore,
+                    search,
+                },
+                orderBy: { field: orderBy, direction },
                 select: {
                     id: true,
                     email: true,
                     firstName: true,
                     lastName: true,
                     role: true,
+                    isActive: true,
+                    isVerified: true,
                     createdAt: true,
                     updatedAt: true,
-                    lastLogin: true,
+                    lastLoginAt: true,
                 },
             });
+
+            res.set('Link', paginationLinks(req, pageInfo));
+            res.set('X-Total-Count', String(totalCount));
             res.json(apiResponse({
                 status: true,
                 message: 'All users fetched successfully',
-                data: users,
+                data: edges.map(edge => edge.node),
             }));
         } catch (error) {
             next(error);
         }
     }
-}
\ No newline at end of file
+}
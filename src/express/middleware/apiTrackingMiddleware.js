@@ -1,46 +1,87 @@
-﻿import { logger } from '../../config/logger.js';
+﻿import { config, logger } from '../../config/index.js';
 import prisma from '../../../prisma/client.js';
+import { ApiRequestBuffer } from '../../utils/apiRequestBuffer.js';
+
+// Tracked requests waiting to be written, drained on shutdown
+export const apiRequestBuffer = new ApiRequestBuffer({
+    write: (records) => prisma.apiRequest.createMany({ data: records }),
+    maxSize: config.apiTracking.batchSize,
+    flushInterval: config.apiTracking.flushInterval * 1000,
+    maxQueued: config.apiTracking.maxQueued,
+    onError: (error, records, dropped) => {
+        logger.error(`Failed to store ${records.length} API requests, ${dropped.length} dropped: ${error.message}`);
+    },
+});
+
+// Status recorded for requests the client closed before the response was sent (nginx convention)
+export const CLIENT_CLOSED_REQUEST = 499;
+
+/**
+ * Whether a path matches one of the exclusion patterns
+ * @param {string} path - Request path without the query string
+ * @param {string[]} patterns - Exact paths, `/prefix/*` or `*.extension`
+ * @returns {boolean}
+ */
+export const isExcluded = (path, patterns) => patterns.some(pattern => {
+    if (pattern.startsWith('*')) return path.endsWith(pattern.slice(1));
+    if (pattern.endsWith('*')) return path.startsWith(pattern.slice(0, -1));
+    return path === pattern;
+});
 
 /**
  * Middleware to track API requests and responses
+ * Records are buffered and written in batches once the response is finished,
+ * whether it was sent with res.send, res.end or streamed, or once the
+ * connection closed, whichever comes first. Requests closed by the client
+ * before a response was sent are recorded with status 499, streamed responses
+ * (Server-Sent Events) with their status and the time they were open.
+ * Excluded paths and requests left out by the sample rate are not recorded.
  */
-export const apiTrackingMiddleware = async (req, res, next) => {
+export const apiTrackingMiddleware = (req, res, next) => {
+    const { sampleRate, exclude } = config.apiTracking;
+    if (isExcluded(req.path, exclude) || Math.random() >= sampleRate) {
+        return next();
+    }
+
     const startTime = Date.now();
-    const originalSend = res.send;
     const requestData = {
         endpoint: req.originalUrl || req.url,
         method: req.method,
         userAgent: req.get('user-agent'),
-        ipAddress: req.ip || req.connection.remoteAddress,
-        userId: req.user?.id,
+        ipAddress: req.ip || req.socket.remoteAddress,
+        requestId: req.id,
+        timestamp: new Date(startTime),
         isCached: false
     };
 
-    // Override send to intercept the response
-    res.send = function (body) {
-        const responseTime = Date.now() - startTime;
-
-        // Log request tracking
-        logger.debug(`Tracking API request: ${req.method} ${req.originalUrl}`);
-
-        // Store the API request asynchronously
-        prisma.apiRequest.create({
-            data: {
-                ...requestData,
-                statusCode: res.statusCode,
-                responseTime,
-                isError: res.statusCode >= 400,
-                error: res.statusCode >= 400 ? (typeof body === 'string' ? body : JSON.stringify(body)) : null
-            }
-        }).catch(error => {
-            logger.error('Failed to store API request:', error);
+    let recorded = false;
+    const record = () => {
+        if (recorded) return;
+        recorded = true;
+
+        const aborted = !res.writableFinished && !res.headersSent;
+        const statusCode = aborted ? CLIENT_CLOSED_REQUEST : res.statusCode;
+        logger.debug(`Tracking API request: ${req.method} ${req.originalUrl}${aborted ? ' (closed by client)' : ''}`);
+
+        apiRequestBuffer.add({
+            ...requestData,
+            // Read once finished, authentication runs after this middleware
+            userId: req.user?.id,
+            // Operation name, type, resolver errors and user of GraphQL requests (operationTrackingPlugin)
+            ...req.graphqlOperation,
+            statusCode,
+            responseTime: Date.now() - startTime,
+            isError: statusCode >= 400,
+            // Set by errorMiddleware, the status text otherwise
+            error: aborted
+                ? 'Client closed request'
+                : statusCode >= 400 ? (res.locals.errorMessage ?? res.statusMessage ?? null) : null
         });
-
-        // Call the original send
-        originalSend.apply(res, arguments);
-        return res;
     };
 
+    res.on('finish', record);
+    res.on('close', record);
+
     next();
 };
 
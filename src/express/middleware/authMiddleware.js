@@ -1,13 +1,46 @@
-import { verifyToken, extractTokenFromHeader } from '../../utils/jwtUtils.js';
+import { extractTokenFromHeader, TOKEN_TYPES } from '../../utils/jwtUtils.js';
 import { UnauthorizedError, ForbiddenError } from '../../utils/errors.js';
 import { logger } from '../../config/logger.js';
+import { TokenService } from '../services/tokenService.js';
+import { ApiKeyService } from '../services/apiKeyService.js';
+import { AuthService, DASHBOARD_SESSION_COOKIE } from '../services/authService.js';
+
+/**
+ * Accept API keys carrying a scope on the routes behind this middleware
+ * Must come before authMiddleware, which rejects API keys on every route
+ * that did not opt in, so handlers relying on `req.user` never see one.
+ * @param {string} scope - Scope from API_KEY_SCOPES
+ */
+export const apiKeyScopeMiddleware = (scope) => {
+    return (req, res, next) => {
+        req.apiKeyScope = scope;
+        next();
+    };
+};
 
 /**
  * Authentication middleware for Express
- * Verifies JWT token and adds user data to request
+ * Verifies JWT token and its token version, and adds user data to request.
+ * On routes behind apiKeyScopeMiddleware an API key with the route's scope
+ * is accepted instead and added as `req.apiKey`, `req.user` stays unset.
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
     try {
+        const apiKey = ApiKeyService.extractKey(req.headers);
+        if (apiKey) {
+            if (!req.apiKeyScope) {
+                throw new UnauthorizedError('API keys are not accepted for this route');
+            }
+
+            req.apiKey = await ApiKeyService.authenticate(apiKey, { ipAddress: req.ip });
+            if (!ApiKeyService.hasScope(req.apiKey, req.apiKeyScope)) {
+                logger.warn(`API key ${req.apiKey.id} lacks scope ${req.apiKeyScope} for ${req.method} ${req.originalUrl}`);
+                throw new ForbiddenError(`API key lacks scope: ${req.apiKeyScope}`);
+            }
+
+            return next();
+        }
+
         // Get token from authorization header
         const authHeader = req.headers.authorization;
         const token = extractTokenFromHeader(authHeader);
@@ -17,7 +50,7 @@ export const authMiddleware = (req, res, next) => {
         }
 
         // Verify token and add user data to request
-        const decoded = verifyToken(token);
+        const decoded = await TokenService.verifyAccessToken(token);
         req.user = decoded;
 
         logger.debug(`User authenticated: ${decoded.id}`);
@@ -27,13 +60,56 @@ export const authMiddleware = (req, res, next) => {
     }
 };
 
+/**
+ * Authentication middleware for the analytics pages and their log stream
+ * Browsers cannot send an Authorization header when navigating or from an
+ * EventSource, they send the session cookie set by POST /api/analytics/session.
+ * A session link (`?session=`) is swapped for the cookie and redirected to the
+ * same URL without it. Requests with a Bearer token or an API key go through
+ * authMiddleware as on every other route.
+ */
+export const dashboardAuthMiddleware = async (req, res, next) => {
+    if (req.headers.authorization || ApiKeyService.extractKey(req.headers)) {
+        return authMiddleware(req, res, next);
+    }
+
+    try {
+        const { session } = req.query;
+        const token = session || req.cookies?.[DASHBOARD_SESSION_COOKIE];
+
+        if (!token) {
+            throw new UnauthorizedError('Authentication token required');
+        }
+
+        req.user = await TokenService.verifyAccessToken(token, TOKEN_TYPES.DASHBOARD);
+
+        if (session) {
+            AuthService.setDashboardCookie(res, req.user);
+
+            const url = new URL(req.originalUrl, 'http://localhost');
+            url.searchParams.delete('session');
+            return res.redirect(url.pathname + url.search);
+        }
+
+        logger.debug(`Analytics session authenticated: ${req.user.id}`);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Role-based authorization middleware for Express
- * Checks if authenticated user has required role(s)
+ * Checks if authenticated user has required role(s). API keys pass, authMiddleware
+ * only accepted them because they carry the scope of the route.
  * @param {string|string[]} roles - Required role(s)
  */
 export const roleMiddleware = (roles) => {
     return (req, res, next) => {
+        if (req.apiKey) {
+            return next();
+        }
+
         if (!req.user) {
             return next(new UnauthorizedError('Authentication required'));
         }
@@ -4,6 +4,7 @@ import { AppError } from '../../utils/errors.js';
 /**
  * Central error handler for Express
  * Logs errors and sends appropriate responses based on error type
+ * Every error response carries the request ID, to find the matching log lines
  */
 export const errorMiddleware = (err, req, res, next) => {
     // Log the error with appropriate level based on status code
@@ -18,6 +19,9 @@ export const errorMiddleware = (err, req, res, next) => {
         stack: err.stack,
     });
 
+    // Stored on the ApiRequest row by apiTrackingMiddleware
+    res.locals.errorMessage = `${err.name}: ${err.message}`;
+
     // Handle known errors using our custom AppError class
     if (err instanceof AppError) {
         const response = {
@@ -25,6 +29,7 @@ export const errorMiddleware = (err, req, res, next) => {
                 message: err.message,
                 statusCode: err.statusCode,
                 name: err.name,
+                requestId: req.id,
             },
         };
 
@@ -47,6 +52,7 @@ export const errorMiddleware = (err, req, res, next) => {
                 statusCode,
                 name: 'PrismaError',
                 code: err.code,
+                requestId: req.id,
             },
         });
     }
@@ -58,6 +64,7 @@ export const errorMiddleware = (err, req, res, next) => {
                 ? 'Internal Server Error'
                 : err.message || 'Internal Server Error',
             statusCode: 500,
+            requestId: req.id,
         },
     };
 
@@ -1,13 +1,18 @@
 import { loggingMiddleware } from './loggingMiddleware.js';
 import { errorMiddleware } from './errorMiddleware.js';
-import { authMiddleware, roleMiddleware } from './authMiddleware.js';
-// import { rateLimitMiddleware, authRateLimitMiddleware } from './rateLimitMiddleware.js';
+import { requestIdMiddleware } from './requestIdMiddleware.js';
+import { authMiddleware, dashboardAuthMiddleware, roleMiddleware, apiKeyScopeMiddleware } from './authMiddleware.js';
+import { rateLimitMiddleware, authRateLimitMiddleware, emailRateLimitMiddleware } from './rateLimitMiddleware.js';
 
 export {
     loggingMiddleware,
     errorMiddleware,
+    requestIdMiddleware,
     authMiddleware,
+    dashboardAuthMiddleware,
     roleMiddleware,
-    // rateLimitMiddleware,
-    // authRateLimitMiddleware,
+    apiKeyScopeMiddleware,
+    rateLimitMiddleware,
+    authRateLimitMiddleware,
+    emailRateLimitMiddleware,
 };
\ No newline at end of file
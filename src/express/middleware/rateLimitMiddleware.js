@@ -1,44 +1,79 @@
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import { config } from '../../config/index.js';
 import { logger } from '../../config/logger.js';
 import { RateLimitError } from '../../utils/errors.js';
+import { PrismaRateLimitStore, RateLimitService } from '../services/rateLimitService.js';
 
 /**
- * Rate limiting middleware for API protection
- * Limits the number of requests from a single IP address within a time window
+ * Rate limiter of one REST route group
+ * Counts per user, API key or IP address in PostgreSQL, so the limits hold
+ * across instances, and allows each role its own quota.
+ * @param {string} group - Route group from config.rateLimit.tiers
+ * @returns {Function} Express middleware
  */
-export const rateLimitMiddleware = rateLimit({
-    windowMs: config.rateLimit.windowMs, // Default: 15 minutes
-    max: config.rateLimit.max, // Default: 100 requests per windowMs
+const groupLimiter = (group) => rateLimit({
+    windowMs: config.rateLimit.tiers[group].windowMs,
+    limit: (req) => RateLimitService.limitFor(group, req.rateLimitClient.tier),
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
+    store: new PrismaRateLimitStore({ prefix: `rl:${group}:` }),
+    // Let requests through when the database cannot count them
+    passOnStoreError: true,
 
-    // Skip rate limiting for trusted IPs (e.g. internal services)
-    skip: (req) => {
-        // Example: Skip for internal IPs or with specific API keys
-        // const trustedIPs = ['127.0.0.1', '::1'];
-        // return trustedIPs.includes(req.ip);
-        return false; // No skipping by default
+    // Runs before limit(), the client is kept for it
+    keyGenerator: async (req) => {
+        req.rateLimitClient = await RateLimitService.identifyRequest(req);
+        return req.rateLimitClient.key;
     },
 
     // Custom handler for rate limit exceeded
-    handler: (req, res, next, options) => {
-        const ip = req.ip;
-        logger.warn(`Rate limit exceeded for IP: ${ip}`, {
+    handler: (req, res, next) => {
+        logger.warn(`Rate limit exceeded for ${req.rateLimitClient.key} (${req.rateLimitClient.tier}) on ${group}`, {
             path: req.originalUrl,
             method: req.method,
-            ip,
+            ip: req.ip,
         });
 
         // Use our custom error
         next(new RateLimitError('Too many requests, please try again later'));
     },
-
-    // Store client data in a more advanced store (optional)
-    // For production, consider using a Redis store
-    // store: new RedisStore({...})
 });
 
+// One limiter per REST route group, GraphQL is limited per operation by rateLimitPlugin
+const groupLimiters = Object.fromEntries(
+    Object.entries(config.rateLimit.tiers)
+        .filter(([, tier]) => tier.path)
+        .map(([group]) => [group, groupLimiter(group)])
+);
+
+/**
+ * Rate limiting middleware for API protection
+ * Applies the limiter of the route group the path belongs to. Paths outside
+ * every group, like /graphql, and the health check are not limited here.
+ */
+export const rateLimitMiddleware = (req, res, next) => {
+    const group = RateLimitService.groupFor(req.path);
+
+    if (!config.rateLimit.enabled || !group || req.path === '/api/health') {
+        return next();
+    }
+
+    return groupLimiters[group](req, res, next);
+};
+
+/**
+ * Key of the auth and email limiters: the normalized email together with the IP address
+ * Case and whitespace variants of an address share a counter, and requests
+ * from other addresses cannot exhaust the limit of a victim's email.
+ * @param {Object} req - Express request object
+ * @returns {string} Rate limit key, the IP address alone without an email
+ */
+const emailKeyGenerator = (req) => {
+    const ip = ipKeyGenerator(req.ip);
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return email ? `${email}:${ip}` : ip;
+};
+
 /**
  * Stricter rate limiting for authentication endpoints
  * to prevent brute force attacks
@@ -48,12 +83,12 @@ export const authRateLimitMiddleware = rateLimit({
     max: 5, // 5 login attempts per 15 minutes
     standardHeaders: true,
     legacyHeaders: false,
-    keyGenerator: (req) => {
-        // Use email as key if available, otherwise IP
-        return req.body.email || req.ip;
-    },
-    handler: (req, res, next, options) => {
-        const key = req.body.email || req.ip;
+    store: new PrismaRateLimitStore({ prefix: 'rl:login:' }),
+    passOnStoreError: true,
+    skip: () => !config.rateLimit.enabled,
+    keyGenerator: emailKeyGenerator,
+    handler: (req, res, next) => {
+        const key = emailKeyGenerator(req);
         logger.warn(`Auth rate limit exceeded: ${key}`, {
             path: req.originalUrl,
             method: req.method,
@@ -62,4 +97,29 @@ export const authRateLimitMiddleware = rateLimit({
 
         next(new RateLimitError('Too many login attempts, please try again later'));
     },
-});
\ No newline at end of file
+});
+
+/**
+ * Rate limiting for endpoints that send emails
+ * to prevent mailbox flooding
+ */
+export const emailRateLimitMiddleware = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 3, // 3 emails per 15 minutes
+    standardHeaders: true,
+    legacyHeaders: false,
+    store: new PrismaRateLimitStore({ prefix: 'rl:email:' }),
+    passOnStoreError: true,
+    skip: () => !config.rateLimit.enabled,
+    keyGenerator: emailKeyGenerator,
+    handler: (req, res, next) => {
+        const key = emailKeyGenerator(req);
+        logger.warn(`Email rate limit exceeded: ${key}`, {
+            path: req.originalUrl,
+            method: req.method,
+            ip: req.ip,
+        });
+
+        next(new RateLimitError('Too many email requests, please try again later'));
+    },
+});
@@ -0,0 +1,14 @@
+import { REQUEST_ID_HEADER, requestContext, resolveRequestId } from '../../utils/requestContext.js';
+
+/**
+ * Assign a correlation ID to every request
+ * The ID is taken from X-Request-Id or generated, exposed as `req.id`,
+ * echoed in the response header and kept in the request context, so every
+ * log line written while handling the request carries it.
+ */
+export const requestIdMiddleware = (req, res, next) => {
+    req.id = resolveRequestId(req.get(REQUEST_ID_HEADER));
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    requestContext.run({ requestId: req.id }, next);
+};
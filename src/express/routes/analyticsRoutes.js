@@ -1,6 +1,6 @@
 ﻿import express from 'express';
 import { AnalyticsController } from '../controllers/analyticsController.js';
-import { authMiddleware, roleMiddleware } from '../middleware/index.js';
+import { authMiddleware, dashboardAuthMiddleware, roleMiddleware, apiKeyScopeMiddleware } from '../middleware/index.js';
 
 const router = express.Router();
 
@@ -9,50 +9,83 @@ const router = express.Router();
  * @route /api/analytics
  */
 
-// Protect all analytics routes - require admin role
-// router.use(authMiddleware);
-// router.use(roleMiddleware('ADMIN'));
+// Admins, or API keys with the analytics:read scope for monitoring tools
+const readAccess = [apiKeyScopeMiddleware('analytics:read'), authMiddleware, roleMiddleware('ADMIN')];
+
+// Pages and the log stream opened by a browser, which also accept the session cookie of POST /session
+const pageAccess = [apiKeyScopeMiddleware('analytics:read'), dashboardAuthMiddleware, roleMiddleware('ADMIN')];
+
+// Admins only, API keys are rejected
+const adminOnly = [authMiddleware, roleMiddleware('ADMIN')];
+
+/**
+ * @route POST /api/analytics/session
+ * @desc Start a browser session of the analytics pages (cookie and one-time link)
+ * @access Admin
+ */
+router.post('/session', adminOnly, AnalyticsController.createSession);
 
 /**
  * @route GET /api/analytics/
  * @desc Render analytics dashboard page
- * @access Admin
+ * @access Admin (session cookie), API key (analytics:read)
  */
-router.get('/', AnalyticsController.renderDashboard);
+router.get('/', pageAccess, AnalyticsController.renderDashboard);
 
 /**
  * @route GET /api/analytics/metrics
  * @desc Get system metrics
- * @access Admin
+ * @access Admin, API key (analytics:read)
  */
-router.get('/metrics', AnalyticsController.getMetrics);
+router.get('/metrics', readAccess, AnalyticsController.getMetrics);
 
 /**
  * @route GET /api/analytics/users
  * @desc Get user analytics
- * @access Admin
+ * @access Admin, API key (analytics:read)
  */
-router.get('/users', AnalyticsController.getUserAnalytics);
+router.get('/users', readAccess, AnalyticsController.getUserAnalytics);
 
 /**
  * @route GET /api/analytics/dashboard
  * @desc Get dashboard data (JSON)
- * @access Admin
+ * @access Admin, API key (analytics:read)
  */
-router.get('/dashboard', AnalyticsController.getDashboard);
+router.get('/dashboard', readAccess, AnalyticsController.getDashboard);
 
 /**
  * @route GET /api/analytics/api
  * @desc Render detailed API analytics page
- * @access Admin
+ * @access Admin (session cookie), API key (analytics:read)
  */
-router.get('/api', AnalyticsController.getApiAnalyticsPage);
+router.get('/api', pageAccess, AnalyticsController.getApiAnalyticsPage);
 
 /**
  * @route GET /api/analytics/logs
  * @desc Render logs page
+ * @access Admin (session cookie), API key (analytics:read)
+ */
+router.get('/logs', pageAccess, AnalyticsController.getLogsPage);
+
+/**
+ * @route GET /api/analytics/logs/stream
+ * @desc Stream new log entries (Server-Sent Events)
+ * @access Admin (session cookie), API key (analytics:read)
+ */
+router.get('/logs/stream', pageAccess, AnalyticsController.streamLogs);
+
+/**
+ * @route GET /api/analytics/connections
+ * @desc List open WebSocket connections
+ * @access Admin, API key (analytics:read)
+ */
+router.get('/connections', readAccess, AnalyticsController.getConnections);
+
+/**
+ * @route DELETE /api/analytics/connections/:id
+ * @desc Force-disconnect a WebSocket connection
  * @access Admin
  */
-router.get('/logs', AnalyticsController.getLogsPage);
+router.delete('/connections/:id', adminOnly, AnalyticsController.disconnectConnection);
 
 export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import { ApiKeyController } from '../controllers/apiKeyController.js';
+import { authMiddleware, roleMiddleware } from '../middleware/index.js';
+
+const router = express.Router();
+
+/**
+ * API key routes - admin only, API keys cannot manage keys
+ * @route /api/api-keys
+ */
+router.use(authMiddleware);
+router.use(roleMiddleware('ADMIN'));
+
+// List API keys
+router.get('/', ApiKeyController.listKeys);
+
+// Create an API key
+router.post('/', ApiKeyController.createKey);
+
+// Revoke an API key
+router.delete('/:id', ApiKeyController.revokeKey);
+
+export default router;
@@ -2,7 +2,8 @@ import express from 'express';
 import { AuthController } from '../controllers/authController.js';
 import {
     authMiddleware,
-    // authRateLimitMiddleware
+    authRateLimitMiddleware,
+    emailRateLimitMiddleware,
 } from '../middleware/index.js';
 
 const router = express.Router();
@@ -15,19 +16,34 @@ const router = express.Router();
 // Register new user
 router.post('/register', AuthController.register);
 
-// Login - with stricter rate limiting
-// router.post('/login', authRateLimitMiddleware, AuthController.login);
+// Login - brute force is limited per email and by account lockout
+router.post('/login', authRateLimitMiddleware, AuthController.login);
 
 // Refresh token
 router.post('/refresh-token', AuthController.refreshToken);
 
+// Verify email address
+router.post('/verify-email', AuthController.verifyEmail);
+
+// Resend verification email - rate limited
+router.post('/resend-verification', emailRateLimitMiddleware, AuthController.resendVerification);
+
+// Request password reset email - rate limited
+router.post('/forgot-password', emailRateLimitMiddleware, AuthController.forgotPassword);
+
+// Reset password with emailed token
+router.post('/reset-password', AuthController.resetPassword);
+
 // Protected routes - require authentication
 router.use(authMiddleware);
 
 // Get current user
 router.get('/me', AuthController.getCurrentUser);
 
-// Logout
+// Logout current session
 router.post('/logout', AuthController.logout);
 
+// Logout every session
+router.post('/logout-all', AuthController.logoutAll);
+
 export default router;
\ No newline at end of file
@@ -2,6 +2,7 @@ import express from 'express';
 import authRoutes from './authRoutes.js';
 import userRoutes from './userRoutes.js';
 import analyticsRoutes from './analyticsRoutes.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
 
 const router = express.Router();
 
@@ -23,4 +24,7 @@ router.use('/users', userRoutes);
 // Analytics routes
 router.use('/analytics', analyticsRoutes);
 
+// API key management routes
+router.use('/api-keys', apiKeyRoutes);
+
 export default router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 import express from 'express';
 import { UserController } from '../controllers/userController.js';
-import { authMiddleware, roleMiddleware } from '../middleware/index.js';
+import { authMiddleware, roleMiddleware, apiKeyScopeMiddleware } from '../middleware/index.js';
 
 const router = express.Router();
 
@@ -9,6 +9,9 @@ const router = express.Router();
  * @route /api/users
  */
 
+// Get all users (admin, or API keys with the users:read scope)
+router.get('/', apiKeyScopeMiddleware('users:read'), authMiddleware, roleMiddleware('ADMIN'), UserController.getAllUsers);
+
 // Protected routes - require authentication
 router.use(authMiddleware);
 
@@ -24,7 +27,16 @@ router.delete('/:id', UserController.deleteUser);
 // Admin only routes
 router.use(roleMiddleware('ADMIN'));
 
-// Get all users (admin only)
-router.get('/', UserController.getAllUsers);
+// Invalidate all tokens of a user (admin only)
+router.post('/:id/revoke-sessions', UserController.revokeSessions);
+
+// Unlock an account locked after failed logins (admin only)
+router.post('/:id/unlock', UserController.unlockUser);
+
+// Restore a soft-deleted user (admin only)
+router.post('/:id/restore', UserController.restoreUser);
+
+// Permanently delete a soft-deleted user (admin only)
+router.delete('/:id/purge', UserController.purgeUser);
 
 export default router;
\ No newline at end of file
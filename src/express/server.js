@@ -8,10 +8,14 @@ import { logger, config } from '../config/index.js';
 import {
     loggingMiddleware,
     errorMiddleware,
-    // rateLimitMiddleware
+    requestIdMiddleware,
+    rateLimitMiddleware
 } from './middleware/index.js';
 import { apiTrackingMiddleware } from './middleware/apiTrackingMiddleware.js';
 import apiRoutes from './routes/index.js';
+import { REQUEST_ID_HEADER } from '../utils/requestContext.js';
+import { RATE_LIMIT_HEADERS } from './services/rateLimitService.js';
+import { ACCESS_TOKEN_HEADER } from './services/authService.js';
 
 // Get __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -65,7 +69,8 @@ app.set('view engine', 'hbs');
 app.set('views', path.join(__dirname, '../templates'));
 
 // Apply middleware
-app.use(cors());
+app.use(requestIdMiddleware); // First, so everything below logs with the request ID
+app.use(cors({ exposedHeaders: ['Link', 'X-Total-Count', REQUEST_ID_HEADER, ACCESS_TOKEN_HEADER, ...RATE_LIMIT_HEADERS] })); // Let browsers read pagination, request ID, refreshed token and rate limit headers
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(loggingMiddleware);
@@ -73,8 +78,8 @@ app.use(apiTrackingMiddleware); // Track API usage
 app.use(cookieParser());
 
 
-// Apply rate limiting to all routes
-// app.use(rateLimitMiddleware);
+// Apply rate limiting to all REST routes, per route group and role (GraphQL: rateLimitPlugin)
+app.use(rateLimitMiddleware);
 
 // API Routes
 app.use('/api', apiRoutes);
@@ -96,6 +101,7 @@ app.use((req, res, next) => {
         error: {
             message: 'Resource not found',
             statusCode: 404,
+            requestId: req.id,
         },
     });
 });
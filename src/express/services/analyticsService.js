@@ -4,7 +4,12 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import prisma from '../../../prisma/client.js';
-import { logger } from '../../config/logger.js';
+import { logger, levels } from '../../config/logger.js';
+import { config } from '../../config/index.js';
+import { pubsub } from '../../graphql/pubsub/index.js';
+import { connectionRegistry } from '../../graphql/connectionRegistry.js';
+import { NotFoundError, ValidationError } from '../../utils/errors.js';
+import { LogService, LOG_TYPES } from './logService.js';
 
 /**
  * Core Analytics Service
@@ -92,6 +97,58 @@ export class AnalyticsService {
         }
     }
 
+    /**
+     * Subscription Metrics Collector
+     * Per-subscriber queue depth and drops of the GraphQL subscription engine on this instance
+     */
+    static getSubscriptionMetrics() {
+        const metrics = pubsub.getMetrics();
+
+        return {
+            adapter: config.pubsub.adapter,
+            ...metrics,
+            subscriptions: metrics.subscriptions.map(subscription => ({
+                ...subscription,
+                topics: subscription.triggers.join(', '),
+                fillPercent: Math.round((subscription.queued / subscription.bufferSize) * 100),
+                ageSeconds: Math.floor((Date.now() - subscription.createdAt.getTime()) / 1000),
+                hasDrops: subscription.dropped > 0,
+            })),
+        };
+    }
+
+    /**
+     * WebSocket Connection Collector
+     * Open WebSocket connections of this instance with their subscriptions and message counts
+     */
+    static getConnectionMetrics() {
+        const connections = connectionRegistry.list().map(connection => ({
+            ...connection,
+            subscriptionCount: connection.subscriptions.length,
+            operations: connection.subscriptions.map(subscription => subscription.operationName || 'unnamed').join(', '),
+            ageSeconds: Math.floor((Date.now() - connection.connectedAt.getTime()) / 1000),
+        }));
+
+        return {
+            total: connections.length,
+            authenticated: connections.filter(connection => connection.userId).length,
+            subscriptions: connections.reduce((sum, connection) => sum + connection.subscriptionCount, 0),
+            connections,
+        };
+    }
+
+    /**
+     * Force-disconnect a WebSocket connection of this instance
+     * @param {string} id - Connection id
+     * @param {string} [reason] - Close reason sent to the client
+     * @throws {NotFoundError} If no open connection has this id
+     */
+    static disconnectConnection(id, reason) {
+        if (!connectionRegistry.disconnect(id, reason)) {
+            throw new NotFoundError('Connection not found');
+        }
+    }
+
     /**
      * User Analytics Collector
      * Collects user-related metrics and statistics
@@ -780,6 +837,8 @@ export class AnalyticsService {
 
             const dashboard = {
                 system: systemMetrics,
+                subscriptions: this.getSubscriptionMetrics(),
+                connections: this.getConnectionMetrics(),
                 users: userAnalytics.summary,
                 monthlyGrowth: monthlyGrowth,
                 api: apiAnalytics,
@@ -847,7 +906,9 @@ export class AnalyticsService {
                         ipAddress: true,
                         userAgent: true,
                         timestamp: true,
-                        userId: true
+                        userId: true,
+                        operationName: true,
+                        operationType: true
                     }
                 }),
                 // Total count for pagination
@@ -912,6 +973,28 @@ export class AnalyticsService {
                         logger.error('Error in endpoint performance query:', error);
                         return [];
                     }),
+                    // GraphQL operation performance, recorded by operationTrackingPlugin
+                    prisma.$queryRaw`
+                        SELECT
+                            COALESCE("operationName", '(anonymous)') as operation_name,
+                            "operationType" as operation_type,
+                            COUNT(*) as total_requests,
+                            AVG("responseTime") as avg_response_time,
+                            PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY "responseTime") as p95_response_time,
+                            MAX("responseTime") as max_response_time,
+                            SUM("resolverErrorCount") as resolver_errors,
+                            SUM(CASE WHEN "resolverErrorCount" > 0 OR "statusCode" >= 400 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as error_rate,
+                            AVG("queryCost") as avg_cost,
+                            MAX("queryCost") as max_cost,
+                            MAX("queryDepth") as max_depth
+                        FROM "ApiRequest"
+                        WHERE "timestamp" >= ${startDate} AND "operationType" IS NOT NULL
+                        GROUP BY COALESCE("operationName", '(anonymous)'), "operationType"
+                        ORDER BY total_requests DESC
+                    `.catch((error) => {
+                        logger.error('Error in operation performance query:', error);
+                        return [];
+                    }),
                     // Rate limiting info (simulated)
                     Promise.resolve({
                         currentRequests: Math.floor(Math.random() * 100) + 50,
@@ -922,7 +1005,7 @@ export class AnalyticsService {
                 ])
             ]);
 
-            const [responseStats, statusDistribution, methodDistribution, topEndpoints, hourlyData, endpointPerformance, rateLimit] = stats;
+            const [responseStats, statusDistribution, methodDistribution, topEndpoints, hourlyData, endpointPerformance, operationPerformance, rateLimit] = stats;
 
             logger.debug('Endpoint performance raw data:', endpointPerformance);
 
@@ -984,6 +1067,21 @@ export class AnalyticsService {
                     successRate: Math.round(Number(ep.success_rate) * 100) / 100,
                     errorRate: Math.round(Number(ep.error_rate) * 100) / 100
                 })),
+                operationPerformance: operationPerformance.map(op => ({
+                    operationName: op.operation_name,
+                    operationType: op.operation_type,
+                    totalRequests: Number(op.total_requests),
+                    percentage: Math.round((Number(op.total_requests) / totalCount) * 100 * 100) / 100,
+                    avgResponseTime: Math.round(Number(op.avg_response_time)),
+                    p95ResponseTime: Math.round(Number(op.p95_response_time)),
+                    maxResponseTime: Math.round(Number(op.max_response_time)),
+                    resolverErrors: Number(op.resolver_errors ?? 0),
+                    errorRate: Math.round(Number(op.error_rate) * 100) / 100,
+                    // Null for operations recorded before query costs were measured
+                    avgCost: op.avg_cost == null ? null : Math.round(Number(op.avg_cost)),
+                    maxCost: op.max_cost == null ? null : Number(op.max_cost),
+                    maxDepth: op.max_depth == null ? null : Number(op.max_depth)
+                })),
                 rateLimit,
                 timeRange,
                 generatedAt: new Date().toISOString()
@@ -1001,56 +1099,25 @@ export class AnalyticsService {
 
     /**
      * Get Logs Data for logs page
-     * Returns system logs and application logs
+     * Reads the rotated log files of a type, newest entries first
+     * @param {Object} [filters] - Log type, level, date range, search text and pagination, see LogService.readLogs
+     * @returns {Promise<Object>} Log entries and filters for the logs page
      */
-    static async getLogsData(logType = 'application', limit = 100) {
+    static async getLogsData(filters = {}) {
         try {
-            logger.debug('Getting logs data...', { logType, limit });
-
-            // This is a simplified implementation - in production you'd read from actual log files
-            const logs = [];
-
-            // Generate sample logs for demonstration
-            const logTypes = {
-                application: [
-                    { level: 'info', message: 'Server started successfully', timestamp: new Date() },
-                    { level: 'debug', message: 'Database connection established', timestamp: new Date(Date.now() - 10000) },
-                    { level: 'info', message: 'Analytics data aggregated', timestamp: new Date(Date.now() - 20000) },
-                    { level: 'warn', message: 'High memory usage detected', timestamp: new Date(Date.now() - 30000) },
-                    { level: 'error', message: 'Failed to connect to external service', timestamp: new Date(Date.now() - 40000) }
-                ],
-                error: [
-                    { level: 'error', message: 'Database connection timeout', timestamp: new Date() },
-                    { level: 'error', message: 'Invalid API request format', timestamp: new Date(Date.now() - 15000) },
-                    { level: 'error', message: 'Authentication failed', timestamp: new Date(Date.now() - 25000) }
-                ],
-                access: [
-                    { level: 'info', message: 'GET /api/analytics 200', timestamp: new Date() },
-                    { level: 'info', message: 'POST /api/auth/login 200', timestamp: new Date(Date.now() - 5000) },
-                    { level: 'info', message: 'GET /api/users 401', timestamp: new Date(Date.now() - 10000) }
-                ]
-            };
+            logger.debug('Getting logs data...', filters);
 
-            const selectedLogs = logTypes[logType] || logTypes.application;
-
-            // Generate more logs if needed
-            while (logs.length < limit && logs.length < 1000) {
-                selectedLogs.forEach(log => {
-                    if (logs.length < limit) {
-                        logs.push({
-                            ...log,
-                            timestamp: new Date(log.timestamp.getTime() - (logs.length * 60000)),
-                            id: `log_${logs.length + 1}`
-                        });
-                    }
-                });
-            }
+            const { logs, page, limit, hasMore, files } = await LogService.readLogs(filters);
 
             const data = {
-                logs: logs.slice(0, limit),
-                totalCount: logs.length,
-                logType,
-                availableTypes: Object.keys(logTypes),
+                logs,
+                page,
+                limit,
+                hasMore,
+                files,
+                logType: filters.type ?? 'application',
+                availableTypes: LOG_TYPES,
+                availableLevels: Object.keys(levels),
                 generatedAt: new Date().toISOString()
             };
 
@@ -1058,6 +1125,9 @@ export class AnalyticsService {
             return data;
 
         } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
             logger.error('Error getting logs data:', error);
             throw new Error('Failed to get logs data');
         }
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import { logger } from '../../config/logger.js';
+import { NotFoundError, UnauthorizedError, ValidationError } from '../../utils/errors.js';
+import { extractTokenFromHeader } from '../../utils/jwtUtils.js';
+import { TokenService } from './tokenService.js';
+import prisma from '../../../prisma/client.js';
+
+// Scopes an API key can carry
+export const API_KEY_SCOPES = ['analytics:read', 'users:read'];
+
+// Header monitoring tools send the key in, `Authorization: Bearer <key>` works too
+export const API_KEY_HEADER = 'X-API-Key';
+
+// Every key starts with this, so it can be told apart from a JWT
+const KEY_PREFIX = 'ak_';
+
+// Characters of the key stored in clear to identify it in listings
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// lastUsedAt is only written again once it is this old, to spare a write per request
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+// Fields returned by listings, never the hash
+const API_KEY_SELECT = {
+    id: true,
+    name: true,
+    prefix: true,
+    scopes: true,
+    createdById: true,
+    expiresAt: true,
+    lastUsedAt: true,
+    lastUsedIp: true,
+    createdAt: true,
+    revokedAt: true,
+};
+
+/**
+ * Service for the API keys of monitoring tools and other non-interactive clients
+ * Keys are stored hashed like refresh tokens, the raw key is only returned
+ * once when it is created. A key grants nothing but its scopes: routes and
+ * resolvers opt in to API keys for a scope, everything else still requires
+ * a user.
+ */
+export class ApiKeyService {
+    /**
+     * Read the API key of a request, if it sent one
+     * @param {Object} headers - Request headers
+     * @returns {string|null} Raw API key
+     */
+    static extractKey(headers = {}) {
+        const header = headers[API_KEY_HEADER.toLowerCase()];
+        if (header) {
+            return header;
+        }
+
+        const bearer = extractTokenFromHeader(headers.authorization);
+        return bearer?.startsWith(KEY_PREFIX) ? bearer : null;
+    }
+
+    /**
+     * Whether an authenticated API key carries a scope
+     * @param {Object} [apiKey] - Key from authenticate
+     * @param {string} scope - Scope from API_KEY_SCOPES
+     * @returns {boolean}
+     */
+    static hasScope(apiKey, scope) {
+        return Boolean(apiKey?.scopes.includes(scope));
+    }
+
+    /**
+     * Check an API key without recording its use
+     * For callers that only need to know whose key it is, like the rate limiter
+     * @param {string} key - Raw API key
+     * @returns {Promise<Object>} Stored key
+     * @throws {UnauthorizedError} If the key is unknown, revoked or expired
+     */
+    static async verify(key) {
+        const apiKey = await prisma.apiKey.findUnique({
+            where: { keyHash: TokenService.hashToken(key) },
+        });
+
+        if (!apiKey || apiKey.revokedAt) {
+            logger.warn(`${apiKey ? 'Revoked' : 'Unknown'} API key used${apiKey ? `: ${apiKey.id}` : ''}`);
+            throw new UnauthorizedError('Invalid API key');
+        }
+
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            logger.warn(`Expired API key used: ${apiKey.id}`);
+            throw new UnauthorizedError('API key expired');
+        }
+
+        return apiKey;
+    }
+
+    /**
+     * Check an API key and record its use
+     * @param {string} key - Raw API key
+     * @param {Object} [meta] - Client metadata ({ ipAddress })
+     * @returns {Promise<Object>} Key as { id, name, scopes }
+     * @throws {UnauthorizedError} If the key is unknown, revoked or expired
+     */
+    static async authenticate(key, { ipAddress } = {}) {
+        const apiKey = await ApiKeyService.verify(key);
+
+        const now = new Date();
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_RESOLUTION) {
+            prisma.apiKey.update({
+                where: { id: apiKey.id },
+                data: { lastUsedAt: now, lastUsedIp: ipAddress },
+            }).catch(error => {
+                logger.error(`Failed to record use of API key ${apiKey.id}: ${error.message}`);
+            });
+        }
+
+        logger.debug(`Request authenticated with API key: ${apiKey.id}`);
+        return { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+    }
+
+    /**
+     * Create an API key
+     * @param {Object} input - Key settings
+     * @param {string} input.name - What the key is used for
+     * @param {string[]} input.scopes - Scopes from API_KEY_SCOPES
+     * @param {Date|string} [input.expiresAt] - Expiry, the key never expires when omitted
+     * @param {string} createdById - ID of the admin creating the key
+     * @returns {Promise<Object>} { apiKey, key }, the raw key is not stored and cannot be shown again
+     * @throws {ValidationError} If the settings are invalid
+     */
+    static async createKey({ name, scopes, expiresAt }, createdById) {
+        if (!name?.trim()) {
+            throw new ValidationError('Name is required');
+        }
+
+        if (!Array.isArray(scopes) || !scopes.length) {
+            throw new ValidationError(`At least one scope is required: ${API_KEY_SCOPES.join(', ')}`);
+        }
+        const unknownScope = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+        if (unknownScope) {
+            throw new ValidationError(`Invalid scope: ${unknownScope}`);
+        }
+
+        let expiry = null;
+        if (expiresAt != null && expiresAt !== '') {
+            expiry = new Date(expiresAt);
+            if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+                throw new ValidationError('Expiry must be a date in the future');
+            }
+        }
+
+        const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const apiKey = await prisma.apiKey.create({
+            data: {
+                name: name.trim(),
+                prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+                keyHash: TokenService.hashToken(key),
+                scopes: [...new Set(scopes)],
+                createdById,
+                expiresAt: expiry,
+            },
+            select: API_KEY_SELECT,
+        });
+
+        logger.info(`API key ${apiKey.id} (${apiKey.name}) created by ${createdById} with scopes ${apiKey.scopes.join(', ')}`);
+        return { apiKey, key };
+    }
+
+    /**
+     * List every API key, newest first
+     * @returns {Promise<Array>} Keys without their hash
+     */
+    static async listKeys() {
+        return prisma.apiKey.findMany({
+            orderBy: { createdAt: 'desc' },
+            select: API_KEY_SELECT,
+        });
+    }
+
+    /**
+     * Revoke an API key, it stops working right away
+     * @param {string} id - API key ID
+     * @returns {Promise<Object>} Revoked key
+     * @throws {NotFoundError} If the key does not exist or is already revoked
+     */
+    static async revokeKey(id) {
+        const { count } = await prisma.apiKey.updateMany({
+            where: { id, revokedAt: null },
+            data: { revokedAt: new Date() },
+        });
+
+        if (count === 0) {
+            throw new NotFoundError('API key not found');
+        }
+
+        logger.info(`API key revoked: ${id}`);
+        return prisma.apiKey.findUnique({ where: { id }, select: API_KEY_SELECT });
+    }
+}
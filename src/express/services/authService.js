@@ -0,0 +1,648 @@
+import bcrypt from 'bcrypt';
+import { logger } from '../../config/logger.js';
+import { config } from '../../config/index.js';
+import { ValidationError, NotFoundError, ConflictError, ForbiddenError, AccountLockedError } from '../../utils/errors.js';
+import { TOKEN_TYPES, verifyToken, generateDashboardToken } from '../../utils/jwtUtils.js';
+import { publish, TOPICS } from '../../graphql/pubsub/index.js';
+import { TokenService } from './tokenService.js';
+import { UserService } from './userService.js';
+import { EmailService } from './emailService.js';
+import prisma from '../../../prisma/client.js';
+
+// Response header carrying an access token issued while authenticating a request
+export const ACCESS_TOKEN_HEADER = 'X-Access-Token';
+
+// Cookie carrying the session of the analytics pages, only sent to their routes
+export const DASHBOARD_SESSION_COOKIE = 'analyticsSession';
+const DASHBOARD_COOKIE_PATH = '/api/analytics';
+
+/**
+ * Service for authentication flows
+ * Shared by the REST controllers, the GraphQL resolvers and the HTTP/WebSocket
+ * GraphQL contexts so every transport behaves the same way.
+ *
+ * Most methods accept a `meta` object describing the client:
+ * { transport: 'rest' | 'graphql' | 'websocket', deviceInfo, ipAddress }
+ */
+export class AuthService {
+    /**
+     * Record an authentication audit event
+     * @param {string} event - Event name (e.g. login, logout, token_refreshed)
+     * @param {string|null} userId - Affected user
+     * @param {Object} [meta] - Client metadata
+     */
+    static audit(event, userId, meta = {}) {
+        logger.info(`Auth audit: ${event} for user ${userId || 'unknown'} via ${meta.transport || 'unknown'}`, {
+            event,
+            userId,
+            transport: meta.transport,
+            ipAddress: meta.ipAddress,
+            deviceInfo: meta.deviceInfo,
+        });
+    }
+
+    /**
+     * Set the refresh token cookie
+     * @param {Object} res - Express response object
+     * @param {string} refreshToken - Refresh token
+     */
+    static setRefreshCookie(res, refreshToken) {
+        res.cookie('refreshToken', refreshToken, {
+            httpOnly: true,
+            secure: config.nodeEnv === 'production',
+            sameSite: 'strict',
+            maxAge: config.jwt.refreshExpiration * 1000,
+        });
+    }
+
+    /**
+     * Hand an access token issued by a refresh to the client
+     * Clients replace their expired token with it, instead of refreshing on every request
+     * @param {Object} res - Express response object
+     * @param {string} accessToken - Access token
+     */
+    static setAccessTokenHeader(res, accessToken) {
+        res.set(ACCESS_TOKEN_HEADER, accessToken);
+    }
+
+    /**
+     * Start a session of the analytics pages for an admin
+     * The cookie is SameSite=Lax, unlike the refresh cookie, so it is also
+     * sent when the admin follows a link to the pages from another site.
+     * @param {Object} res - Express response object
+     * @param {Object} user - Authenticated user (id, email, role, tokenVersion)
+     */
+    static setDashboardCookie(res, user) {
+        res.cookie(DASHBOARD_SESSION_COOKIE, generateDashboardToken(user, config.analytics.sessionExpiration), {
+            httpOnly: true,
+            secure: config.nodeEnv === 'production',
+            sameSite: 'lax',
+            path: DASHBOARD_COOKIE_PATH,
+            maxAge: config.analytics.sessionExpiration * 1000,
+        });
+    }
+
+    /**
+     * Clear the refresh token cookie
+     * @param {Object} res - Express response object
+     */
+    static clearRefreshCookie(res) {
+        res.cookie('refreshToken', '', {
+            httpOnly: true,
+            secure: config.nodeEnv === 'production',
+            sameSite: 'strict',
+            maxAge: 0, // Clear the cookie immediately
+        });
+    }
+
+    /**
+     * Register a new user
+     * Every self-registered user gets the USER role
+     * @param {Object} userData - Registration data
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Created user (without password)
+     */
+    static async register(userData, meta = {}) {
+        const { email, password, userName, firstName, lastName } = userData;
+
+        if (!email || !password) {
+            throw new ValidationError('Email and password are required');
+        }
+
+        // Check if user already exists
+        const existingUser = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (existingUser) {
+            logger.warn(`Registration attempt with existing email: ${email}`);
+            throw new ConflictError('User with this email already exists');
+        }
+
+        // Hash password
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+        // Create user
+        let user;
+        try {
+            user = await prisma.user.create({
+                data: {
+                    email,
+                    password: hashedPassword,
+                    userName,
+                    firstName,
+                    lastName,
+                    role: 'USER', // Default role
+                },
+            });
+        } catch (error) {
+            logger.error(`Error creating user: ${error.message}`);
+            throw error;
+        }
+
+        AuthService.audit('register', user.id, meta);
+
+        await AuthService.sendVerificationEmail(user);
+
+        const { password: _, ...userWithoutPassword } = user;
+
+        // Publish user created event
+        publish(TOPICS.USER_CREATED, { userCreated: { user: UserService.toPublicUser(userWithoutPassword) } });
+
+        return userWithoutPassword;
+    }
+
+    /**
+     * Authenticate user with email and password
+     * @param {string} email - User email
+     * @param {string} password - User password
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} { accessToken, refreshToken, user }
+     */
+    static async login(email, password, meta = {}) {
+        if (!email || !password) {
+            logger.error('Login attempt with missing email or password');
+            throw new ValidationError('Email and password are required');
+        }
+
+        // Find user
+        const user = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (!user || user.deletedAt) {
+            logger.warn(`Login attempt with non-existent email: ${email}`);
+            throw new ValidationError('Invalid email or password');
+        }
+
+        if (!user.password) {
+            logger.error(`User record for ${email} is missing a password`);
+            throw new ValidationError('Invalid email or password');
+        }
+
+        AuthService.assertNotLocked(user);
+
+        // Verify password
+        const passwordValid = await bcrypt.compare(password, user.password);
+        if (!passwordValid) {
+            AuthService.audit('login_failed', user.id, meta);
+            await AuthService.recordFailedLogin(user, meta);
+            throw new ValidationError('Invalid email or password');
+        }
+
+        if (config.auth.requireEmailVerification && !user.isVerified) {
+            logger.warn(`Login attempt with unverified email for user: ${user.id}`);
+            throw new ForbiddenError('Email address has not been verified');
+        }
+
+        // Generate tokens and store the refresh token
+        const { accessToken, refreshToken } = await TokenService.issueTokens(user, meta);
+
+        const updatedUser = await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                ...AuthService.accessTokenData(accessToken),
+                lastLoginAt: new Date(),
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+            },
+        });
+
+        AuthService.audit('login', user.id, meta);
+
+        const { password: _, ...userWithoutPassword } = updatedUser;
+        return {
+            accessToken,
+            refreshToken,
+            user: userWithoutPassword,
+        };
+    }
+
+    /**
+     * Logout the current session
+     * Revokes the presented refresh token family, or every refresh token of
+     * the user when none is presented
+     * @param {string} userId - User ID
+     * @param {string} [refreshToken] - Refresh token of the current session
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Success message
+     */
+    static async logout(userId, refreshToken, meta = {}) {
+        const stored = refreshToken
+            ? await prisma.refreshToken.findUnique({ where: { tokenHash: TokenService.hashToken(refreshToken) } })
+            : null;
+
+        if (stored && stored.userId === userId) {
+            await TokenService.revokeFamily(stored.familyId, 'logout');
+        } else {
+            await TokenService.revokeAllForUser(userId, 'logout');
+        }
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: {
+                authToken: null,
+                authTokenExpiry: null,
+            },
+        });
+
+        AuthService.audit('logout', userId, meta);
+
+        return { message: 'Logout successful' };
+    }
+
+    /**
+     * Logout every session of the user, including outstanding access tokens
+     * @param {string} userId - User ID
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Success message
+     */
+    static async logoutAll(userId, meta = {}) {
+        await TokenService.revokeAllSessions(userId, 'logout_all');
+
+        await prisma.user.update({
+            where: { id: userId },
+            data: {
+                authToken: null,
+                authTokenExpiry: null,
+            },
+        });
+
+        AuthService.audit('logout_all', userId, meta);
+
+        return { message: 'Logged out from all devices' };
+    }
+
+    /**
+     * Refresh tokens using a refresh token
+     * The presented refresh token is consumed and replaced by a new one
+     * @param {string} refreshToken - Refresh token
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} { accessToken, refreshToken, user }
+     */
+    static async refresh(refreshToken, meta = {}) {
+        if (!refreshToken) {
+            throw new ValidationError('Refresh token is required');
+        }
+
+        const { user, accessToken, refreshToken: newRefreshToken } = await TokenService.rotateRefreshToken(refreshToken, meta);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: AuthService.accessTokenData(accessToken),
+        });
+
+        AuthService.audit('token_refreshed', user.id, meta);
+
+        const { password: _, ...userWithoutPassword } = user;
+        return {
+            accessToken,
+            refreshToken: newRefreshToken,
+            user: userWithoutPassword,
+        };
+    }
+
+    /**
+     * Resolve the user of a request from its tokens
+     * An expired access token is refreshed with the refresh token when one is provided
+     * @param {Object} credentials - Presented tokens
+     * @param {string} [credentials.accessToken] - Access token
+     * @param {string} [credentials.refreshToken] - Refresh token
+     * @param {Object} [meta] - Client metadata
+     * @returns {Promise<Object>} { user, tokens, error } - tokens is only set after a refresh
+     */
+    static async authenticate({ accessToken, refreshToken }, meta = {}) {
+        if (!accessToken) {
+            return { user: null };
+        }
+
+        try {
+            const user = await TokenService.verifyAccessToken(accessToken);
+            logger.debug(`Request authenticated for user: ${user.id} via ${meta.transport}`);
+            return { user };
+        } catch (error) {
+            if (error.name !== 'TokenExpiredError' || !refreshToken) {
+                logger.warn(`Invalid access token via ${meta.transport}: ${error.message}`);
+                return { user: null, error };
+            }
+        }
+
+        logger.warn(`Access token expired, attempting refresh via ${meta.transport}`);
+
+        try {
+            const tokens = await AuthService.refresh(refreshToken, meta);
+            return { user: verifyToken(tokens.accessToken, TOKEN_TYPES.ACCESS), tokens };
+        } catch (error) {
+            logger.error(`Refresh failed via ${meta.transport}: ${error.message}`);
+            return { user: null, error };
+        }
+    }
+
+    /**
+     * Build the user fields tracking the latest access token
+     * @param {string} accessToken - Access token
+     * @returns {Object} Prisma update data
+     */
+    static accessTokenData(accessToken) {
+        const expirationTime = config.jwt.accessExpiration || 3600; // Default to 1 hour if undefined
+        if (isNaN(expirationTime) || expirationTime <= 0) {
+            logger.error(`Invalid JWT access expiration time: ${config.jwt.accessExpiration}`);
+            throw new Error('Invalid JWT access expiration time');
+        }
+
+        return {
+            authToken: accessToken,
+            authTokenExpiry: new Date(Date.now() + expirationTime * 1000),
+        };
+    }
+
+    /**
+     * Reject login attempts while the account is locked
+     * @param {Object} user - User attempting to log in
+     * @throws {AccountLockedError} If the lockout has not expired yet
+     */
+    static assertNotLocked(user) {
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            logger.warn(`Login attempt on locked account: ${user.id}`);
+            throw new AccountLockedError(`Account is locked until ${user.lockedUntil.toISOString()}`);
+        }
+    }
+
+    /**
+     * Count a failed login and lock the account once the threshold is reached
+     * Every failure past the threshold doubles the lockout, up to the configured maximum
+     * @param {Object} user - User that failed to log in
+     * @param {Object} [meta] - Client metadata
+     * @returns {Promise<void>}
+     */
+    static async recordFailedLogin(user, meta = {}) {
+        const { threshold, duration, maxDuration } = config.auth.lockout;
+
+        const { failedLoginAttempts } = await prisma.user.update({
+            where: { id: user.id },
+            data: { failedLoginAttempts: { increment: 1 } },
+            select: { failedLoginAttempts: true },
+        });
+
+        if (failedLoginAttempts < threshold) {
+            return;
+        }
+
+        const lockSeconds = Math.min(duration * 2 ** (failedLoginAttempts - threshold), maxDuration);
+        const lockedUntil = new Date(Date.now() + lockSeconds * 1000);
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: { lockedUntil },
+        });
+
+        logger.warn(`Account locked for user ${user.id} after ${failedLoginAttempts} failed attempts until ${lockedUntil.toISOString()}`);
+        AuthService.audit('account_locked', user.id, meta);
+
+        const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        EmailService.sendNotification({
+            user,
+            subject: 'Your account has been temporarily locked',
+            message: `We detected ${failedLoginAttempts} failed login attempts on your account. For your security, logins are blocked until ${lockedUntil.toUTCString()}. If this wasn't you, please reset your password.`,
+            actionUrl: `${baseUrl}/forgot-password`,
+            actionText: 'Reset password',
+        }).catch((error) => {
+            logger.warn(`Lockout notification could not be sent to user ${user.id}: ${error.message}`);
+        });
+    }
+
+    /**
+     * Admin only: Clear a lockout and the failed login counter
+     * @param {string} id - User ID
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Unlocked user, public fields only
+     */
+    static async unlockUser(id, meta = {}) {
+        try {
+            const user = await prisma.user.update({
+                where: { id },
+                data: {
+                    failedLoginAttempts: 0,
+                    lockedUntil: null,
+                },
+            });
+
+            AuthService.audit('account_unlocked', id, meta);
+
+            // Returned to an admin, never the tokens of the user
+            return UserService.toPublicUser(user);
+        } catch (error) {
+            if (error.code === 'P2025') {
+                throw new NotFoundError('User not found');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Admin only: Invalidate every outstanding token of a user
+     * @param {string} id - User ID
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Success message
+     */
+    static async revokeSessions(id, meta = {}) {
+        try {
+            await TokenService.revokeAllSessions(id, 'admin_revoked');
+        } catch (error) {
+            if (error.code === 'P2025') {
+                throw new NotFoundError('User not found');
+            }
+            throw error;
+        }
+
+        AuthService.audit('sessions_revoked', id, meta);
+
+        return { message: 'User sessions revoked successfully' };
+    }
+
+    /**
+     * Issue an email verification token and send the welcome email
+     * The email is sent in the background, a delivery failure does not fail the caller
+     * @param {Object} user - User to verify
+     * @returns {Promise<void>}
+     */
+    static async sendVerificationEmail(user) {
+        const { token, tokenHash } = TokenService.generateOneTimeToken();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                emailVerificationToken: tokenHash,
+                emailVerificationExpiry: new Date(Date.now() + config.auth.emailVerificationExpiration * 1000),
+            },
+        });
+
+        EmailService.sendWelcomeEmail(user, token).catch((error) => {
+            logger.warn(`Verification email could not be sent to user ${user.id}: ${error.message}`);
+        });
+
+        logger.info(`Email verification issued for user: ${user.id}`);
+    }
+
+    /**
+     * Verify a user's email address
+     * @param {string} token - Verification token from the email link
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Verified user, public fields only
+     */
+    static async verifyEmail(token, meta = {}) {
+        if (!token) {
+            throw new ValidationError('Verification token is required');
+        }
+
+        const user = await prisma.user.findFirst({
+            where: { emailVerificationToken: TokenService.hashToken(token), deletedAt: null },
+        });
+
+        if (!user || !user.emailVerificationExpiry || user.emailVerificationExpiry <= new Date()) {
+            logger.warn('Invalid or expired email verification token used');
+            throw new ValidationError('Invalid or expired verification token');
+        }
+
+        const verifiedUser = await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                isVerified: true,
+                emailVerificationToken: null,
+                emailVerificationExpiry: null,
+            },
+        });
+
+        AuthService.audit('email_verified', user.id, meta);
+
+        // Anyone holding the link gets this answer, never the tokens of the user
+        return UserService.toPublicUser(verifiedUser);
+    }
+
+    /**
+     * Send a new verification email
+     * Responds the same way whether or not the email is registered
+     * @param {string} email - User email
+     * @returns {Object} Success message
+     */
+    static async resendVerificationEmail(email) {
+        if (!email) {
+            throw new ValidationError('Email is required');
+        }
+
+        const message = 'If the account exists and is not verified, a verification email has been sent';
+        const user = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (!user || user.deletedAt || user.isVerified) {
+            return { message };
+        }
+
+        // Throttle resends per account on top of the per-IP route limit, silently so the
+        // response does not tell registered addresses apart
+        if (user.emailVerificationExpiry) {
+            const issuedAt = user.emailVerificationExpiry.getTime() - config.auth.emailVerificationExpiration * 1000;
+            if (Date.now() - issuedAt < config.auth.verificationResendCooldown * 1000) {
+                logger.info(`Verification email resend skipped during cooldown for user: ${user.id}`);
+                return { message };
+            }
+        }
+
+        await AuthService.sendVerificationEmail(user);
+
+        return { message };
+    }
+
+    /**
+     * Start a password reset by emailing a single-use reset link
+     * Responds the same way whether or not the email is registered
+     * @param {string} email - User email
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Success message
+     */
+    static async forgotPassword(email, meta = {}) {
+        if (!email) {
+            throw new ValidationError('Email is required');
+        }
+
+        const message = 'If the account exists, a password reset email has been sent';
+        const user = await prisma.user.findUnique({
+            where: { email },
+        });
+
+        if (!user || user.deletedAt) {
+            logger.warn(`Password reset requested for non-existent email: ${email}`);
+            return { message };
+        }
+
+        const { token, tokenHash } = TokenService.generateOneTimeToken();
+
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                resetPasswordToken: tokenHash,
+                resetPasswordExpires: new Date(Date.now() + config.auth.passwordResetExpiration * 1000),
+            },
+        });
+
+        EmailService.sendPasswordResetEmail(user, token).catch((error) => {
+            logger.warn(`Password reset email could not be sent to user ${user.id}: ${error.message}`);
+        });
+
+        AuthService.audit('password_reset_requested', user.id, meta);
+
+        return { message };
+    }
+
+    /**
+     * Reset a password with a token from the reset email
+     * The token is consumed, a lockout is lifted and every existing session of the user is revoked
+     * @param {string} token - Password reset token
+     * @param {string} password - New password
+     * @param {Object} [meta] - Client metadata
+     * @returns {Object} Success message
+     */
+    static async resetPassword(token, password, meta = {}) {
+        if (!token || !password) {
+            throw new ValidationError('Reset token and new password are required');
+        }
+
+        const tokenHash = TokenService.hashToken(token);
+        const user = await prisma.user.findFirst({
+            where: { resetPasswordToken: tokenHash, deletedAt: null },
+        });
+
+        if (!user || !user.resetPasswordExpires || user.resetPasswordExpires <= new Date()) {
+            logger.warn('Invalid or expired password reset token used');
+            throw new ValidationError('Invalid or expired reset token');
+        }
+
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+        // Consume the token only if it was not used in the meantime
+        const { count } = await prisma.user.updateMany({
+            where: { id: user.id, resetPasswordToken: tokenHash },
+            data: {
+                password: hashedPassword,
+                resetPasswordToken: null,
+                resetPasswordExpires: null,
+                passwordLastChanged: new Date(),
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+            },
+        });
+
+        if (count === 0) {
+            throw new ValidationError('Invalid or expired reset token');
+        }
+
+        await TokenService.revokeAllSessions(user.id, 'password_reset');
+
+        AuthService.audit('password_reset', user.id, meta);
+
+        return { message: 'Password has been reset successfully' };
+    }
+}
@@ -0,0 +1,103 @@
+import { logger } from '../../config/logger.js';
+import { config } from '../../config/index.js';
+import { ValidationError } from '../../utils/errors.js';
+import { toJSONValue, fromJSONValue } from '../../graphql/pubsub/serialization.js';
+import prisma from '../../../prisma/client.js';
+
+/**
+ * Service for the persistent event log
+ * Every published subscription event is stored with a monotonically
+ * increasing ID, so clients that lost their connection can replay the
+ * events they missed. Old events are trimmed by the retention job.
+ */
+export class EventService {
+    /**
+     * Store a published event
+     * @param {string} topic - Topic name from TOPICS
+     * @param {*} payload - Event payload
+     * @returns {Promise<Object>} Stored event
+     */
+    static async append(topic, payload) {
+        return prisma.event.create({
+            data: { topic, payload: toJSONValue(payload) },
+        });
+    }
+
+    /**
+     * Parse the replay position requested by a subscriber
+     * @param {Object} args - Subscription arguments
+     * @param {string} [args.lastEventId] - ID of the last event the client received
+     * @param {Date|string} [args.since] - Replay events published at or after this time
+     * @returns {Object|null} { lastEventId } or { since }, null when no replay was requested
+     * @throws {ValidationError} If the arguments are invalid
+     */
+    static parseReplayArgs({ lastEventId, since } = {}) {
+        if (lastEventId != null && since != null) {
+            throw new ValidationError('Use either lastEventId or since, not both');
+        }
+
+        if (lastEventId != null) {
+            const id = Number(lastEventId);
+            if (!Number.isSafeInteger(id) || id < 0) {
+                throw new ValidationError(`Invalid lastEventId: ${lastEventId}`);
+            }
+            return { lastEventId: id };
+        }
+
+        if (since != null) {
+            const date = new Date(since);
+            if (Number.isNaN(date.getTime())) {
+                throw new ValidationError(`Invalid since: ${since}`);
+            }
+            return { since: date };
+        }
+
+        return null;
+    }
+
+    /**
+     * List stored events after a replay position, oldest first
+     * At most `limit` events are returned, the most recent ones
+     * @param {Object} options - Query options
+     * @param {string[]} options.topics - Topics to replay
+     * @param {number} [options.lastEventId] - Only events with a greater ID
+     * @param {Date} [options.since] - Only events published at or after this time
+     * @param {number} [options.limit] - Maximum number of events
+     * @returns {Promise<Array>} Events as { id, topic, payload, createdAt }
+     */
+    static async listEvents({ topics, lastEventId, since, limit = config.events.replayLimit }) {
+        const where = { topic: { in: topics } };
+        if (lastEventId != null) where.id = { gt: lastEventId };
+        if (since) where.createdAt = { gte: since };
+
+        // Keep the most recent events when over the limit, so the replay joins up with live delivery
+        const events = await prisma.event.findMany({
+            where,
+            orderBy: { id: 'desc' },
+            take: limit,
+        });
+
+        if (events.length === limit) {
+            logger.warn(`Event replay for ${topics.join(', ')} hit the limit of ${limit} events, older events were skipped`);
+        }
+
+        return events.reverse().map(event => ({ ...event, payload: fromJSONValue(event.payload) }));
+    }
+
+    /**
+     * Delete events older than the retention window
+     * @param {number} [retention] - Retention window in seconds
+     * @returns {Promise<number>} Number of deleted events
+     */
+    static async purgeOldEvents(retention = config.events.retention) {
+        const { count } = await prisma.event.deleteMany({
+            where: { createdAt: { lt: new Date(Date.now() - retention * 1000) } },
+        });
+
+        if (count > 0) {
+            logger.info(`Purged ${count} event(s) older than ${retention}s`);
+        }
+
+        return count;
+    }
+}
@@ -0,0 +1,310 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { logger, logDir, levels, logStream } from '../../config/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+// Log files written by the transports in src/config/logger.js
+export const LOG_TYPES = ['application', 'error', 'exceptions', 'rejections'];
+
+// <type>-YYYY-MM-DD.log, .N when rotated by size, .gz once archived
+const LOG_FILE_PATTERN = /^([a-z]+)-(\d{4}-\d{2}-\d{2})\.log(?:\.(\d+))?(\.gz)?$/;
+
+// `YYYY-MM-DD HH:mm:ss:ms level [requestId]: message`, the trailing `:ms` of the timestamp is not a millisecond value
+const ENTRY_PATTERN = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(?::\d+)? ([a-z]+)(?: \[([^\]]+)\])?: ?(.*)$/;
+
+const CHUNK_SIZE = 64 * 1024;
+const MAX_LIMIT = 500;
+const NEWLINE = 0x0a;
+
+/**
+ * Read the lines of a plain log file from the end
+ * Only the chunks needed are read, so the newest entries of a large file are cheap to get.
+ * @param {string} filePath - Log file path
+ * @returns {AsyncGenerator<string>} Lines, last first
+ */
+async function* readLinesBackward(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size } = await handle.stat();
+        let position = size;
+        let rest = Buffer.alloc(0);
+
+        while (position > 0) {
+            const length = Math.min(CHUNK_SIZE, position);
+            position -= length;
+
+            const chunk = Buffer.alloc(length);
+            await handle.read(chunk, 0, length, position);
+
+            // Split on bytes, a multi-byte character may span two chunks
+            const buffer = Buffer.concat([chunk, rest]);
+            let end = buffer.length;
+            let newline = end > 0 ? buffer.lastIndexOf(NEWLINE, end - 1) : -1;
+
+            while (newline !== -1) {
+                yield buffer.toString('utf8', newline + 1, end);
+                end = newline;
+                newline = end > 0 ? buffer.lastIndexOf(NEWLINE, end - 1) : -1;
+            }
+
+            rest = buffer.subarray(0, end);
+        }
+
+        if (rest.length) {
+            yield rest.toString('utf8');
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Read the lines of a gzipped log archive from the end
+ * Archives are decompressed in full, they are capped by LOG_FILE_MAX_SIZE.
+ * @param {string} filePath - Archive path
+ * @returns {AsyncGenerator<string>} Lines, last first
+ */
+async function* readArchiveLinesBackward(filePath) {
+    const content = await gunzip(await fs.promises.readFile(filePath));
+    const lines = content.toString('utf8').split('\n');
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        yield lines[i];
+    }
+}
+
+/**
+ * Parse the first line of a log entry, in the text or the JSON log format
+ * @param {string} line - Log line
+ * @returns {Object|null} Entry as { timestamp, level, message, requestId, meta }, null for continuation lines
+ */
+const parseEntry = (line) => {
+    if (line.startsWith('{')) {
+        try {
+            const { timestamp, level, message, requestId, ...meta } = JSON.parse(line);
+            if (timestamp && level) {
+                return {
+                    timestamp: new Date(timestamp),
+                    level,
+                    message: String(message ?? ''),
+                    requestId: requestId ?? null,
+                    meta: Object.keys(meta).length ? meta : null,
+                };
+            }
+        } catch {
+            // Not a JSON entry, e.g. an object printed as part of a multi-line message
+        }
+        return null;
+    }
+
+    const match = ENTRY_PATTERN.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    const [, date, time, level, requestId, message] = match;
+    return { timestamp: new Date(`${date}T${time}`), level, message, requestId: requestId ?? null, meta: null };
+};
+
+/**
+ * Parse the entries of a log file, newest first
+ * Lines that do not start with a timestamp (stack traces, multi-line
+ * messages) belong to the entry above them.
+ * @param {Object} file - Log file from listFiles
+ * @returns {AsyncGenerator<Object>} Entries as { timestamp, level, message, requestId, meta, file }
+ */
+async function* readEntriesBackward(file) {
+    const lines = file.archived ? readArchiveLinesBackward(file.path) : readLinesBackward(file.path);
+    let continuation = [];
+
+    for await (const line of lines) {
+        const entry = parseEntry(line);
+
+        if (!entry) {
+            if (line) continuation.unshift(line);
+            continue;
+        }
+
+        if (continuation.length) {
+            entry.message = [entry.message, ...continuation].join('\n');
+        }
+        yield { ...entry, file: file.name };
+        continuation = [];
+    }
+}
+
+/**
+ * Parse an optional date filter
+ * @param {string} name - Parameter name, used in the error message
+ * @param {Date|string} [value] - Date or date string
+ * @returns {Date|null} Parsed date
+ * @throws {ValidationError} If the date is invalid
+ */
+const parseDate = (name, value) => {
+    if (value == null || value === '') {
+        return null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+};
+
+/**
+ * Service reading the Winston log files
+ * Files are read newest first and from the end, so the first pages of a log
+ * only touch the tail of the current file. Older files, including the gzipped
+ * archives, are only opened when a page or the date range reaches them.
+ */
+export class LogService {
+    /**
+     * List the log files of a type, newest first
+     * @param {string} type - Log type from LOG_TYPES
+     * @param {string} [dir] - Log directory
+     * @returns {Promise<Array>} Files as { name, path, date, index, archived }
+     */
+    static async listFiles(type, dir = logDir) {
+        let names;
+        try {
+            names = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return names
+            .map(name => ({ name, match: LOG_FILE_PATTERN.exec(name) }))
+            .filter(({ match }) => match && match[1] === type)
+            .map(({ name, match }) => ({
+                name,
+                path: path.join(dir, name),
+                date: match[2],
+                index: match[3] ? Number(match[3]) : 0,
+                archived: Boolean(match[4]),
+            }))
+            // Size rotation numbers the files of a day upwards, the highest number is the newest
+            .sort((a, b) => b.date.localeCompare(a.date) || b.index - a.index);
+    }
+
+    /**
+     * Read log entries, newest first
+     * @param {Object} [options] - Read options
+     * @param {string} [options.type] - Log type from LOG_TYPES
+     * @param {string|string[]} [options.level] - Level or comma-separated levels to keep
+     * @param {Date|string} [options.from] - Only entries at or after this time
+     * @param {Date|string} [options.to] - Only entries at or before this time
+     * @param {string} [options.search] - Case-insensitive text the message or request ID must contain
+     * @param {number} [options.page] - Page number, starting at 1
+     * @param {number} [options.limit] - Entries per page, at most 500
+     * @param {string} [options.dir] - Log directory
+     * @returns {Promise<Object>} { logs, page, limit, hasMore, files }
+     * @throws {ValidationError} If an option is invalid
+     */
+    static async readLogs({
+        type = 'application',
+        level,
+        from,
+        to,
+        search,
+        page = 1,
+        limit = 100,
+        dir = logDir,
+    } = {}) {
+        if (!LOG_TYPES.includes(type)) {
+            throw new ValidationError(`Invalid log type: ${type}`);
+        }
+
+        const levelFilter = (Array.isArray(level) ? level : String(level ?? '').split(','))
+            .map(value => value.trim())
+            .filter(Boolean);
+        const unknownLevel = levelFilter.find(value => !Object.hasOwn(levels, value));
+        if (unknownLevel) {
+            throw new ValidationError(`Invalid log level: ${unknownLevel}`);
+        }
+
+        page = Number(page);
+        limit = Number(limit);
+        if (!Number.isInteger(page) || page < 1) {
+            throw new ValidationError(`Invalid page: ${page}`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new ValidationError(`Limit must be between 1 and ${MAX_LIMIT}`);
+        }
+
+        const fromDate = parseDate('from', from);
+        const toDate = parseDate('to', to);
+        const needle = search ? String(search).toLowerCase() : null;
+
+        const matches = (entry) =>
+            (!levelFilter.length || levelFilter.includes(entry.level))
+            && (!toDate || entry.timestamp <= toDate)
+            && (!needle
+                || entry.message.toLowerCase().includes(needle)
+                || entry.requestId?.toLowerCase().includes(needle));
+
+        const files = await LogService.listFiles(type, dir);
+        const skip = (page - 1) * limit;
+        const logs = [];
+        let matched = 0;
+        let hasMore = false;
+
+        scan:
+        for (const file of files) {
+            // A daily file only holds entries of its own (local) day
+            if (toDate && new Date(`${file.date}T00:00:00`) > toDate) continue;
+            if (fromDate && new Date(`${file.date}T23:59:59.999`) < fromDate) break;
+
+            try {
+                for await (const entry of readEntriesBackward(file)) {
+                    // Entries only get older from here on
+                    if (fromDate && entry.timestamp < fromDate) break scan;
+                    if (!matches(entry)) continue;
+
+                    // One entry past the page tells whether there is a next page
+                    if (logs.length === limit) {
+                        hasMore = true;
+                        break scan;
+                    }
+                    if (matched++ >= skip) {
+                        logs.push(entry);
+                    }
+                }
+            } catch (error) {
+                // Files can be archived or removed by the rotation while being read
+                if (error.code === 'ENOENT') continue;
+                logger.error(`Error reading log file ${file.name}: ${error.message}`);
+            }
+        }
+
+        return {
+            logs,
+            page,
+            limit,
+            hasMore,
+            files: files.map(file => file.name),
+        };
+    }
+
+    /**
+     * Listen to new log entries as they are logged
+     * @param {string} [level] - Least severe level to receive, every level when omitted
+     * @param {Function} listener - (entry) => void, entry is { timestamp, level, message, requestId }
+     * @returns {Function} Stops listening
+     * @throws {ValidationError} If the level is invalid
+     */
+    static streamLogs(level, listener) {
+        level ||= 'debug';
+        if (!Object.hasOwn(levels, level)) {
+            throw new ValidationError(`Invalid log level: ${level}`);
+        }
+
+        return logStream.subscribe(level, listener);
+    }
+}
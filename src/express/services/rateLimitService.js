@@ -0,0 +1,227 @@
+import { ipKeyGenerator } from 'express-rate-limit';
+import { config } from '../../config/index.js';
+import { logger } from '../../config/logger.js';
+import { TOKEN_TYPES, extractTokenFromHeader, verifyToken } from '../../utils/jwtUtils.js';
+import { ApiKeyService } from './apiKeyService.js';
+import { DASHBOARD_SESSION_COOKIE } from './authService.js';
+import prisma from '../../../prisma/client.js';
+
+// Response headers describing the limit of a request, browsers may only read them once exposed by CORS
+export const RATE_LIMIT_HEADERS = ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+// Expired counters are deleted at most this often
+const MIN_CLEANUP_INTERVAL = 60 * 1000;
+
+/**
+ * express-rate-limit store keeping the counters in PostgreSQL
+ * Every instance counts into the same rows, so limits hold behind a load
+ * balancer. A counter is a fixed window: the first hit after `resetAt`
+ * starts a new window. Increments are a single upsert, concurrent hits
+ * cannot overwrite each other.
+ */
+export class PrismaRateLimitStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {string} [options.prefix] - Prefix of the keys of this store, one per limiter
+     * @param {number} [options.windowMs] - Window length, set by express-rate-limit through init()
+     */
+    constructor({ prefix = 'rl:', windowMs } = {}) {
+        this.prefix = prefix;
+        this.windowMs = windowMs;
+        this.localKeys = false;
+        this.timer = null;
+    }
+
+    /**
+     * Called by express-rate-limit with the limiter options
+     * @param {Object} options - Limiter options
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    /**
+     * Count a hit
+     * @param {string} key - Client key
+     * @returns {Promise<Object>} { totalHits, resetTime }
+     */
+    async increment(key) {
+        this.scheduleCleanup();
+
+        const resetAt = new Date(Date.now() + this.windowMs);
+        const [counter] = await prisma.$queryRaw`
+            INSERT INTO "RateLimit" ("key", "hits", "resetAt")
+            VALUES (${this.prefix + key}, 1, ${resetAt})
+            ON CONFLICT ("key") DO UPDATE SET
+                "hits" = CASE WHEN "RateLimit"."resetAt" <= NOW() THEN 1 ELSE "RateLimit"."hits" + 1 END,
+                "resetAt" = CASE WHEN "RateLimit"."resetAt" <= NOW() THEN EXCLUDED."resetAt" ELSE "RateLimit"."resetAt" END
+            RETURNING "hits", "resetAt"
+        `;
+
+        return { totalHits: Number(counter.hits), resetTime: counter.resetAt };
+    }
+
+    /**
+     * Current count of a client
+     * @param {string} key - Client key
+     * @returns {Promise<Object|undefined>} { totalHits, resetTime }, undefined outside of a window
+     */
+    async get(key) {
+        const counter = await prisma.rateLimit.findUnique({ where: { key: this.prefix + key } });
+        if (!counter || counter.resetAt <= new Date()) {
+            return undefined;
+        }
+        return { totalHits: counter.hits, resetTime: counter.resetAt };
+    }
+
+    /**
+     * Take back a hit, for requests the limiter should not have counted
+     * @param {string} key - Client key
+     */
+    async decrement(key) {
+        await prisma.rateLimit.updateMany({
+            where: { key: this.prefix + key, hits: { gt: 0 } },
+            data: { hits: { decrement: 1 } },
+        });
+    }
+
+    /**
+     * Forget a client
+     * @param {string} key - Client key
+     */
+    async resetKey(key) {
+        await prisma.rateLimit.deleteMany({ where: { key: this.prefix + key } });
+    }
+
+    /**
+     * Delete the expired counters of this store from time to time
+     * Runs lazily on traffic, an idle store does not keep a timer
+     */
+    scheduleCleanup() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            try {
+                await prisma.rateLimit.deleteMany({
+                    where: { key: { startsWith: this.prefix }, resetAt: { lt: new Date() } },
+                });
+            } catch (error) {
+                logger.error(`Failed to delete expired rate limit counters: ${error.message}`);
+            }
+        }, Math.max(this.windowMs, MIN_CLEANUP_INTERVAL));
+        this.timer.unref();
+    }
+}
+
+/**
+ * Service resolving who a request counts against and how much it may send
+ * Clients are counted per user, per API key or, when anonymous, per IP
+ * address. Limits come from the tiers in config.rateLimit.tiers, by route
+ * group and role.
+ */
+export class RateLimitService {
+    /**
+     * Counter key and tier of a client
+     * @param {Object} client - Authenticated client
+     * @param {Object} [client.user] - Authenticated user ({ id, role })
+     * @param {Object} [client.apiKey] - Authenticated API key ({ id })
+     * @param {string} [client.ip] - Client IP address, for anonymous clients
+     * @returns {Object} { key, tier }
+     */
+    static identify({ user, apiKey, ip }) {
+        if (user) {
+            return { key: `user:${user.id}`, tier: user.role };
+        }
+        if (apiKey) {
+            return { key: `key:${apiKey.id}`, tier: 'API_KEY' };
+        }
+        // Whole /56 subnets for IPv6, a client can pick from far too many addresses
+        return { key: `ip:${ipKeyGenerator(ip ?? '')}`, tier: 'default' };
+    }
+
+    /**
+     * Identify the client of an Express request
+     * Clients already authenticated on the request (`req.apiKey`, `req.user`) are
+     * reused. Otherwise API keys are looked up without recording their use, which
+     * authMiddleware does, and access tokens and analytics session cookies are only
+     * checked for their signature, a revoked token still counts against its user.
+     * Invalid credentials count as anonymous.
+     * @param {Object} req - Express request object
+     * @returns {Promise<Object>} { key, tier }
+     */
+    static async identifyRequest(req) {
+        if (req.apiKey || req.user) {
+            return RateLimitService.identify({ apiKey: req.apiKey, user: req.user, ip: req.ip });
+        }
+
+        const key = ApiKeyService.extractKey(req.headers);
+        if (key) {
+            try {
+                const apiKey = await ApiKeyService.verify(key);
+                return RateLimitService.identify({ apiKey });
+            } catch {
+                return RateLimitService.identify({ ip: req.ip });
+            }
+        }
+
+        const token = extractTokenFromHeader(req.headers.authorization);
+        const session = !req.headers.authorization && req.cookies?.[DASHBOARD_SESSION_COOKIE];
+        if (token || session) {
+            try {
+                const { id, role } = token ? verifyToken(token, TOKEN_TYPES.ACCESS) : verifyToken(session, TOKEN_TYPES.DASHBOARD);
+                return RateLimitService.identify({ user: { id, role } });
+            } catch {
+                // Expired or forged tokens and refresh tokens count as anonymous
+            }
+        }
+
+        return RateLimitService.identify({ ip: req.ip });
+    }
+
+    /**
+     * Route group of a REST path
+     * @param {string} path - Request path
+     * @returns {string|undefined} Group name, undefined when no group matches
+     */
+    static groupFor(path) {
+        let match;
+        for (const [group, { path: prefix }] of Object.entries(config.rateLimit.tiers)) {
+            if (prefix && (path === prefix || path.startsWith(`${prefix}/`)) && (!match || prefix.length > match.prefix.length)) {
+                match = { group, prefix };
+            }
+        }
+        return match?.group;
+    }
+
+    /**
+     * Requests a tier may send per window
+     * @param {string} group - Route group from config.rateLimit.tiers
+     * @param {string} tier - Role, API_KEY or default
+     * @param {string} [operationName] - GraphQL operation, for its own limits
+     * @returns {number} Requests per window
+     */
+    static limitFor(group, tier, operationName) {
+        const { limits, operations = {} } = config.rateLimit.tiers[group];
+        const operationLimits = operationName ? operations[operationName] : undefined;
+
+        return operationLimits?.[tier] ?? operationLimits?.default ?? limits[tier] ?? limits.default;
+    }
+
+    /**
+     * Standard RateLimit-* headers (IETF draft 6, as sent by express-rate-limit)
+     * @param {Object} info - { limit, totalHits, resetTime }
+     * @param {number} windowMs - Window length
+     * @returns {Object} Header names and values
+     */
+    static headers({ limit, totalHits, resetTime }, windowMs) {
+        return {
+            'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(Math.max(limit - totalHits, 0)),
+            'RateLimit-Reset': String(Math.max(Math.ceil((resetTime - Date.now()) / 1000), 0)),
+        };
+    }
+}
@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { logger } from '../../config/logger.js';
+import { config } from '../../config/index.js';
+import { UnauthorizedError } from '../../utils/errors.js';
+import { TOKEN_TYPES, generateAccessToken, generateRefreshToken, verifyToken } from '../../utils/jwtUtils.js';
+import prisma from '../../../prisma/client.js';
+
+// Rotations of the last grace period by hash of the consumed token, oldest first
+const recentRotations = new Map();
+
+/**
+ * Service for issuing, verifying and revoking tokens
+ * Refresh tokens are stored hashed and grouped into rotation families.
+ * Every refresh consumes the presented token and issues a new one in the
+ * same family; presenting an already consumed token revokes the family.
+ * Requests sent in parallel with the same token (e.g. several GraphQL requests
+ * refreshing one expired access token) are not reuse: within the grace period
+ * they get the pair issued for the first one.
+ * Access and refresh tokens carry the user's token version, bumping it
+ * invalidates every token issued before.
+ */
+export class TokenService {
+    /**
+     * Hash a token for storage and lookup
+     * @param {string} token - Raw token
+     * @returns {string} SHA-256 hex digest
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Generate a random single-use token (email verification, password reset)
+     * Only the hash should be persisted, the raw token is sent to the user
+     * @returns {Object} { token, tokenHash }
+     */
+    static generateOneTimeToken() {
+        const token = crypto.randomBytes(32).toString('hex');
+        return { token, tokenHash: TokenService.hashToken(token) };
+    }
+
+    /**
+     * Verify an access token and check it against the user's current token version
+     * @param {string} token - JWT access token
+     * @param {string} [type=TOKEN_TYPES.ACCESS] - Expected token type, the analytics pages pass TOKEN_TYPES.DASHBOARD
+     * @returns {Promise<Object>} Decoded token payload
+     * @throws {TokenExpiredError} If the token is expired
+     * @throws {UnauthorizedError} If the token is not of the expected type or has been revoked
+     */
+    static async verifyAccessToken(token, type = TOKEN_TYPES.ACCESS) {
+        const decoded = verifyToken(token, type);
+
+        const user = await prisma.user.findFirst({
+            where: { id: decoded.id, deletedAt: null },
+            select: { tokenVersion: true },
+        });
+
+        if (!user || (decoded.tokenVersion || 0) !== user.tokenVersion) {
+            logger.warn(`Revoked access token used for user: ${decoded.id}`);
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        return decoded;
+    }
+
+    /**
+     * Issue and store a new refresh token
+     * @param {Object} user - User the token belongs to
+     * @param {Object} [options] - Token options
+     * @param {string} [options.familyId] - Existing family to continue, a new one is started if omitted
+     * @param {string} [options.deviceInfo] - Client user agent or device description
+     * @param {string} [options.ipAddress] - Client IP address
+     * @returns {Promise<string>} Raw refresh token
+     */
+    static async issueRefreshToken(user, { familyId = crypto.randomUUID(), deviceInfo, ipAddress } = {}) {
+        const refreshToken = generateRefreshToken(user, familyId);
+
+        await prisma.refreshToken.create({
+            data: {
+                tokenHash: TokenService.hashToken(refreshToken),
+                familyId,
+                userId: user.id,
+                deviceInfo,
+                ipAddress,
+                expiresAt: new Date(Date.now() + config.jwt.refreshExpiration * 1000),
+            },
+        });
+
+        return refreshToken;
+    }
+
+    /**
+     * Issue an access token and a refresh token starting a new family
+     * @param {Object} user - User to issue tokens for
+     * @param {Object} [meta] - Client metadata ({ deviceInfo, ipAddress })
+     * @returns {Promise<Object>} { accessToken, refreshToken }
+     */
+    static async issueTokens(user, meta = {}) {
+        const accessToken = generateAccessToken(user);
+        const refreshToken = await TokenService.issueRefreshToken(user, meta);
+        return { accessToken, refreshToken };
+    }
+
+    /**
+     * Consume a refresh token and issue its replacement
+     * A token rotated less than config.jwt.refreshGracePeriod ago by this
+     * instance returns the same replacement again.
+     * @param {string} refreshToken - Refresh token presented by the client
+     * @param {Object} [meta] - Client metadata ({ deviceInfo, ipAddress })
+     * @returns {Promise<Object>} { user, accessToken, refreshToken }
+     * @throws {UnauthorizedError} If the token is invalid, expired, revoked or reused
+     */
+    static async rotateRefreshToken(refreshToken, meta = {}) {
+        const tokenHash = TokenService.hashToken(refreshToken);
+        const now = Date.now();
+
+        for (const [hash, { expiresAt }] of recentRotations) {
+            if (expiresAt > now) break;
+            recentRotations.delete(hash);
+        }
+
+        const recent = recentRotations.get(tokenHash);
+        if (recent) {
+            const rotated = await recent.rotation;
+
+            // Unless the session ended (logout) or moved on to a newer pair meanwhile
+            const issued = await prisma.refreshToken.findUnique({
+                where: { tokenHash: TokenService.hashToken(rotated.refreshToken) },
+            });
+            if (!issued || issued.revokedAt) {
+                throw new UnauthorizedError('Token has been revoked');
+            }
+
+            logger.debug(`Refresh token rotated moments ago for user: ${rotated.user.id}, returning the same pair`);
+            return rotated;
+        }
+
+        // Stored before the first await, requests arriving meanwhile wait for the same rotation
+        const rotation = TokenService.consumeRefreshToken(refreshToken, tokenHash, meta);
+        recentRotations.set(tokenHash, { rotation, expiresAt: now + config.jwt.refreshGracePeriod * 1000 });
+        rotation.catch(() => recentRotations.delete(tokenHash));
+
+        return rotation;
+    }
+
+    /**
+     * Consume a refresh token, see rotateRefreshToken
+     * @param {string} refreshToken - Refresh token presented by the client
+     * @param {string} tokenHash - Hash of the token
+     * @param {Object} meta - Client metadata ({ deviceInfo, ipAddress })
+     * @returns {Promise<Object>} { user, accessToken, refreshToken }
+     * @throws {UnauthorizedError} If the token is invalid, expired, revoked or reused
+     */
+    static async consumeRefreshToken(refreshToken, tokenHash, meta) {
+        let decoded;
+        try {
+            decoded = verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+        } catch (error) {
+            logger.warn(`Refresh token rejected: ${error.message}`);
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        const stored = await prisma.refreshToken.findUnique({
+            where: { tokenHash },
+            include: { user: true },
+        });
+
+        if (!stored) {
+            logger.warn('Unknown refresh token used');
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        if (stored.revokedAt) {
+            TokenService.assertNotJustRotated(stored);
+            await TokenService.handleReuse(stored);
+        }
+
+        if (stored.expiresAt <= new Date()) {
+            logger.warn(`Expired refresh token used for user: ${stored.userId}`);
+            throw new UnauthorizedError('Refresh token expired');
+        }
+
+        if ((decoded.tokenVersion || 0) !== stored.user.tokenVersion) {
+            logger.warn(`Outdated refresh token version used for user: ${stored.userId}`);
+            await TokenService.revokeFamily(stored.familyId, 'token_version');
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        // Consume the token only if nobody else did in the meantime
+        const now = new Date();
+        const { count } = await prisma.refreshToken.updateMany({
+            where: { id: stored.id, revokedAt: null },
+            data: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now },
+        });
+
+        if (count === 0) {
+            // Consumed by a parallel request between the read and the update
+            logger.warn(`Refresh token consumed concurrently for user: ${stored.userId}`);
+            throw new UnauthorizedError('Refresh token already rotated');
+        }
+
+        const { user } = stored;
+        const accessToken = generateAccessToken(user);
+        const newRefreshToken = await TokenService.issueRefreshToken(user, {
+            familyId: stored.familyId,
+            deviceInfo: meta.deviceInfo ?? stored.deviceInfo,
+            ipAddress: meta.ipAddress ?? stored.ipAddress,
+        });
+
+        logger.info(`Refresh token rotated for user: ${user.id}`);
+
+        return { user, accessToken, refreshToken: newRefreshToken };
+    }
+
+    /**
+     * Check that the session of a refresh token is still valid, without consuming the token
+     * For long-lived connections holding a refresh token: the family must still have an
+     * active token (a newer one when the client rotated it elsewhere) and the token
+     * version must be current.
+     * @param {string} refreshToken - Refresh token of the session
+     * @returns {Promise<Object>} { user, current, expiresAt } - current when the token itself was not rotated yet, expiresAt of the family's newest token
+     * @throws {UnauthorizedError} If the token is invalid or its session ended
+     */
+    static async verifyRefreshSession(refreshToken) {
+        let decoded;
+        try {
+            decoded = verifyToken(refreshToken, TOKEN_TYPES.REFRESH);
+        } catch (error) {
+            logger.warn(`Refresh token rejected: ${error.message}`);
+            throw new UnauthorizedError('Invalid refresh token');
+        }
+
+        const stored = await prisma.refreshToken.findUnique({
+            where: { tokenHash: TokenService.hashToken(refreshToken) },
+            include: { user: true },
+        });
+        if (!stored || stored.user.deletedAt || (decoded.tokenVersion || 0) !== stored.user.tokenVersion) {
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        const active = await prisma.refreshToken.findFirst({
+            where: { familyId: stored.familyId, revokedAt: null, expiresAt: { gt: new Date() } },
+            orderBy: { expiresAt: 'desc' },
+        });
+        if (!active) {
+            throw new UnauthorizedError('Token has been revoked');
+        }
+
+        const { password: _, ...user } = stored.user;
+        return { user, current: active.id === stored.id, expiresAt: active.expiresAt };
+    }
+
+    /**
+     * Reject a token rotated within the grace period without revoking its family
+     * Another instance served the parallel request, the client gets its pair from that response
+     * @param {Object} stored - Stored refresh token record
+     * @throws {UnauthorizedError} If the token was rotated within the grace period
+     */
+    static assertNotJustRotated(stored) {
+        const graceStart = Date.now() - config.jwt.refreshGracePeriod * 1000;
+        if (stored.revokedReason === 'rotated' && stored.lastUsedAt?.getTime() > graceStart) {
+            logger.warn(`Refresh token rotated moments ago used again for user: ${stored.userId}`);
+            throw new UnauthorizedError('Refresh token already rotated');
+        }
+    }
+
+    /**
+     * Revoke the family of a reused token and reject the request
+     * @param {Object} stored - Stored refresh token record
+     * @throws {UnauthorizedError} Always
+     */
+    static async handleReuse(stored) {
+        logger.warn(`Refresh token reuse detected for user: ${stored.userId}, revoking family ${stored.familyId}`);
+        await TokenService.revokeFamily(stored.familyId, 'reuse_detected');
+        throw new UnauthorizedError('Refresh token reuse detected');
+    }
+
+    /**
+     * Revoke every active token in a family
+     * @param {string} familyId - Token family ID
+     * @param {string} [reason] - Revocation reason
+     * @returns {Promise<number>} Number of revoked tokens
+     */
+    static async revokeFamily(familyId, reason = 'revoked') {
+        const { count } = await prisma.refreshToken.updateMany({
+            where: { familyId, revokedAt: null },
+            data: { revokedAt: new Date(), revokedReason: reason },
+        });
+        return count;
+    }
+
+    /**
+     * Revoke every active refresh token of a user
+     * Access tokens stay valid until they expire, use revokeAllSessions to end them too
+     * @param {string} userId - User ID
+     * @param {string} [reason] - Revocation reason
+     * @returns {Promise<number>} Number of revoked tokens
+     */
+    static async revokeAllForUser(userId, reason = 'revoked') {
+        const { count } = await prisma.refreshToken.updateMany({
+            where: { userId, revokedAt: null },
+            data: { revokedAt: new Date(), revokedReason: reason },
+        });
+
+        logger.info(`Revoked ${count} refresh token(s) for user: ${userId}`);
+        return count;
+    }
+
+    /**
+     * Invalidate every outstanding access and refresh token of a user
+     * Bumps the user's token version so already issued JWTs fail verification
+     * @param {string} userId - User ID
+     * @param {string} [reason] - Revocation reason
+     * @returns {Promise<void>}
+     */
+    static async revokeAllSessions(userId, reason = 'revoked') {
+        await prisma.user.update({
+            where: { id: userId },
+            data: { tokenVersion: { increment: 1 } },
+        });
+
+        await TokenService.revokeAllForUser(userId, reason);
+    }
+}
@@ -1,174 +1,220 @@
 import bcrypt from 'bcrypt';
 import { logger } from '../../config/logger.js';
-import { ValidationError, NotFoundError, ConflictError } from '../../utils/errors.js';
-import { generateAccessToken, generateRefreshToken } from '../../utils/jwtUtils.js';
+import { config } from '../../config/index.js';
+import { NotFoundError, ConflictError, ValidationError, ForbiddenError } from '../../utils/errors.js';
+import { TokenService } from './tokenService.js';
+import { keysetQuery, toConnection } from '../../utils/pagination.js';
+import { publish, TOPICS } from '../../graphql/pubsub/index.js';
 import prisma from '../../../prisma/client.js';
 
+// Fields users can be sorted by, all non-nullable so they work as keyset cursors
+const SORT_FIELDS = {
+    createdAt: { isDate: true },
+    updatedAt: { isDate: true },
+    email: { isDate: false },
+};
+
+const ROLES = ['SYSADMIN', 'ADMIN', 'USER', 'MODERATOR'];
+
+// Roles allowed to manage other users
+const ADMIN_ROLES = ['SYSADMIN', 'ADMIN'];
+
+// Fields users can update on their own profile, token versions, verification and lockout state only change through their own flows
+const PROFILE_FIELDS = ['email', 'password', 'userName', 'firstName', 'lastName', 'profileImageUrl', 'phoneNumber'];
+
+// Fields only admins can update
+const ADMIN_FIELDS = ['role', 'isActive'];
+
+// Changes that end every session of the user, tokens carry the role and email
+const SESSION_FIELDS = ['role', 'isActive', 'email'];
+
+// Columns of a user readable by others (admins, API keys), without tokens, password and lockout counters
+export const PUBLIC_USER_SELECT = {
+    id: true,
+    email: true,
+    userName: true,
+    firstName: true,
+    lastName: true,
+    profileImageUrl: true,
+    isActive: true,
+    isVerified: true,
+    phoneNumber: true,
+    role: true,
+    createdAt: true,
+    updatedAt: true,
+    lastLoginAt: true,
+    lockedUntil: true,
+    deletedAt: true,
+};
+
 /**
  * Service for user-related operations
+ * Deleting a user only sets `deletedAt`, soft-deleted users are hidden from
+ * lookups and logins until they are restored or purged for good.
  */
 export class UserService {
     /**
-     * Create a new user
-     * @param {Object} userData - User data for registration
-     * @returns {Object} Created user (without password)
+     * Keep the public fields of a user (PUBLIC_USER_SELECT)
+     * Every user published to subscribers goes through it, events are stored
+     * and replayed, they must not carry tokens or the password.
+     * @param {Object} user - User row
+     * @returns {Object} Public fields of the user
      */
-    static async createUser(userData) {
-        const { email, password, firstName, lastName } = userData;
+    static toPublicUser(user) {
+        return Object.fromEntries(Object.keys(PUBLIC_USER_SELECT)
+            .filter(field => field in user)
+            .map(field => [field, user[field]]));
+    }
 
-        // Check if user already exists
-        const existingUser = await prisma.user.findUnique({
-            where: { email },
+    /**
+     * Get user by ID
+     * @param {string} id - User ID
+     * @returns {Object} User data (without password)
+     */
+    static async getUserById(id) {
+        const user = await prisma.user.findFirst({
+            where: { id, deletedAt: null },
         });
 
-        if (existingUser) {
-            logger.warn(`Registration attempt with existing email: ${email}`);
-            throw new ConflictError('User with this email already exists');
+        if (!user) {
+            throw new NotFoundError('User not found');
         }
 
-        // Hash password
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-        // Create user
-        try {
-            const user = await prisma.user.create({
-                data: {
-                    email,
-                    password: hashedPassword,
-                    firstName,
-                    lastName,
-                    role: 'USER', // Default role
-                },
-            });
-
-            logger.info(`User created: ${user.id}`);
-
-            // Return user without password
-            const { password: _, ...userWithoutPassword } = user;
-            return userWithoutPassword;
-        } catch (error) {
-            logger.error(`Error creating user: ${error.message}`);
-            throw error;
-        }
+        // Return user without password
+        const { password: _, ...userWithoutPassword } = user;
+        return userWithoutPassword;
     }
 
     /**
-     * Authenticate user
-     * @param {string} email - User email
-     * @param {string} password - User password
-     * @returns {Object} Authentication data with tokens and user info
+     * List users with cursor pagination, filtering and sorting
+     * Soft-deleted users are never included
+     * @param {Object} [options] - Listing options
+     * @param {number} [options.first] - Page size (default 20, max 100)
+     * @param {string} [options.after] - Cursor of the last row of the previous page
+     * @param {Object} [options.filter] - { role, isActive, isVerified, createdAfter, createdBefore, search }
+     * @param {Object} [options.orderBy] - { field: 'createdAt' | 'updatedAt' | 'email', direction: 'asc' | 'desc' }
+     * @param {Object} [options.select] - Prisma select, the ID and sort field are always included
+     * @returns {Promise<Object>} { edges, pageInfo, totalCount }
      */
-    static async login(email, password) {
-        if (!email || !password) {
-            logger.error('Login attempt with missing email or password');
-            throw new ValidationError('Email and password are required');
-        }
+    static async listUsers({ first, after, filter = {}, orderBy = {}, select } = {}) {
+        const field = orderBy.field || 'createdAt';
+        const direction = (orderBy.direction || 'desc').toLowerCase();
 
-        // Find user
-        const user = await prisma.user.findUnique({
-            where: { email },
-        });
-
-        if (!user) {
-            logger.warn(`Login attempt with non-existent email: ${email}`);
-            throw new ValidationError('Invalid email or password');
+        if (!SORT_FIELDS[field]) {
+            throw new ValidationError(`Cannot sort users by ${field}`);
         }
-
-        if (!user.password) {
-            logger.error(`User record for ${email} is missing a password`);
-            throw new ValidationError('Invalid email or password');
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new ValidationError('Sort direction must be asc or desc');
         }
 
-        // Verify password
-        const passwordValid = await bcrypt.compare(password, user.password);
-        if (!passwordValid) {
-            logger.warn(`Failed login attempt for user: ${user.id}`);
-            throw new ValidationError('Invalid email or password');
-        }
-
-        // Generate tokens
-        const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        const where = UserService.buildUserFilter(filter);
+        const page = keysetQuery({ first, after, field, direction, isDate: SORT_FIELDS[field].isDate });
 
-        // Update refresh token in database
-        await prisma.user.update({
-            where: { id: user.id },
-            data: {
-                refreshToken,
-                lastLogin: new Date(),
-            },
-        });
+        const [rows, totalCount] = await Promise.all([
+            prisma.user.findMany({
+                where: { AND: [where, page.where] },
+                orderBy: page.orderBy,
+                take: page.take,
+                ...(select && { select: { ...select, id: true, [field]: true } }),
+            }),
+            prisma.user.count({ where }),
+        ]);
 
-        logger.info(`User logged in: ${user.id}`);
+        const users = rows.map(({ password: _, ...user }) => user);
 
-        // Return authentication data
-        const { password: _, ...userWithoutPassword } = user;
-        return {
-            accessToken,
-            refreshToken,
-            user: userWithoutPassword,
-        };
+        return toConnection(users, { take: page.take, field, hasPreviousPage: Boolean(after), totalCount });
     }
 
     /**
-     * Refresh access token using refresh token
-     * @param {string} refreshToken - User's refresh token
-     * @returns {Object} New access token and user info
+     * Translate user listing filters into a Prisma where clause
+     * @param {Object} filter - { role, isActive, isVerified, createdAfter, createdBefore, search }
+     * @returns {Object} Prisma where clause
      */
-    static async refreshToken(refreshToken) {
-        // Find user by refresh token
-        const user = await prisma.user.findFirst({
-            where: { refreshToken },
-        });
+    static buildUserFilter({ role, isActive, isVerified, createdAfter, createdBefore, search } = {}) {
+        const where = { deletedAt: null };
 
-        if (!user) {
-            logger.warn('Invalid refresh token used');
-            throw new ValidationError('Invalid refresh token');
+        if (role) {
+            if (!ROLES.includes(role)) {
+                throw new ValidationError(`Unknown role: ${role}`);
+            }
+            where.role = role;
+        }
+        if (isActive !== undefined && isActive !== null) {
+            where.isActive = isActive;
+        }
+        if (isVerified !== undefined && isVerified !== null) {
+            where.isVerified = isVerified;
         }
 
-        // Generate new access token
-        const accessToken = generateAccessToken(user);
+        if (createdAfter || createdBefore) {
+            where.createdAt = {};
+            for (const [op, value] of [['gte', createdAfter], ['lte', createdBefore]]) {
+                if (!value) continue;
+                const date = new Date(value);
+                if (isNaN(date.getTime())) {
+                    throw new ValidationError(`Invalid date: ${value}`);
+                }
+                where.createdAt[op] = date;
+            }
+        }
 
-        logger.info(`Access token refreshed for user: ${user.id}`);
+        if (search) {
+            where.OR = ['email', 'userName', 'firstName', 'lastName'].map(field => ({
+                [field]: { contains: search, mode: 'insensitive' },
+            }));
+        }
 
-        // Return new access token and user info
-        const { password: _, ...userWithoutPassword } = user;
-        return {
-            accessToken,
-            user: userWithoutPassword,
-        };
+        return where;
     }
 
     /**
-     * Get user by ID
-     * @param {string} id - User ID
-     * @returns {Object} User data (without password)
+     * Keep the fields of an update the authenticated user may change
+     * Unknown and internal fields (tokenVersion, isVerified, lockedUntil, ...) are dropped
+     * @param {Object} data - Requested changes, e.g. a request body or GraphQL input
+     * @param {Object} actor - Authenticated user making the change
+     * @returns {Object} Changes to pass to updateUser
+     * @throws {ForbiddenError} If a non-admin changes the role or active state
+     * @throws {ValidationError} If the role is unknown
      */
-    static async getUserById(id) {
-        const user = await prisma.user.findUnique({
-            where: { id },
-        });
-
-        if (!user) {
-            throw new NotFoundError('User not found');
+    static pickUpdatableFields(data = {}, actor) {
+        const isAdmin = ADMIN_ROLES.includes(actor?.role);
+        const forbidden = ADMIN_FIELDS.find(field => data[field] !== undefined && !isAdmin);
+        if (forbidden) {
+            throw new ForbiddenError(`Not authorized to update ${forbidden}`);
+        }
+        if (data.role !== undefined && !ROLES.includes(data.role)) {
+            throw new ValidationError(`Invalid role: ${data.role}`);
         }
 
-        // Return user without password
-        const { password: _, ...userWithoutPassword } = user;
-        return userWithoutPassword;
+        return Object.fromEntries(
+            [...PROFILE_FIELDS, ...ADMIN_FIELDS]
+                .filter(field => data[field] !== undefined)
+                .map(field => [field, data[field]])
+        );
     }
 
     /**
      * Update user profile
+     * Changing the password, role, active state or email bumps the token version
+     * and revokes the refresh tokens, so no session keeps the old values.
      * @param {string} id - User ID
-     * @param {Object} updateData - Data to update
+     * @param {Object} updateData - Data to update, filtered by pickUpdatableFields
+     * @param {Object} [actor] - Authenticated user making the change, admins updating another user only get its public fields back
      * @returns {Object} Updated user (without password)
      */
-    static async updateUser(id, updateData) {
+    static async updateUser(id, updateData, actor) {
         const { password, email, ...otherData } = updateData;
         const updatePayload = { ...otherData };
 
+        const current = await prisma.user.findFirst({
+            where: { id, deletedAt: null },
+            select: { role: true, isActive: true, email: true },
+        });
+
+        if (!current) {
+            throw new NotFoundError('User not found');
+        }
+
         // If changing email, check if new email already exists
         if (email) {
             const existingUser = await prisma.user.findUnique({
@@ -186,21 +232,32 @@ export class UserService {
         if (password) {
             const saltRounds = 10;
             updatePayload.password = await bcrypt.hash(password, saltRounds);
+            updatePayload.passwordLastChanged = new Date();
+        }
+
+        const changed = SESSION_FIELDS.filter(field => updatePayload[field] !== undefined && updatePayload[field] !== current[field]);
+        const endsSessions = Boolean(password) || changed.length > 0;
+        if (endsSessions) {
             updatePayload.tokenVersion = { increment: 1 }; // Invalidate existing tokens
         }
 
         // Update user
         try {
             const updatedUser = await prisma.user.update({
-                where: { id },
+                where: { id, deletedAt: null },
                 data: updatePayload,
             });
 
             logger.info(`User updated: ${id}`);
 
-            // Return updated user without password
+            if (endsSessions) {
+                await TokenService.revokeAllForUser(id, password ? 'password_changed' : 'account_changed');
+            }
+
             const { password: _, ...userWithoutPassword } = updatedUser;
-            return userWithoutPassword;
+            const publicUser = UserService.toPublicUser(userWithoutPassword);
+            publish(TOPICS.USER_UPDATED, { userUpdated: { user: publicUser } });
+            return actor && actor.id !== id ? publicUser : userWithoutPassword;
         } catch (error) {
             if (error.code === 'P2025') {
                 throw new NotFoundError('User not found');
@@ -210,43 +267,101 @@ export class UserService {
     }
 
     /**
-     * Logout user by invalidating refresh token
+     * Soft delete a user account
+     * The row is kept so its API request history stays intact, every session is revoked
      * @param {string} id - User ID
-     * @returns {Object} Success message
+     * @returns {Object} Deleted user, public fields only
      */
-    static async logout(id) {
-        await prisma.user.update({
-            where: { id },
-            data: {
-                refreshToken: null,
-                tokenVersion: { increment: 1 }, // Invalidate existing tokens
-            },
-        });
+    static async deleteUser(id) {
+        try {
+            const deletedUser = await prisma.user.update({
+                where: { id, deletedAt: null },
+                data: { deletedAt: new Date() },
+            });
 
-        logger.info(`User logged out: ${id}`);
+            await TokenService.revokeAllSessions(id, 'user_deleted');
 
-        return { message: 'Logout successful' };
+            logger.info(`User soft deleted: ${id}`);
+
+            const user = UserService.toPublicUser(deletedUser);
+            publish(TOPICS.USER_DELETED, { userDeleted: { user } });
+            return user;
+        } catch (error) {
+            if (error.code === 'P2025') {
+                throw new NotFoundError('User not found');
+            }
+            throw error;
+        }
     }
 
     /**
-     * Delete user account
+     * Admin only: Restore a soft-deleted user
      * @param {string} id - User ID
-     * @returns {Object} Success message
+     * @returns {Object} Restored user, public fields only
      */
-    static async deleteUser(id) {
+    static async restoreUser(id) {
         try {
-            await prisma.user.delete({
-                where: { id },
+            const restoredUser = await prisma.user.update({
+                where: { id, deletedAt: { not: null } },
+                data: { deletedAt: null },
             });
 
-            logger.info(`User deleted: ${id}`);
+            logger.info(`User restored: ${id}`);
 
-            return { message: 'User deleted successfully' };
+            const user = UserService.toPublicUser(restoredUser);
+            publish(TOPICS.USER_UPDATED, { userUpdated: { user } });
+            return user;
         } catch (error) {
             if (error.code === 'P2025') {
-                throw new NotFoundError('User not found');
+                throw new NotFoundError('Deleted user not found');
             }
             throw error;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Admin only: Permanently delete a soft-deleted user
+     * Refresh tokens are removed with the user, API requests are kept without the user reference
+     * @param {string} id - User ID
+     * @returns {Object} Success message
+     */
+    static async purgeUser(id) {
+        const user = await prisma.user.findUnique({
+            where: { id },
+            select: { deletedAt: true },
+        });
+
+        if (!user) {
+            throw new NotFoundError('User not found');
+        }
+
+        if (!user.deletedAt) {
+            throw new ValidationError('Only deleted users can be purged');
+        }
+
+        await prisma.user.delete({
+            where: { id },
+        });
+
+        logger.info(`User purged: ${id}`);
+
+        return { message: 'User purged successfully' };
+    }
+
+    /**
+     * Permanently delete users that were soft deleted longer than the retention window ago
+     * @param {number} [retention] - Retention window in seconds
+     * @returns {Promise<number>} Number of purged users
+     */
+    static async purgeDeletedUsers(retention = config.users.deletedRetention) {
+        const { count } = await prisma.user.deleteMany({
+            where: { deletedAt: { lt: new Date(Date.now() - retention * 1000) } },
+        });
+
+        if (count > 0) {
+            logger.info(`Purged ${count} user(s) deleted more than ${retention}s ago`);
+        }
+
+        return count;
+    }
+}
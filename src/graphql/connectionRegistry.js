@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { CloseCode } from 'graphql-ws';
+import { logger } from '../config/logger.js';
+
+// WebSocket close reasons are limited to 123 bytes
+const MAX_CLOSE_REASON_LENGTH = 123;
+
+/**
+ * In-memory registry of the open WebSocket connections of this instance
+ * Tracks who is connected, from where, since when, which subscriptions are
+ * running and how many messages went each way. Connections are registered
+ * once connection_init was accepted and removed when the socket closes.
+ */
+export class ConnectionRegistry {
+    constructor() {
+        this.connections = new Map(); // connection id -> entry
+    }
+
+    /**
+     * Register an accepted connection
+     * @param {Object} ctx - graphql-ws connection context, `ctx.extra.session` must be set
+     * @returns {Object} Registry entry
+     */
+    register(ctx) {
+        const { socket, request, session } = ctx.extra;
+
+        const entry = {
+            id: crypto.randomUUID(),
+            session,
+            socket,
+            ipAddress: request?.socket?.remoteAddress ?? null,
+            userAgent: request?.headers?.['user-agent'] ?? null,
+            connectedAt: new Date(),
+            subscriptions: new Map(), // operation id -> { id, operationName, startedAt }
+            messagesReceived: 1, // connection_init
+            messagesSent: 0,
+        };
+
+        socket.on('message', () => {
+            entry.messagesReceived++;
+        });
+
+        ctx.extra.connectionId = entry.id;
+        this.connections.set(entry.id, entry);
+        return entry;
+    }
+
+    /**
+     * Remove a closed connection
+     * @param {Object} ctx - graphql-ws connection context
+     */
+    unregister(ctx) {
+        this.connections.delete(ctx.extra.connectionId);
+    }
+
+    /**
+     * @param {Object} ctx - graphql-ws connection context
+     * @returns {Object|undefined} Registry entry of the connection
+     */
+    entry(ctx) {
+        return this.connections.get(ctx.extra.connectionId);
+    }
+
+    /**
+     * Record a subscription started on a connection
+     * @param {Object} ctx - graphql-ws connection context
+     * @param {string} id - Operation id chosen by the client
+     * @param {Object} payload - Subscribe message payload
+     */
+    subscriptionStarted(ctx, id, payload) {
+        this.entry(ctx)?.subscriptions.set(id, {
+            id,
+            operationName: payload?.operationName ?? null,
+            startedAt: new Date(),
+        });
+    }
+
+    /**
+     * Record a subscription that completed or failed
+     * @param {Object} ctx - graphql-ws connection context
+     * @param {string} id - Operation id
+     */
+    subscriptionEnded(ctx, id) {
+        this.entry(ctx)?.subscriptions.delete(id);
+    }
+
+    /**
+     * Count a message sent to a connection
+     * @param {Object} ctx - graphql-ws connection context
+     */
+    messageSent(ctx) {
+        const entry = this.entry(ctx);
+        if (entry) {
+            entry.messagesSent++;
+        }
+    }
+
+    /**
+     * Snapshot of every open connection, oldest first
+     * @returns {Object[]} Connections without their socket
+     */
+    list() {
+        return [...this.connections.values()].map(({ id, session, ipAddress, userAgent, connectedAt, subscriptions, messagesReceived, messagesSent }) => ({
+            id,
+            userId: session.user?.id ?? null,
+            email: session.user?.email ?? null,
+            role: session.user?.role ?? null,
+            ipAddress,
+            userAgent,
+            connectedAt,
+            subscriptions: [...subscriptions.values()],
+            messagesReceived,
+            messagesSent,
+        }));
+    }
+
+    /**
+     * Force a connection closed
+     * @param {string} id - Connection id
+     * @param {string} [reason] - Close reason sent to the client
+     * @returns {boolean} Whether the connection was found
+     */
+    disconnect(id, reason = 'Disconnected by administrator') {
+        const entry = this.connections.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        logger.warn(`🔌 Force-disconnecting WebSocket connection ${id} of user ${entry.session.user?.id ?? 'anonymous'}: ${reason}`);
+        entry.socket.close(CloseCode.Forbidden, reason.slice(0, MAX_CLOSE_REASON_LENGTH));
+        return true;
+    }
+}
+
+// Registry of this instance's connections
+export const connectionRegistry = new ConnectionRegistry();
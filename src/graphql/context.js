@@ -1,127 +1,67 @@
-import { verifyToken, extractTokenFromHeader, generateAccessToken, generateRefreshToken } from '../utils/jwtUtils.js';
-import prisma from '../../prisma/client.js';
-import config from '../config/env.js';
+import { extractTokenFromHeader } from '../utils/jwtUtils.js';
+import { AuthService } from '../express/services/authService.js';
+import { ApiKeyService } from '../express/services/apiKeyService.js';
 import { logger } from '../config/index.js';
+import { authenticateConnection } from './websocket.js';
+import { createLoaders } from './loaders.js';
 
 /**
  * GraphQL context function
- * Creates a context object for each GraphQL request with user authentication
+ * Creates a context object for each GraphQL request with user authentication.
+ * Requests sending an API key get `apiKey` instead of a user, resolvers that
+ * accept API keys check its scopes. `loaders` batches the lookups of the
+ * request (see loaders.js).
  * @param {Object} options - Context function options
  * @returns {Object} - Context object
  */
 export const createContext = async ({ req, res }) => {
-    try {
-        // Get token from authorization header
-        const authHeader = req?.headers?.authorization;
-        const token = extractTokenFromHeader(authHeader);
+    const loaders = createLoaders();
 
-        if (!token) {
-            return { user: null, res };
+    try {
+        const key = ApiKeyService.extractKey(req?.headers);
+        if (key) {
+            const apiKey = await ApiKeyService.authenticate(key, { ipAddress: req?.ip });
+            return { user: null, apiKey, loaders, req, res };
         }
 
-        try {
-            // Verify token
-            const user = verifyToken(token);
-            logger.debug(`GraphQL request authenticated for user: ${user.id}`);
-            return { user, res };
-        } catch (error) {
-            console.log("Error", error)
-
-            if (error.name === 'TokenExpiredError') {
-                logger.warn('Access token expired, attempting to refresh');
-
-                // Extract refresh token from cookies
-                const refreshToken = req.cookies?.refreshToken;
-                if (!refreshToken) {
-                    logger.warn('No refresh token provided');
-                    return { user: null, res };
-                }
-
-                try {
-                    // Verify refresh token
-                    const user = verifyToken(refreshToken, true); // Pass a flag to indicate refresh token
+        const { user, tokens } = await AuthService.authenticate({
+            accessToken: extractTokenFromHeader(req?.headers?.authorization),
+            refreshToken: req?.cookies?.refreshToken,
+        }, {
+            transport: 'graphql',
+            deviceInfo: req?.get('user-agent'),
+            ipAddress: req?.ip,
+        });
 
-                    // Generate new tokens
-                    const newAccessToken = generateAccessToken(user);
-                    const newRefreshToken = generateRefreshToken(user);
-                    const expirationTime = config.jwt.accessExpiration || 3600; // Default to 1 hour if undefined
-                    if (isNaN(expirationTime) || expirationTime <= 0) {
-                        logger.error(`Invalid JWT access expiration time: ${config.jwt.accessExpiration}`);
-                        throw new Error('Invalid JWT access expiration time');
-                    }
-
-                    // Update refresh token in database
-                    await prisma.user.update({
-                        where: { id: user.id },
-                        data: {
-                            authToken: newAccessToken,
-                            authTokenExpiry: new Date(Date.now() + expirationTime * 1000).toISOString(), // Corrected to ensure valid Date
-                        },
-                    });
-
-                    // Set new refresh token in cookies
-                    res.cookie('refreshToken', newRefreshToken, {
-                        httpOnly: true,
-                        secure: config.nodeEnv === 'production',
-                        sameSite: 'strict',
-                        maxAge: config.jwt.refreshExpiration * 1000,
-                    });
-
-                    logger.info(`Refreshed tokens for user: ${user.id}`);
-                    return { user, res };
-                } catch (refreshError) {
-                    logger.error(`Invalid refresh token: ${refreshError.message}`);
-                    return { user: null, res };
-                }
-            }
-
-            logger.warn(`Invalid token in GraphQL request: ${error.message}`);
-            return { user: null, res };
+        // Expired access token was refreshed, hand the new tokens to the client
+        if (tokens) {
+            AuthService.setRefreshCookie(res, tokens.refreshToken);
+            AuthService.setAccessTokenHeader(res, tokens.accessToken);
         }
+
+        return { user, loaders, req, res };
     } catch (error) {
         logger.error(`Error in GraphQL context: ${error.message}`);
-        return { user: null, res };
+        return { user: null, loaders, req, res };
     }
 };
 
 /**
  * Create subscription context
- * Handles user authentication for WebSocket connections
- * @param {Object} options - Context function options
+ * Authentication happens once per connection at connection_init (see websocket.js),
+ * every subscription of the connection shares its session (graphql-ws `context` option).
+ * Each subscription gets its own loaders, batching without caching since it lives across events
+ * @param {Object} ctx - graphql-ws connection context
  * @returns {Object} - Context object
  */
-export const createSubscriptionContext = async ({ _token, refreshToken }) => {
-    try {
-        const token = extractTokenFromHeader(_token)
-        if (!token && !refreshToken) {
-            throw new Error('Authentication token is required');
-        }
-
-        try {
-            const user = verifyToken(token);
-            logger.debug(`WebSocket connection authenticated for user: ${user.id}`);
-            return { user };
-        } catch (error) {
-            if (error.name === 'TokenExpiredError' && refreshToken) {
-                logger.warn('Access token expired, attempting to refresh');
-
-                try {
-                    const user = verifyToken(refreshToken, true); // Verify refresh token
-                    const newAccessToken = generateAccessToken(user);
-                    const newRefreshToken = generateRefreshToken(user);
+export const createSubscriptionContext = async (ctx) => {
+    const session = ctx.extra.session ?? await authenticateConnection(ctx);
 
-                    logger.info(`Refreshed tokens for user: ${user.id}`);
-                    return { user, newAccessToken, newRefreshToken };
-                } catch (refreshError) {
-                    logger.error(`Invalid refresh token: ${refreshError.message}`);
-                    return { user: null };
-                }
-            }
-            logger.error(`WebSocket connection error: ${error.message}`);
-            return { user: null };
-        }
-    } catch (error) {
-        logger.error(`Error in subscription context: ${error.message}`);
-        return { user: null };
-    }
-};
\ No newline at end of file
+    return {
+        user: session.user,
+        authenticated: Boolean(session.user),
+        authError: session.authError ?? undefined,
+        session,
+        loaders: createLoaders({ cache: false }),
+    };
+};
@@ -0,0 +1,91 @@
+import DataLoader from 'dataloader';
+import prisma from '../../prisma/client.js';
+
+/**
+ * Load users by ID
+ * Soft-deleted and unknown users load as null, passwords are left out
+ * @param {string[]} ids - User IDs
+ * @returns {Promise<Array<Object|null>>} Users, in the order of the IDs
+ */
+const batchUsers = async (ids) => {
+    const users = await prisma.user.findMany({
+        where: { id: { in: [...ids] }, deletedAt: null },
+    });
+
+    const byId = new Map(users.map(({ password: _, ...user }) => [user.id, user]));
+    return ids.map(id => byId.get(id) ?? null);
+};
+
+// API requests loaded per user when the caller does not ask for a number, and the most it can ask for
+const DEFAULT_API_REQUESTS = 20;
+const MAX_API_REQUESTS = 100;
+
+/**
+ * Number of API requests to load for a key, within 1 and MAX_API_REQUESTS
+ * @param {number} [first] - Requested number
+ * @returns {number}
+ */
+const apiRequestLimit = (first) => Math.min(Math.max(parseInt(first, 10) || DEFAULT_API_REQUESTS, 1), MAX_API_REQUESTS);
+
+/**
+ * Cache key of an API request key, keys asking for the same page are loaded once
+ * @param {Object} key - { userId, first }
+ * @returns {string}
+ */
+const apiRequestKey = ({ userId, first }) => `${userId}:${apiRequestLimit(first)}`;
+
+/**
+ * Load the latest API requests of users
+ * Keys asking for the same number of requests share one query. Rows are
+ * ranked per user in the database, so only the requested number of rows of
+ * every user is read instead of their whole history.
+ * @param {Array<{userId: string, first: number}>} keys - Users and how many requests to load for each
+ * @returns {Promise<Array<Object[]>>} Requests of every key, newest first
+ */
+const batchApiRequests = async (keys) => {
+    const usersByLimit = new Map();
+    for (const { userId, first } of keys) {
+        const limit = apiRequestLimit(first);
+        if (!usersByLimit.has(limit)) {
+            usersByLimit.set(limit, new Set());
+        }
+        usersByLimit.get(limit).add(userId);
+    }
+
+    const requestsByKey = new Map();
+    await Promise.all([...usersByLimit].map(async ([limit, userIds]) => {
+        const rows = await prisma.$queryRaw`
+            SELECT * FROM (
+                SELECT *, ROW_NUMBER() OVER (PARTITION BY "userId" ORDER BY "timestamp" DESC) AS "rank"
+                FROM "ApiRequest"
+                WHERE "userId" = ANY(${[...userIds]}::uuid[])
+            ) ranked
+            WHERE "rank" <= ${limit}
+            ORDER BY "userId", "timestamp" DESC
+        `;
+
+        for (const { rank: _, ...request } of rows) {
+            const key = apiRequestKey({ userId: request.userId, first: limit });
+            if (!requestsByKey.has(key)) {
+                requestsByKey.set(key, []);
+            }
+            requestsByKey.get(key).push(request);
+        }
+    }));
+
+    return keys.map(key => requestsByKey.get(apiRequestKey(key)) ?? []);
+};
+
+/**
+ * Create the DataLoaders of a GraphQL context
+ * Loads requested by resolvers in the same tick run as one Prisma query
+ * instead of one per parent (N+1). A new registry is created for every
+ * operation, loaded rows are never shared between users.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.cache=true] - Keep loaded rows for the operation, subscriptions disable it to see fresh rows on every event
+ * @returns {Object} { userById, apiRequestsByUserId }, the latter loads `{ userId, first }` keys
+ */
+export const createLoaders = ({ cache = true } = {}) => ({
+    userById: new DataLoader(batchUsers, { cache }),
+    apiRequestsByUserId: new DataLoader(batchApiRequests, { cache, cacheKeyFn: apiRequestKey }),
+});
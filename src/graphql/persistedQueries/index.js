@@ -0,0 +1,174 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { GraphQLError } from 'graphql';
+import { ErrorsAreMissesCache, InMemoryLRUCache } from '@apollo/utils.keyvaluecache';
+import { config, logger } from '../../config/index.js';
+import { PrismaQueryCache } from './prismaQueryCache.js';
+
+// Key prefix of the queries registered by hash, Apollo Server prefixes its cache keys the same way
+const APQ_KEY_PREFIX = 'apq:';
+
+// Format written by @apollo/generate-persisted-query-manifest
+const MANIFEST_FORMAT = 'apollo-persisted-query-manifest';
+
+/**
+ * Persisted query cache interface (Apollo KeyValueCache)
+ * Every adapter implements:
+ * - get(key): Promise<string|undefined>
+ * - set(key, query, { ttl }): Promise<void>
+ * - delete(key): Promise<void>
+ *
+ * Adapters:
+ * - memory (default): process-local LRU cache, clients register again on every instance
+ * - postgres: PersistedQuery table, shared by every instance
+ */
+const adapters = {
+    memory: () => new InMemoryLRUCache(),
+    // A failing database turns into cache misses, clients then send the full query
+    postgres: () => new ErrorsAreMissesCache(new PrismaQueryCache(), logger),
+};
+
+/**
+ * Create the persisted query cache selected by config
+ * @param {string} adapter - Adapter name
+ * @returns {Object} KeyValueCache
+ */
+export const createQueryCache = (adapter) => {
+    const factory = adapters[adapter];
+    if (!factory) {
+        throw new Error(`Unknown persisted query cache: ${adapter} (expected one of ${Object.keys(adapters).join(', ')})`);
+    }
+
+    logger.info(`Using ${adapter} persisted query cache`);
+    return factory();
+};
+
+/**
+ * SHA-256 hash of a query, as sent by clients in `extensions.persistedQuery.sha256Hash`
+ * @param {string} query - Query document
+ * @returns {string} Hex digest
+ */
+export const hashQuery = (query) => crypto.createHash('sha256').update(query).digest('hex');
+
+/**
+ * Load the operations of a persisted query manifest
+ * @param {string} [path] - Manifest path, no operations when omitted
+ * @returns {Map<string, Object>} Operations ({ id, name, type, body }) by hash
+ * @throws {Error} If the manifest cannot be read or an operation does not match its hash
+ */
+export const loadManifest = (path) => {
+    const operations = new Map();
+    if (!path) {
+        return operations;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read operation manifest ${path}: ${error.message}`);
+    }
+
+    if (manifest.format !== MANIFEST_FORMAT || manifest.version !== 1 || !Array.isArray(manifest.operations)) {
+        throw new Error(`Invalid operation manifest ${path}: expected ${MANIFEST_FORMAT} version 1`);
+    }
+
+    for (const operation of manifest.operations) {
+        if (typeof operation.body !== 'string' || hashQuery(operation.body) !== operation.id) {
+            throw new Error(`Invalid operation manifest ${path}: id of ${operation.name ?? 'an operation'} is not the SHA-256 hash of its body`);
+        }
+        operations.set(operation.id, operation);
+    }
+
+    logger.info(`Loaded ${operations.size} operations from ${path}`);
+    return operations;
+};
+
+// Singletons of the configured cache and manifest
+const queryCache = createQueryCache(config.persistedQueries.cache);
+const manifest = loadManifest(config.persistedQueries.manifest);
+
+/**
+ * `persistedQueries` option of Apollo Server
+ * Apollo implements the APQ protocol over HTTP, resolveOperationQuery does for graphql-ws
+ */
+export const persistedQueryOptions = config.persistedQueries.enabled
+    ? { cache: queryCache, ttl: config.persistedQueries.ttl }
+    : false;
+
+/**
+ * Query of a manifest operation
+ * @param {string} hash - SHA-256 hash of the query
+ * @returns {string|undefined} Query, undefined when the manifest has no such operation
+ */
+export const manifestQuery = (hash) => manifest.get(hash)?.body;
+
+/**
+ * Error of an operation the allowlist does not permit
+ * @param {string} hash - SHA-256 hash of the query
+ * @returns {GraphQLError|null} PERSISTED_QUERY_NOT_IN_LIST error, null when the operation may run
+ */
+export const allowlistError = (hash) => {
+    if (!config.persistedQueries.allowlist || manifest.has(hash)) {
+        return null;
+    }
+
+    return new GraphQLError('Operation is not in the persisted query manifest', {
+        extensions: {
+            code: 'PERSISTED_QUERY_NOT_IN_LIST',
+            http: { status: 400 },
+        },
+    });
+};
+
+/**
+ * Resolve the query of a graphql-ws subscribe payload
+ * Same protocol as over HTTP (Apollo Server and persistedQueryPlugin): a
+ * payload with only `extensions.persistedQuery.sha256Hash` runs the manifest
+ * operation or the query registered under that hash, a payload with both
+ * registers the query. graphql-ws requires `query` to be a string, clients
+ * send an empty one with the hash alone.
+ * @param {Object} payload - Subscribe message payload ({ query, extensions })
+ * @returns {Promise<string>} Query to execute
+ * @throws {GraphQLError} If the hash is unknown or invalid, or the allowlist does not permit the operation
+ */
+export const resolveOperationQuery = async ({ query, extensions }) => {
+    const persistedQuery = extensions?.persistedQuery;
+    if (!persistedQuery) {
+        const error = query ? allowlistError(hashQuery(query)) : null;
+        if (error) throw error;
+        return query;
+    }
+
+    if (persistedQuery.version !== 1) {
+        throw new GraphQLError('Unsupported persisted query version', { extensions: { code: 'BAD_REQUEST' } });
+    }
+
+    const hash = persistedQuery.sha256Hash;
+    if (query && hashQuery(query) !== hash) {
+        throw new GraphQLError('provided sha does not match query', { extensions: { code: 'BAD_REQUEST' } });
+    }
+    if (manifest.has(hash)) {
+        return manifestQuery(hash);
+    }
+
+    const error = allowlistError(hash);
+    if (error) throw error;
+
+    if (!config.persistedQueries.enabled) {
+        throw new GraphQLError('PersistedQueryNotSupported', { extensions: { code: 'PERSISTED_QUERY_NOT_SUPPORTED' } });
+    }
+
+    if (!query) {
+        const persisted = await queryCache.get(APQ_KEY_PREFIX + hash);
+        if (!persisted) {
+            throw new GraphQLError('PersistedQueryNotFound', { extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' } });
+        }
+        return persisted;
+    }
+
+    // Registering is best effort, the query runs either way
+    await Promise.resolve(queryCache.set(APQ_KEY_PREFIX + hash, query, { ttl: config.persistedQueries.ttl }))
+        .catch(error => logger.warn(`Failed to register persisted query ${hash}: ${error.message}`));
+    return query;
+};
@@ -0,0 +1,74 @@
+import { logger } from '../../config/logger.js';
+import prisma from '../../../prisma/client.js';
+
+// Expired queries are deleted at most this often
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Persisted query cache keeping the queries in PostgreSQL
+ * Implements the KeyValueCache interface of Apollo Server (get, set, delete),
+ * a query registered on one instance can be sent by hash to every other.
+ */
+export class PrismaQueryCache {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Read a query
+     * @param {string} key - Cache key
+     * @returns {Promise<string|undefined>} Query, undefined when unknown or expired
+     */
+    async get(key) {
+        const entry = await prisma.persistedQuery.findUnique({ where: { key } });
+        if (!entry || (entry.expiresAt && entry.expiresAt <= new Date())) {
+            return undefined;
+        }
+        return entry.query;
+    }
+
+    /**
+     * Store a query
+     * @param {string} key - Cache key
+     * @param {string} query - Query
+     * @param {Object} [options] - { ttl } in seconds, the query never expires without it
+     */
+    async set(key, query, { ttl } = {}) {
+        this.scheduleCleanup();
+
+        const expiresAt = ttl ? new Date(Date.now() + ttl * 1000) : null;
+        await prisma.persistedQuery.upsert({
+            where: { key },
+            create: { key, query, expiresAt },
+            update: { query, expiresAt },
+        });
+    }
+
+    /**
+     * Forget a query
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await prisma.persistedQuery.deleteMany({ where: { key } });
+    }
+
+    /**
+     * Delete the expired queries from time to time
+     * Runs lazily on registrations, an idle cache does not keep a timer
+     */
+    scheduleCleanup() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setTimeout(async () => {
+            this.timer = null;
+            try {
+                await prisma.persistedQuery.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+            } catch (error) {
+                logger.error(`Failed to delete expired persisted queries: ${error.message}`);
+            }
+        }, CLEANUP_INTERVAL);
+        this.timer.unref();
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * Apollo plugin recording which GraphQL operation an HTTP request ran
+ * apiTrackingMiddleware stores every call to /graphql under the same endpoint.
+ * This plugin leaves the operation name and type, the number of resolver
+ * errors, the depth and cost measured by queryComplexityPlugin and the
+ * authenticated user on `req.graphqlOperation`, which the middleware adds to
+ * the ApiRequest row when the response is sent.
+ */
+export const operationTrackingPlugin = {
+    async requestDidStart() {
+        let resolverErrorCount = 0;
+
+        return {
+            async didEncounterErrors({ errors }) {
+                // Errors with a path were raised while resolving fields, the others are parse or validation errors
+                resolverErrorCount += errors.filter(error => error.path).length;
+            },
+
+            async willSendResponse({ contextValue, request, operation, operationName }) {
+                const req = contextValue?.req;
+                if (!req) {
+                    return;
+                }
+
+                req.graphqlOperation = {
+                    operationName: operationName ?? request.operationName ?? null,
+                    operationType: operation?.operation ?? null,
+                    resolverErrorCount,
+                    queryDepth: contextValue.queryComplexity?.depth ?? null,
+                    queryCost: contextValue.queryComplexity?.cost ?? null,
+                    userId: contextValue.user?.id ?? null,
+                };
+            },
+        };
+    },
+};
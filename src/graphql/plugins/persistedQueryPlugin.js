@@ -0,0 +1,33 @@
+import { allowlistError, hashQuery, manifestQuery } from '../persistedQueries/index.js';
+
+/**
+ * Apollo plugin serving the operations of the persisted query manifest
+ * Apollo Server handles automatic persisted queries itself (persistedQueries
+ * option). This plugin lets clients send manifest operations by hash without
+ * registering them first, and enforces the allowlist: when it is on, only
+ * manifest operations run, anything else fails with
+ * PERSISTED_QUERY_NOT_IN_LIST before a resolver runs and before Apollo
+ * registers it. graphql-ws requests go through resolveOperationQuery instead.
+ */
+export const persistedQueryPlugin = {
+    async requestDidStart({ request }) {
+        const hash = request.extensions?.persistedQuery?.sha256Hash;
+        const query = hash ? manifestQuery(hash) : undefined;
+
+        // Known operation, run it as if the client had sent the full query
+        if (query && (request.query === undefined || hashQuery(request.query) === hash)) {
+            const { persistedQuery, ...extensions } = request.extensions;
+            request.query = query;
+            request.extensions = extensions;
+        }
+
+        return {
+            async didResolveOperation({ queryHash }) {
+                const error = allowlistError(queryHash);
+                if (error) {
+                    throw error;
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,33 @@
+import { logger } from '../../config/index.js';
+import { measureOperation, queryComplexityError } from '../queryComplexity.js';
+
+/**
+ * Apollo plugin limiting the depth and cost of GraphQL operations
+ * Measures the operation about to run with its variables, see
+ * src/graphql/queryComplexity.js for the cost model. The result is left on
+ * `contextValue.queryComplexity` for operationTrackingPlugin, operations over
+ * config.queryComplexity are rejected with QUERY_TOO_COMPLEX before any
+ * resolver runs.
+ */
+export const queryComplexityPlugin = {
+    async requestDidStart() {
+        return {
+            async didResolveOperation({ schema, document, operation, operationName, request, contextValue }) {
+                const complexity = measureOperation(schema, document, operation, request.variables);
+                if (contextValue) {
+                    contextValue.queryComplexity = complexity;
+                }
+
+                const error = queryComplexityError(complexity);
+                if (error) {
+                    logger.warn(`GraphQL operation rejected: ${error.message}`, {
+                        operation: operationName ?? 'unnamed operation',
+                        depth: complexity.depth,
+                        cost: complexity.cost,
+                    });
+                    throw error;
+                }
+            },
+        };
+    },
+};
@@ -0,0 +1,81 @@
+import { GraphQLError } from 'graphql';
+import { config, logger } from '../../config/index.js';
+import { PrismaRateLimitStore, RateLimitService } from '../../express/services/rateLimitService.js';
+
+const store = new PrismaRateLimitStore({ prefix: 'rl:graphql:', windowMs: config.rateLimit.tiers.graphql.windowMs });
+
+/**
+ * Operation of a request that has its own limits in config.rateLimit.tiers.graphql.operations
+ * Matched on the operation name and on its root fields, renaming
+ * `mutation login { login(...) }` does not escape the login limit.
+ * @param {Object} operation - Resolved operation AST
+ * @param {string} [operationName] - Operation name sent by the client
+ * @returns {string|undefined} Operation name, undefined when the operation uses the shared limit
+ */
+const limitedOperationOf = (operation, operationName) => {
+    const { operations = {} } = config.rateLimit.tiers.graphql;
+    const rootFields = operation.selectionSet.selections
+        .filter(selection => selection.kind === 'Field')
+        .map(field => field.name.value);
+
+    return [operationName, ...rootFields].find(name => name && Object.hasOwn(operations, name));
+};
+
+/**
+ * Apollo plugin rate limiting GraphQL requests
+ * The REST limiter does not apply to /graphql, every operation counts here
+ * instead, against the graphql tier of the user, API key or IP address.
+ * Operations with their own limits (login, register...) are counted
+ * separately. Sets the same RateLimit-* headers as the REST routes and
+ * answers 429 with a RATE_LIMITED error once the limit is reached.
+ * Subscriptions over WebSocket have no HTTP request and are not limited.
+ */
+export const rateLimitPlugin = {
+    async requestDidStart() {
+        return {
+            async didResolveOperation({ contextValue, operation, operationName, response }) {
+                const req = contextValue?.req;
+                if (!config.rateLimit.enabled || !req) {
+                    return;
+                }
+
+                const { key, tier } = RateLimitService.identify({
+                    user: contextValue.user,
+                    apiKey: contextValue.apiKey,
+                    ip: req.ip,
+                });
+                const limitedOperation = limitedOperationOf(operation, operationName);
+                const limit = RateLimitService.limitFor('graphql', tier, limitedOperation);
+
+                let counter;
+                try {
+                    counter = await store.increment(limitedOperation ? `${key}:${limitedOperation}` : key);
+                } catch (error) {
+                    // Let requests through when the database cannot count them, like passOnStoreError
+                    logger.error(`Failed to count GraphQL request for rate limiting: ${error.message}`);
+                    return;
+                }
+
+                const headers = RateLimitService.headers({ limit, ...counter }, store.windowMs);
+                for (const [name, value] of Object.entries(headers)) {
+                    response.http.headers.set(name, value);
+                }
+
+                if (counter.totalHits > limit) {
+                    response.http.headers.set('Retry-After', headers['RateLimit-Reset']);
+                    logger.warn(`GraphQL rate limit exceeded for ${key} (${tier}) on ${limitedOperation ?? 'graphql'}`, {
+                        operation: operationName ?? 'unnamed operation',
+                        ip: req.ip,
+                    });
+
+                    throw new GraphQLError('Too many requests, please try again later', {
+                        extensions: {
+                            code: 'RATE_LIMITED',
+                            http: { status: 429 },
+                        },
+                    });
+                }
+            },
+        };
+    },
+};
@@ -1,89 +1,49 @@
-import { EventEmitter } from 'events';
 import { logger } from '../../config/logger.js';
+import { config } from '../../config/index.js';
+import { MemoryPubSub } from './memoryPubSub.js';
+import { PostgresPubSub } from './postgresPubSub.js';
+import { withReplay, withEventId } from './withReplay.js';
+import { EventService } from '../../express/services/eventService.js';
 
 /**
- * Apollo Server v5 Native PubSub Implementation
- * Using EventEmitter and async generators - no external dependencies
+ * PubSub engine interface
+ * Every adapter implements:
+ * - publish(triggerName, payload): Promise<void>
+ * - asyncIterator(triggers, options): AsyncIterator - yields the payloads published on the trigger(s)
+ *   through a bounded per-subscriber buffer (options: bufferSize, overflow)
+ * - getMetrics(): Object - queue metrics of the active subscribers
+ * - close(): Promise<void>
+ *
+ * Adapters:
+ * - memory (default): process-local EventEmitter, single instance only
+ * - postgres: PostgreSQL LISTEN/NOTIFY over DATABASE_URL, shared by every instance
  */
-class Apollo5PubSub {
-    constructor() {
-        this.eventEmitter = new EventEmitter();
-        this.eventEmitter.setMaxListeners(0); // Remove listener limit
-    }
+const adapters = {
+    memory: (options) => new MemoryPubSub(options),
+    postgres: (options) => new PostgresPubSub({ ...options, connectionString: config.database.url }),
+};
 
-    /**
-     * Publish an event to subscribers
-     * @param {string} triggerName - Event name
-     * @param {any} payload - Event payload
-     */
-    publish(triggerName, payload) {
-        logger.debug(`Publishing to trigger: ${triggerName}`);
-        this.eventEmitter.emit(triggerName, payload);
-        return Promise.resolve();
+/**
+ * Create the PubSub engine selected by config
+ * @param {string} adapter - Adapter name
+ * @param {Object} [options] - Default subscriber buffer options ({ bufferSize, overflow })
+ * @returns {Object} PubSub engine
+ */
+export const createPubSub = (adapter, options = {}) => {
+    const factory = adapters[adapter];
+    if (!factory) {
+        throw new Error(`Unknown pubsub adapter: ${adapter} (expected one of ${Object.keys(adapters).join(', ')})`);
     }
 
-    /**
-     * Create an async iterator for subscription
-     * @param {string|string[]} triggers - Event name(s) to listen for
-     * @returns {AsyncIterator} Async iterator for the subscription
-     */
-    async* asyncIterator(triggers) {
-        const triggerNames = Array.isArray(triggers) ? triggers : [triggers];
-        const pullQueue = [];
-        const pushQueue = [];
-        let listening = true;
-
-        // Set up event listeners
-        const eventListeners = {};
-
-        triggerNames.forEach(triggerName => {
-            const listener = (payload) => {
-                logger.debug(`🔔 Event received on topic "${triggerName}":`, JSON.stringify(payload, null, 2));
-                if (pushQueue.length) {
-                    const { resolve } = pushQueue.shift();
-                    logger.debug(`🎯 Delivering event immediately to waiting subscriber`);
-                    resolve({ value: payload, done: false });
-                } else {
-                    logger.debug(`📝 Queuing event for future subscriber`);
-                    pullQueue.push(payload);
-                }
-            };
-
-            eventListeners[triggerName] = listener;
-            this.eventEmitter.on(triggerName, listener);
-        });
-
-        // Cleanup function
-        const cleanup = () => {
-            listening = false;
-            triggerNames.forEach(triggerName => {
-                this.eventEmitter.removeListener(triggerName, eventListeners[triggerName]);
-            });
-        };
-
-        try {
-            while (listening) {
-                if (pullQueue.length > 0) {
-                    const event = pullQueue.shift();
-                    logger.debug(`📦 Yielding queued event to subscriber`);
-                    yield event;
-                } else {
-                    logger.debug(`⏳ Waiting for next event...`);
-                    const { value } = await new Promise((resolve) => {
-                        pushQueue.push({ resolve });
-                    });
-                    logger.debug(`📦 Yielding immediate event to subscriber`);
-                    yield value;
-                }
-            }
-        } finally {
-            cleanup();
-        }
-    }
-}
+    logger.info(`Using ${adapter} pubsub adapter`);
+    return factory(options);
+};
 
 // Create a singleton instance
-const pubsub = new Apollo5PubSub();
+const pubsub = createPubSub(config.pubsub.adapter, {
+    bufferSize: config.pubsub.bufferSize,
+    overflow: config.pubsub.overflow,
+});
 
 /**
  * Event topics for subscriptions
@@ -99,16 +59,74 @@ export const TOPICS = {
 
 /**
  * Publish an event to a topic
+ * The event is stored in the event log first, delivered payloads carry its
+ * log ID as `eventId`. If the event cannot be stored it is still delivered
+ * live, without an ID. Failures are logged, publishing never fails the caller.
  * @param {string} topic - Topic name from TOPICS
  * @param {*} payload - Event payload
  */
-export const publish = (topic, payload) => {
+export const publish = async (topic, payload) => {
     logger.debug(`Publishing to topic: ${topic}`);
-    return pubsub.publish(topic, payload);
+
+    let delivered = payload;
+    try {
+        const event = await EventService.append(topic, payload);
+        delivered = withEventId(payload, event.id);
+    } catch (error) {
+        logger.error(`Failed to store event for topic ${topic}, it cannot be replayed: ${error.message}`);
+    }
+
+    return pubsub.publish(topic, delivered).catch((error) => {
+        logger.error(`Failed to publish to topic ${topic}: ${error.message}`);
+    });
 };
 
+/**
+ * Replay the events a subscriber missed ahead of its live iterator
+ * @param {AsyncIterator} live - Live iterator from pubsub.asyncIterator
+ * @param {string|string[]} triggers - Topic name(s) the live iterator listens to
+ * @param {Object} [args] - Subscription arguments: lastEventId or since
+ * @returns {AsyncIterator} Live iterator, wrapped to replay missed events first when requested
+ * @throws {ValidationError} If the replay arguments are invalid, the live iterator is closed
+ */
+export const replayMissed = (live, triggers, args = {}) => {
+    let position;
+    try {
+        position = EventService.parseReplayArgs(args);
+    } catch (error) {
+        live.return();
+        throw error;
+    }
+
+    if (!position) {
+        return live;
+    }
+
+    const topics = Array.isArray(triggers) ? triggers : [triggers];
+    return withReplay(live, async () => {
+        const events = await EventService.listEvents({ topics, ...position });
+        logger.info(`Replaying ${events.length} missed event(s) on ${topics.join(', ')}`);
+        return events.map(event => withEventId(event.payload, event.id));
+    });
+};
+
+/**
+ * Subscribe to topics, replaying missed events first when requested
+ * @param {string|string[]} triggers - Topic name(s) from TOPICS
+ * @param {Object} [args] - Subscription arguments: lastEventId or since
+ * @param {Object} [options] - Buffer options, see MemoryPubSub#asyncIterator
+ * @returns {AsyncIterator} Subscription iterator
+ * @throws {ValidationError} If the replay arguments are invalid
+ */
+export const subscribe = (triggers, args = {}, options = {}) =>
+    replayMissed(pubsub.asyncIterator(triggers, options), triggers, args);
+
 // Export the pubsub instance
 export { pubsub };
 
+// Per-subscriber event filtering for subscribe resolvers
+export { withFilter } from './withFilter.js';
+export { withReplay, withEventId, eventIdOf } from './withReplay.js';
+
 // Export default for easier importing
-export default pubsub;
\ No newline at end of file
+export default pubsub;
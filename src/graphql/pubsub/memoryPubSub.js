@@ -0,0 +1,105 @@
+import { EventEmitter } from 'events';
+import { logger } from '../../config/logger.js';
+import { SubscriptionIterator, OVERFLOW_POLICIES } from './subscriptionIterator.js';
+
+/**
+ * Apollo Server v5 Native PubSub Implementation
+ * Using EventEmitter and bounded async iterators - no external dependencies
+ * Events only reach subscribers of the same process, this is the default engine
+ */
+export class MemoryPubSub {
+    /**
+     * @param {Object} [options] - Default buffer options for new subscribers
+     * @param {number} [options.bufferSize] - Maximum number of buffered events per subscriber
+     * @param {string} [options.overflow] - Overflow policy: drop-oldest, drop-newest or disconnect
+     */
+    constructor({ bufferSize = 100, overflow = 'drop-oldest' } = {}) {
+        if (!OVERFLOW_POLICIES.includes(overflow)) {
+            throw new Error(`Unknown subscription overflow policy: ${overflow} (expected one of ${OVERFLOW_POLICIES.join(', ')})`);
+        }
+
+        this.eventEmitter = new EventEmitter();
+        this.eventEmitter.setMaxListeners(0); // Remove listener limit
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+        this.subscribers = new Set();
+    }
+
+    /**
+     * Publish an event to subscribers
+     * @param {string} triggerName - Event name
+     * @param {any} payload - Event payload
+     */
+    publish(triggerName, payload) {
+        logger.debug(`Publishing to trigger: ${triggerName}`);
+        this.eventEmitter.emit(triggerName, payload);
+        return Promise.resolve();
+    }
+
+    /**
+     * Create an async iterator for subscription
+     * Each subscriber gets its own bounded buffer, see SubscriptionIterator
+     * @param {string|string[]} triggers - Event name(s) to listen for
+     * @param {Object} [options] - Buffer options, defaults come from config.pubsub
+     * @param {number} [options.bufferSize] - Maximum number of buffered events
+     * @param {string} [options.overflow] - Overflow policy: drop-oldest, drop-newest or disconnect
+     * @param {Function} [options.onClose] - Called once the subscriber is gone
+     * @returns {SubscriptionIterator} Async iterator for the subscription
+     */
+    asyncIterator(triggers, { bufferSize = this.bufferSize, overflow = this.overflow, onClose } = {}) {
+        const triggerNames = Array.isArray(triggers) ? triggers : [triggers];
+
+        const listener = (payload) => {
+            logger.debug(`🔔 Event received for subscriber ${iterator.id}`);
+            iterator.push(payload);
+        };
+
+        const iterator = new SubscriptionIterator({
+            triggers: triggerNames,
+            bufferSize,
+            overflow,
+            onClose: (closed) => {
+                triggerNames.forEach(triggerName => this.eventEmitter.removeListener(triggerName, listener));
+                this.subscribers.delete(closed);
+
+                if (closed.dropped > 0) {
+                    logger.warn(`Subscriber ${closed.id} on ${triggerNames.join(', ')} closed after dropping ${closed.dropped} event(s)`);
+                }
+
+                onClose?.(closed);
+            },
+        });
+
+        triggerNames.forEach(triggerName => this.eventEmitter.on(triggerName, listener));
+        this.subscribers.add(iterator);
+
+        return iterator;
+    }
+
+    /**
+     * Queue metrics of every active subscriber
+     * @returns {Object} Totals and per-subscription metrics
+     */
+    getMetrics() {
+        const subscriptions = [...this.subscribers].map(subscriber => subscriber.getMetrics());
+
+        return {
+            bufferSize: this.bufferSize,
+            overflow: this.overflow,
+            activeSubscriptions: subscriptions.length,
+            queued: subscriptions.reduce((sum, subscription) => sum + subscription.queued, 0),
+            dropped: subscriptions.reduce((sum, subscription) => sum + subscription.dropped, 0),
+            subscriptions,
+        };
+    }
+
+    /**
+     * Release resources held by the engine
+     * @returns {Promise<void>}
+     */
+    close() {
+        [...this.subscribers].forEach(subscriber => subscriber.return());
+        this.eventEmitter.removeAllListeners();
+        return Promise.resolve();
+    }
+}
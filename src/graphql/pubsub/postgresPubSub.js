@@ -0,0 +1,217 @@
+import pg from 'pg';
+import { logger } from '../../config/logger.js';
+import { MemoryPubSub } from './memoryPubSub.js';
+import { serialize, deserialize } from './serialization.js';
+
+// PostgreSQL rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7999;
+
+/**
+ * PostgreSQL LISTEN/NOTIFY PubSub engine
+ * Publishing sends a NOTIFY on the topic channel, every instance LISTENing on
+ * that channel (including the publisher) receives it and fans it out to its
+ * local subscribers through an in-memory engine. A single dedicated connection
+ * is used for LISTEN, channels are only listened to while they have subscribers.
+ */
+export class PostgresPubSub {
+    /**
+     * @param {Object} options - Engine options
+     * @param {string} options.connectionString - PostgreSQL connection string
+     * @param {number} [options.reconnectDelay] - Delay before reconnecting after a connection loss, in ms
+     * @param {number} [options.bufferSize] - Maximum number of buffered events per subscriber
+     * @param {string} [options.overflow] - Overflow policy: drop-oldest, drop-newest or disconnect
+     */
+    constructor({ connectionString, reconnectDelay = 1000, bufferSize, overflow }) {
+        if (!connectionString) {
+            throw new Error('PostgresPubSub requires a connection string (DATABASE_URL)');
+        }
+
+        this.connectionString = connectionString;
+        this.reconnectDelay = reconnectDelay;
+        this.local = new MemoryPubSub({ bufferSize, overflow });
+        this.channels = new Map(); // channel -> subscriber count
+        this.client = null;
+        this.connecting = null;
+        this.closed = false;
+    }
+
+    /**
+     * Connect the LISTEN client, reusing a pending or open connection
+     * @returns {Promise<pg.Client>} Connected client
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = this.openClient().catch((error) => {
+                this.connecting = null;
+                throw error;
+            });
+        }
+        return this.connecting;
+    }
+
+    /**
+     * Open a new client and listen to every channel that has subscribers
+     * @returns {Promise<pg.Client>} Connected client
+     */
+    async openClient() {
+        const client = new pg.Client({ connectionString: this.connectionString });
+
+        client.on('notification', ({ channel, payload }) => {
+            try {
+                this.local.publish(channel, deserialize(payload));
+            } catch (error) {
+                logger.error(`Dropping malformed notification on channel ${channel}: ${error.message}`);
+            }
+        });
+        client.on('error', (error) => {
+            logger.error(`PostgreSQL pubsub connection error: ${error.message}`);
+        });
+        client.on('end', () => this.handleDisconnect(client));
+
+        await client.connect();
+        this.client = client;
+
+        for (const channel of this.channels.keys()) {
+            await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+        }
+
+        logger.info(`PostgreSQL pubsub connected, listening to ${this.channels.size} channel(s)`);
+        return client;
+    }
+
+    /**
+     * Reconnect after the LISTEN connection was lost
+     * Notifications sent while disconnected are lost
+     * @param {pg.Client} client - Client that ended
+     */
+    handleDisconnect(client) {
+        if (this.client !== client) {
+            return;
+        }
+
+        this.client = null;
+        this.connecting = null;
+
+        if (this.closed) {
+            return;
+        }
+
+        logger.warn(`PostgreSQL pubsub connection lost, reconnecting in ${this.reconnectDelay}ms`);
+        const retry = () => {
+            if (this.closed) return;
+            this.connect().catch((error) => {
+                logger.error(`PostgreSQL pubsub reconnect failed: ${error.message}`);
+                setTimeout(retry, this.reconnectDelay).unref();
+            });
+        };
+        setTimeout(retry, this.reconnectDelay).unref();
+    }
+
+    /**
+     * Publish an event to every instance
+     * @param {string} triggerName - Event name
+     * @param {any} payload - Event payload
+     * @returns {Promise<void>}
+     */
+    async publish(triggerName, payload) {
+        const text = serialize(payload);
+        if (Buffer.byteLength(text) > MAX_PAYLOAD_BYTES) {
+            throw new Error(`Payload for ${triggerName} exceeds the PostgreSQL NOTIFY limit of ${MAX_PAYLOAD_BYTES} bytes`);
+        }
+
+        logger.debug(`Publishing to PostgreSQL channel: ${triggerName}`);
+        const client = await this.connect();
+        await client.query('SELECT pg_notify($1, $2)', [triggerName, text]);
+    }
+
+    /**
+     * Start listening to a channel on behalf of a subscriber
+     * @param {string} channel - Channel name
+     * @returns {Promise<void>}
+     */
+    async listen(channel) {
+        const count = this.channels.get(channel) || 0;
+        this.channels.set(channel, count + 1);
+
+        if (count > 0) {
+            return;
+        }
+
+        if (this.client) {
+            await this.client.query(`LISTEN ${this.client.escapeIdentifier(channel)}`);
+        } else {
+            // A new connection listens to every registered channel, including this one
+            await this.connect();
+        }
+    }
+
+    /**
+     * Stop listening to a channel once its last subscriber is gone
+     * @param {string} channel - Channel name
+     * @returns {Promise<void>}
+     */
+    async unlisten(channel) {
+        const count = (this.channels.get(channel) || 1) - 1;
+
+        if (count > 0) {
+            this.channels.set(channel, count);
+            return;
+        }
+
+        this.channels.delete(channel);
+        if (this.client) {
+            await this.client.query(`UNLISTEN ${this.client.escapeIdentifier(channel)}`).catch((error) => {
+                logger.warn(`Failed to UNLISTEN ${channel}: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * Create an async iterator for subscription
+     * Events are buffered per subscriber by the local engine
+     * @param {string|string[]} triggers - Event name(s) to listen for
+     * @param {Object} [options] - Buffer options, see MemoryPubSub#asyncIterator
+     * @returns {SubscriptionIterator} Async iterator for the subscription
+     */
+    asyncIterator(triggers, options = {}) {
+        const triggerNames = Array.isArray(triggers) ? triggers : [triggers];
+
+        const iterator = this.local.asyncIterator(triggerNames, {
+            ...options,
+            onClose: (closed) => {
+                triggerNames.forEach(triggerName => this.unlisten(triggerName));
+                options.onClose?.(closed);
+            },
+        });
+
+        Promise.all(triggerNames.map(triggerName => this.listen(triggerName))).catch((error) => {
+            logger.error(`Failed to LISTEN on ${triggerNames.join(', ')}: ${error.message}`);
+            iterator.fail(error);
+        });
+
+        return iterator;
+    }
+
+    /**
+     * Queue metrics of every active subscriber on this instance
+     * @returns {Object} Totals and per-subscription metrics
+     */
+    getMetrics() {
+        return this.local.getMetrics();
+    }
+
+    /**
+     * Close the LISTEN connection
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.closed = true;
+        const client = this.client;
+        this.client = null;
+        this.connecting = null;
+        await this.local.close();
+        if (client) {
+            await client.end();
+        }
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * Payload serialization for pubsub engines that cross process boundaries
+ * Plain JSON turns Date objects into strings, which the DateTime scalar then
+ * refuses to serialize. Dates are tagged on the way out and revived on the way in.
+ */
+
+const DATE_TAG = '$date';
+
+/**
+ * Serialize a payload to a string, preserving Date values
+ * @param {*} payload - Event payload
+ * @returns {string} Serialized payload
+ */
+export function serialize(payload) {
+    return JSON.stringify(payload, function (key, value) {
+        // `value` has already been through Date#toJSON, the holder still has the original
+        const raw = this[key];
+        return raw instanceof Date ? { [DATE_TAG]: raw.toISOString() } : value;
+    });
+}
+
+/**
+ * Parse a payload produced by serialize
+ * @param {string} text - Serialized payload
+ * @returns {*} Event payload with Date values restored
+ */
+export function deserialize(text) {
+    return JSON.parse(text, (key, value) => {
+        if (value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value[DATE_TAG] === 'string') {
+            return new Date(value[DATE_TAG]);
+        }
+        return value;
+    });
+}
+
+/**
+ * Convert a payload to a plain JSON value (for Json columns), preserving Date values
+ * @param {*} payload - Event payload
+ * @returns {*} JSON value
+ */
+export function toJSONValue(payload) {
+    return JSON.parse(serialize(payload));
+}
+
+/**
+ * Restore a payload stored with toJSONValue
+ * @param {*} value - JSON value
+ * @returns {*} Event payload with Date values restored
+ */
+export function fromJSONValue(value) {
+    return deserialize(JSON.stringify(value));
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import { SubscriptionOverflowError } from '../../utils/errors.js';
+
+/**
+ * What to do when a subscriber's buffer is full
+ * - drop-oldest: discard the oldest buffered event to make room
+ * - drop-newest: discard the incoming event
+ * - disconnect: end the subscription with a SubscriptionOverflowError
+ */
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'disconnect'];
+
+/**
+ * Bounded async iterator feeding one subscriber
+ * Events pushed while the subscriber is busy are buffered up to bufferSize,
+ * past that the overflow policy applies. return() resolves any pending next()
+ * right away, so cancelling a subscription never waits for another event.
+ */
+export class SubscriptionIterator {
+    /**
+     * @param {Object} options - Iterator options
+     * @param {string[]} options.triggers - Topics the iterator is subscribed to
+     * @param {number} options.bufferSize - Maximum number of buffered events
+     * @param {string} options.overflow - Overflow policy, one of OVERFLOW_POLICIES
+     * @param {Function} [options.onClose] - Called once when the iterator ends
+     */
+    constructor({ triggers, bufferSize, overflow, onClose }) {
+        if (!OVERFLOW_POLICIES.includes(overflow)) {
+            throw new Error(`Unknown overflow policy: ${overflow} (expected one of ${OVERFLOW_POLICIES.join(', ')})`);
+        }
+        if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+            throw new Error(`Subscription buffer size must be a positive integer, got ${bufferSize}`);
+        }
+
+        this.id = crypto.randomUUID();
+        this.triggers = triggers;
+        this.bufferSize = bufferSize;
+        this.overflow = overflow;
+        this.onClose = onClose;
+        this.createdAt = new Date();
+
+        this.buffer = [];
+        this.waiting = [];
+        this.error = null;
+        this.done = false;
+
+        this.delivered = 0;
+        this.dropped = 0;
+        this.maxQueued = 0;
+    }
+
+    /**
+     * Hand an event to the subscriber, buffering it if the subscriber is busy
+     * @param {*} event - Event payload
+     */
+    push(event) {
+        if (this.done) {
+            return;
+        }
+
+        if (this.waiting.length) {
+            this.delivered++;
+            this.waiting.shift().resolve({ value: event, done: false });
+            return;
+        }
+
+        if (this.buffer.length >= this.bufferSize) {
+            switch (this.overflow) {
+                case 'drop-oldest':
+                    this.buffer.shift();
+                    this.dropped++;
+                    break;
+                case 'drop-newest':
+                    this.dropped++;
+                    return;
+                case 'disconnect':
+                    this.dropped++;
+                    this.fail(new SubscriptionOverflowError(`Subscription buffer of ${this.bufferSize} events overflowed`));
+                    return;
+            }
+        }
+
+        this.buffer.push(event);
+        this.maxQueued = Math.max(this.maxQueued, this.buffer.length);
+    }
+
+    /**
+     * End the subscription with an error
+     * Buffered events are discarded, the next (or pending) next() call rejects
+     * @param {Error} error - Error to surface to the subscriber
+     */
+    fail(error) {
+        if (this.done) {
+            return;
+        }
+
+        this.buffer = [];
+        const waiting = this.waiting;
+        this.waiting = [];
+
+        if (waiting.length) {
+            waiting.forEach(({ reject }) => reject(error));
+        } else {
+            this.error = error;
+        }
+
+        this.close();
+    }
+
+    /**
+     * @returns {Promise<IteratorResult>} Next event
+     */
+    next() {
+        if (this.error) {
+            const error = this.error;
+            this.error = null;
+            return Promise.reject(error);
+        }
+
+        if (this.buffer.length) {
+            this.delivered++;
+            return Promise.resolve({ value: this.buffer.shift(), done: false });
+        }
+
+        if (this.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ resolve, reject });
+        });
+    }
+
+    /**
+     * Cancel the subscription, resolving pending next() calls immediately
+     * @returns {Promise<IteratorResult>}
+     */
+    return() {
+        this.buffer = [];
+        this.error = null;
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Cancel the subscription because of an error raised by the consumer
+     * @param {Error} error - Error to rethrow
+     * @returns {Promise<never>}
+     */
+    throw(error) {
+        this.return();
+        return Promise.reject(error);
+    }
+
+    /**
+     * Mark the iterator done and run the close callback once
+     */
+    close() {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        this.onClose?.(this);
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Queue metrics of this subscriber
+     * @returns {Object} Metrics snapshot
+     */
+    getMetrics() {
+        return {
+            id: this.id,
+            triggers: this.triggers,
+            queued: this.buffer.length,
+            maxQueued: this.maxQueued,
+            bufferSize: this.bufferSize,
+            overflow: this.overflow,
+            delivered: this.delivered,
+            dropped: this.dropped,
+            createdAt: this.createdAt,
+        };
+    }
+}
@@ -0,0 +1,62 @@
+import { logger } from '../../config/logger.js';
+
+/**
+ * Filter the events of a subscription per subscriber
+ * Works like `withFilter` from graphql-subscriptions: wraps a subscribe
+ * resolver and only lets through payloads for which the predicate returns
+ * true. The predicate receives the subscription arguments and the connection
+ * context, so events can be matched against `args` and `context.user`.
+ * Payloads for which the predicate throws are skipped.
+ *
+ * The returned iterator forwards return() to the source right away, so
+ * cancelling a subscription does not wait for the next matching event.
+ *
+ * @example
+ * subscribe: withFilter(
+ *     () => pubsub.asyncIterator(TOPICS.USER_UPDATED),
+ *     (payload, args, context) => payload.userUpdated.user.id === context.user.id,
+ * )
+ *
+ * @param {Function} asyncIteratorFn - (rootValue, args, context, info) => AsyncIterator, may throw to reject the subscription
+ * @param {Function} filterFn - (payload, args, context, info) => boolean | Promise<boolean>
+ * @returns {Function} Subscribe resolver
+ */
+export const withFilter = (asyncIteratorFn, filterFn) => (rootValue, args, context, info) => {
+    const source = asyncIteratorFn(rootValue, args, context, info);
+
+    const matches = async (payload) => {
+        try {
+            return Boolean(await filterFn(payload, args, context, info));
+        } catch (error) {
+            logger.error(`Subscription filter failed, skipping event: ${error.message}`);
+            return false;
+        }
+    };
+
+    return {
+        async next() {
+            for (;;) {
+                const result = await source.next();
+                if (result.done || await matches(result.value)) {
+                    return result;
+                }
+            }
+        },
+
+        return(value) {
+            return typeof source.return === 'function'
+                ? source.return(value)
+                : Promise.resolve({ value, done: true });
+        },
+
+        throw(error) {
+            return typeof source.throw === 'function'
+                ? source.throw(error)
+                : Promise.reject(error);
+        },
+
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+    };
+};
@@ -0,0 +1,90 @@
+/**
+ * Attach an event log ID to a payload
+ * The ID is added to every event object of the payload, e.g.
+ * `{ userUpdated: { user } }` becomes `{ userUpdated: { user, eventId } }`,
+ * so subscribers can select it and resume from it after a reconnect.
+ * @param {Object} payload - Event payload
+ * @param {number} eventId - Event log ID
+ * @returns {Object} Payload with eventId
+ */
+export const withEventId = (payload, eventId) => Object.fromEntries(
+    Object.entries(payload).map(([field, value]) => [
+        field,
+        value && typeof value === 'object' ? { ...value, eventId } : value,
+    ]),
+);
+
+/**
+ * Read the event log ID of a payload
+ * @param {Object} payload - Event payload
+ * @returns {number|null} Event log ID, null for events that were not logged
+ */
+export const eventIdOf = (payload) => {
+    const event = Object.values(payload ?? {}).find(value => value?.eventId != null);
+    return event ? event.eventId : null;
+};
+
+/**
+ * Replay missed events ahead of a live subscription
+ * The live iterator must be created before the missed events are loaded, so
+ * nothing published in between is lost. Live events that were already
+ * replayed are skipped.
+ *
+ * Like withFilter, the returned iterator forwards return() to the live
+ * iterator right away.
+ *
+ * @param {AsyncIterator} live - Live subscription iterator
+ * @param {Function} loadMissed - () => Promise<Object[]>, missed payloads (with eventId) oldest first
+ * @returns {AsyncIterator} Iterator yielding the missed events, then live events
+ */
+export const withReplay = (live, loadMissed) => {
+    let replay = null;
+    let lastReplayedId = null;
+    let closed = false;
+
+    const nextReplayed = async () => {
+        // Loaded once, concurrent next() calls share the same load
+        replay ??= loadMissed().catch(async (error) => {
+            await live.return?.();
+            throw error;
+        });
+        const missed = await replay;
+        return closed ? undefined : missed.shift();
+    };
+
+    return {
+        async next() {
+            const missed = await nextReplayed();
+            if (missed) {
+                lastReplayedId = eventIdOf(missed);
+                return { value: missed, done: false };
+            }
+
+            for (;;) {
+                const result = await live.next();
+                const eventId = result.done ? null : eventIdOf(result.value);
+                if (lastReplayedId == null || eventId == null || eventId > lastReplayedId) {
+                    return result;
+                }
+            }
+        },
+
+        return(value) {
+            closed = true;
+            return typeof live.return === 'function'
+                ? live.return(value)
+                : Promise.resolve({ value, done: true });
+        },
+
+        throw(error) {
+            closed = true;
+            return typeof live.throw === 'function'
+                ? live.throw(error)
+                : Promise.reject(error);
+        },
+
+        [Symbol.asyncIterator]() {
+            return this;
+        },
+    };
+};
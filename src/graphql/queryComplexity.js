@@ -0,0 +1,222 @@
+import { GraphQLError, Kind, getNamedType, getOperationAST, isCompositeType, isListType, isNonNullType, parse, valueFromAST, valueFromASTUntyped } from 'graphql';
+import { config } from '../config/index.js';
+
+/**
+ * Cost of single fields, by `Type.field`
+ * - cost: cost of resolving the field itself. Fields not listed cost 1 when
+ *   they return an object and 0 when they return a scalar or enum, which the
+ *   parent resolver already loaded.
+ * - multiplier: number of items the field returns, the cost of its selection
+ *   is multiplied by it. The name of an argument (e.g. `first`) or a fixed
+ *   number. List fields not listed are assumed to return
+ *   config.queryComplexity.defaultListSize items.
+ * - sizedFields: for connections, the multiplier applies to these fields of
+ *   the selection instead of the whole selection (`totalCount` is resolved
+ *   once per connection, `edges` once per item).
+ */
+export const FIELD_COSTS = {
+    // Paginated
+    'Query.usersConnection': { cost: 10, multiplier: 'first', sizedFields: ['edges'] },
+    'UserConnection.totalCount': { cost: 5 },
+
+    // Unpaginated lists
+    'Query.users': { cost: 20 },
+    'ResponsePayloadAllUsers.data': { multiplier: 100 },
+    'Query.activeConnections': { cost: 5 },
+    'Query.apiKeys': { cost: 5 },
+
+    // Mutations hashing passwords or sending emails
+    'Mutation.register': { cost: 10 },
+    'Mutation.login': { cost: 10 },
+    'Mutation.resetPassword': { cost: 10 },
+    'Mutation.forgotPassword': { cost: 10 },
+    'Mutation.resendVerificationEmail': { cost: 10 },
+};
+
+/**
+ * Number of items a field returns
+ * @param {Object} field - Field definition
+ * @param {Object} node - Field node of the query
+ * @param {string|number} [multiplier] - Configured multiplier, see FIELD_COSTS
+ * @param {Object} variables - Operation variables
+ * @returns {number} Multiplier
+ */
+const multiplierOf = (field, node, multiplier, variables) => {
+    if (typeof multiplier === 'number') {
+        return multiplier;
+    }
+
+    const arg = typeof multiplier === 'string' && field.args.find(({ name }) => name === multiplier);
+    if (arg) {
+        const argNode = node.arguments?.find(({ name }) => name.value === multiplier);
+        // Variables missing from `variables` fall back to the default of the argument
+        const value = (argNode ? valueFromAST(argNode.value, arg.type, variables) : undefined) ?? arg.defaultValue;
+        if (Number.isInteger(value) && value >= 0) {
+            return value;
+        }
+    }
+
+    const type = isNonNullType(field.type) ? field.type.ofType : field.type;
+    return multiplier != null || isListType(type) ? config.queryComplexity.defaultListSize : 1;
+};
+
+/**
+ * Depth and cost of a selection set
+ * @param {Object} selectionSet - Selection set node
+ * @param {Object} parentType - Type the selections are made on
+ * @param {number} depth - Depth of the selection set, 0 for the operation
+ * @param {Object} state - { schema, fragments, variables, visiting, memo }
+ * @param {Object} [sized] - { fields, multiplier } of the connection the selection belongs to
+ * @returns {Object} { depth, cost }, depth of the deepest field below
+ */
+const measureSelections = (selectionSet, parentType, depth, state, sized) => {
+    let cost = 0;
+    let maxDepth = depth;
+
+    // Deeper than allowed is rejected anyway, spares walking the rest of a hostile query
+    if (depth > config.queryComplexity.maxDepth) {
+        return { depth, cost };
+    }
+
+    for (const selection of selectionSet.selections) {
+        let measured;
+
+        if (selection.kind === Kind.FIELD) {
+            const name = selection.name.value;
+            const field = parentType.getFields?.()[name];
+            // Introspection is disabled in production and deeply nested by design
+            if (name.startsWith('__') || !field) {
+                continue;
+            }
+
+            const type = getNamedType(field.type);
+            const { cost: fieldCost, multiplier, sizedFields } = FIELD_COSTS[`${parentType.name}.${name}`] ?? {};
+            const items = multiplierOf(field, selection, multiplier, state.variables);
+            const below = selection.selectionSet
+                ? measureSelections(selection.selectionSet, type, depth + 1, state, sizedFields && { fields: sizedFields, multiplier: items })
+                : { depth: depth + 1, cost: 0 };
+
+            let times = sizedFields ? 1 : items;
+            if (sized?.fields.includes(name)) {
+                times = sized.multiplier;
+            }
+
+            measured = {
+                depth: below.depth,
+                cost: (fieldCost ?? (isCompositeType(type) ? 1 : 0)) + times * below.cost,
+            };
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            const type = selection.typeCondition ? state.schema.getType(selection.typeCondition.name.value) : parentType;
+            measured = type ? measureSelections(selection.selectionSet, type, depth, state, sized) : null;
+        } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const name = selection.name.value;
+            const fragment = state.fragments[name];
+            const type = fragment && state.schema.getType(fragment.typeCondition.name.value);
+            // Cycles are invalid documents, reported by the standard validation rules
+            if (!type || state.visiting.has(name)) {
+                continue;
+            }
+
+            // A fragment spread many times over is walked once per depth
+            const key = `${name}:${depth}:${sized ? `${sized.fields}*${sized.multiplier}` : ''}`;
+            if (!state.memo.has(key)) {
+                state.visiting.add(name);
+                state.memo.set(key, measureSelections(fragment.selectionSet, type, depth, state, sized));
+                state.visiting.delete(name);
+            }
+            measured = state.memo.get(key);
+        }
+
+        if (measured) {
+            cost += measured.cost;
+            maxDepth = Math.max(maxDepth, measured.depth);
+        }
+    }
+
+    return { depth: maxDepth, cost };
+};
+
+/**
+ * Depth and cost of an operation
+ * Fields under @skip or @include count as if they were selected, and every
+ * branch of an abstract type counts.
+ * @param {Object} schema - Executable schema
+ * @param {Object} document - Parsed query document, for its fragments
+ * @param {Object} operation - Operation definition node to measure
+ * @param {Object} [variables] - Operation variables, for the multiplier arguments
+ * @returns {Object} { depth, cost }
+ */
+export const measureOperation = (schema, document, operation, variables = {}) => {
+    const rootType = schema.getRootType(operation.operation);
+    if (!rootType) {
+        return { depth: 0, cost: 0 };
+    }
+
+    const fragments = Object.fromEntries(document.definitions
+        .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+        .map(fragment => [fragment.name.value, fragment]));
+
+    // Variables left out by the client take the default of their definition
+    const defaults = Object.fromEntries((operation.variableDefinitions ?? [])
+        .filter(definition => definition.defaultValue)
+        .map(definition => [definition.variable.name.value, valueFromASTUntyped(definition.defaultValue)]));
+
+    return measureSelections(operation.selectionSet, rootType, 0, {
+        schema,
+        fragments,
+        variables: { ...defaults, ...variables },
+        visiting: new Set(),
+        memo: new Map(),
+    });
+};
+
+/**
+ * Error of an operation over the configured limits
+ * @param {Object} complexity - { depth, cost } from measureOperation
+ * @returns {GraphQLError|null} QUERY_TOO_COMPLEX error, null when within the limits
+ */
+export const queryComplexityError = ({ depth, cost }) => {
+    const { maxDepth, maxCost } = config.queryComplexity;
+
+    let message;
+    if (depth > maxDepth) {
+        message = `Query depth exceeds the maximum of ${maxDepth}`;
+    } else if (cost > maxCost) {
+        message = `Query cost of ${cost} exceeds the maximum of ${maxCost}`;
+    } else {
+        return null;
+    }
+
+    return new GraphQLError(message, {
+        extensions: {
+            code: 'QUERY_TOO_COMPLEX',
+            http: { status: 400 },
+            complexity: { depth, cost, maxDepth, maxCost },
+        },
+    });
+};
+
+/**
+ * Error of a graphql-ws operation over the limits
+ * For graphql-ws onSubscribe, measures the operation about to run with its
+ * variables like queryComplexityPlugin does over HTTP. Documents that do not
+ * parse or do not identify an operation are left to the validation of graphql-ws.
+ * @param {Object} schema - Executable schema
+ * @param {Object} payload - { query, operationName, variables } of the subscribe message
+ * @returns {GraphQLError|null} QUERY_TOO_COMPLEX error, null when within the limits
+ */
+export const subscribeComplexityError = (schema, { query, operationName, variables }) => {
+    let document;
+    try {
+        document = parse(query);
+    } catch {
+        return null;
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+        return null;
+    }
+
+    return queryComplexityError(measureOperation(schema, document, operation, variables ?? {}));
+};
@@ -0,0 +1,14 @@
+import { apiKeyQueries } from './queries.js';
+import { apiKeyMutations } from './mutations.js';
+
+/**
+ * API Key Domain Resolvers
+ * Combines the API key management queries and mutations
+ */
+export const apiKeyResolvers = {
+    // API key queries
+    ...apiKeyQueries,
+
+    // API key mutations
+    ...apiKeyMutations,
+};
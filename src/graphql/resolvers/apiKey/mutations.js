@@ -0,0 +1,54 @@
+import { apiResponse } from '../../../utils/response.js';
+import { ForbiddenError } from '../../../utils/errors.js';
+import { ApiKeyService } from '../../../express/services/apiKeyService.js';
+
+/**
+ * Only SYSADMIN and ADMIN can manage API keys
+ * @param {Object} [user] - Authenticated user
+ * @throws {ForbiddenError} If the user is missing or not an admin
+ */
+const assertAdmin = (user) => {
+    if (!user) {
+        throw new ForbiddenError('Authentication required');
+    }
+
+    if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+        throw new ForbiddenError('Not authorized to manage API keys');
+    }
+};
+
+/**
+ * API Key Domain - Mutation Resolvers
+ * Contains API key creation and revocation
+ */
+export const apiKeyMutations = {
+    /**
+     * Create an API key (admin only), the raw key is only part of this response
+     */
+    createApiKey: async (_, { input }, { user }) => {
+        assertAdmin(user);
+
+        const result = await ApiKeyService.createKey(input, user.id);
+
+        return apiResponse({
+            status: true,
+            message: 'API key created successfully, store the key now, it cannot be shown again',
+            data: result,
+        });
+    },
+
+    /**
+     * Revoke an API key (admin only)
+     */
+    revokeApiKey: async (_, { id }, { user }) => {
+        assertAdmin(user);
+
+        const apiKey = await ApiKeyService.revokeKey(id);
+
+        return apiResponse({
+            status: true,
+            message: 'API key revoked successfully',
+            data: apiKey,
+        });
+    },
+};
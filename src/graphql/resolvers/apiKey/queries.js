@@ -0,0 +1,18 @@
+import { logger } from '../../../config/index.js';
+import { ForbiddenError } from '../../../utils/errors.js';
+import { ApiKeyService } from '../../../express/services/apiKeyService.js';
+
+/**
+ * API Key Domain - Query Resolvers
+ * Contains the API key listing
+ */
+export const apiKeyQueries = {
+    // List every API key (admin only)
+    apiKeys: (_, __, { user }) => {
+        if (!user || user.role !== 'ADMIN') {
+            throw new ForbiddenError('Admin access required');
+        }
+        logger.debug('GraphQL apiKeys query executed');
+        return ApiKeyService.listKeys();
+    },
+};
@@ -1,5 +1,8 @@
 import { publish, TOPICS } from '../../pubsub/index.js';
 import { logger } from '../../../config/index.js';
+import { apiResponse } from '../../../utils/response.js';
+import { ForbiddenError } from '../../../utils/errors.js';
+import { AnalyticsService } from '../../../express/services/analyticsService.js';
 
 /**
  * Base Domain - Mutation Resolvers
@@ -7,12 +10,13 @@ import { logger } from '../../../config/index.js';
  */
 export const baseMutations = {
     // Test mutation to trigger subscriptions
-    triggerTestSubscription: async (_, { message }, { user }) => {
+    triggerTestSubscription: async (_, { message, channel }, { user }) => {
         const timestamp = new Date();
         const testData = {
             id: Date.now().toString(),
             message: message || `Authenticated test from script at ${timestamp.toLocaleTimeString()}`,
-            timestamp: timestamp.toISOString()
+            timestamp: timestamp.toISOString(),
+            channel: channel ?? null,
         };
 
         // Publish the event
@@ -24,6 +28,27 @@ export const baseMutations = {
         return testData;
     },
 
+    // Force-disconnect a WebSocket connection of this instance (admin only)
+    disconnectConnection: async (_, { id, reason }, { user }) => {
+        if (!user) {
+            throw new ForbiddenError('Authentication required');
+        }
+
+        // Only SYSADMIN and ADMIN can disconnect sessions
+        if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+            throw new ForbiddenError('Not authorized to disconnect sessions');
+        }
+
+        AnalyticsService.disconnectConnection(id, reason ?? undefined);
+        logger.info(`Connection ${id} disconnected by admin ${user.id}`);
+
+        return apiResponse({
+            status: true,
+            message: 'Connection disconnected successfully',
+            data: null,
+        });
+    },
+
     // Base placeholder mutations
     _: () => true,
 };
\ No newline at end of file
@@ -1,5 +1,8 @@
 import { logger } from '../../../config/index.js';
 import { apiResponse } from '../../../utils/response.js';
+import { ForbiddenError } from '../../../utils/errors.js';
+import { AnalyticsService } from '../../../express/services/analyticsService.js';
+import { ApiKeyService } from '../../../express/services/apiKeyService.js';
 
 /**
  * Base Domain - Query Resolvers
@@ -16,6 +19,15 @@ export const baseQueries = {
         });
     },
 
+    // Open WebSocket connections of this instance (admin, or API keys with the analytics:read scope)
+    activeConnections: (_, __, { user, apiKey }) => {
+        if (user?.role !== 'ADMIN' && !ApiKeyService.hasScope(apiKey, 'analytics:read')) {
+            throw new ForbiddenError('Admin access required');
+        }
+        logger.debug('GraphQL activeConnections query executed');
+        return AnalyticsService.getConnectionMetrics().connections;
+    },
+
     // Base placeholder queries
     _: () => true,
 };
\ No newline at end of file
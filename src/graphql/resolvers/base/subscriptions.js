@@ -1,6 +1,10 @@
-import { pubsub, TOPICS } from '../../pubsub/index.js';
+import { pubsub, replayMissed, TOPICS, withFilter } from '../../pubsub/index.js';
 import { ForbiddenError } from '../../../utils/errors.js';
+import { config } from '../../../config/index.js';
 import { logger } from '../../../config/logger.js';
+import { tokenRefreshIterator } from '../../websocket.js';
+import { SubscriptionIterator } from '../../pubsub/subscriptionIterator.js';
+import { LogService } from '../../../express/services/logService.js';
 
 /**
  * Base Domain - Subscription Resolvers
@@ -8,42 +12,73 @@ import { logger } from '../../../config/logger.js';
  */
 export const baseSubscriptions = {
     testSubscription: {
-        // Apollo v5 style subscription using async generator with authentication
-        subscribe: async function* (parent, args, context) {
-            logger.info('🚀 Starting testSubscription with Apollo v5 native async iterator');
+        // Events can be scoped to a channel, subscribers without a channel receive every event
+        subscribe: withFilter(
+            (parent, { channel, lastEventId, since }, context) => {
+                // Check authentication for subscription access
+                if (!context.authenticated || !context.user) {
+                    logger.warn('🚫 Unauthorized subscription attempt');
+                    throw new ForbiddenError('Authentication required for subscriptions');
+                }
+
+                logger.info(`🔐 Authenticated testSubscription for user: ${context.user.id} (${context.user.email}) on channel: ${channel ?? 'all'}`);
+
+                const iterator = pubsub.asyncIterator(TOPICS.TEST_SUBSCRIPTION);
 
-            // Check authentication for subscription access
+                // Send an initial "connected" message with user info, delivered after any replayed events
+                iterator.push({
+                    testSubscription: {
+                        id: 'init',
+                        message: `Subscription connected for ${context.user.email}! Waiting for events...`,
+                        timestamp: new Date().toISOString(),
+                        channel: channel ?? null,
+                    }
+                });
+
+                return replayMissed(iterator, TOPICS.TEST_SUBSCRIPTION, { lastEventId, since });
+            },
+            ({ testSubscription }, { channel }) => !channel || testSubscription.channel === channel,
+        ),
+    },
+
+    tokenRefreshed: {
+        // Tokens are pushed to their own connection only, never through pubsub
+        subscribe: (parent, args, context) => {
             if (!context.authenticated || !context.user) {
-                logger.warn('🚫 Unauthorized subscription attempt');
+                logger.warn('🚫 Unauthorized tokenRefreshed subscription attempt');
                 throw new ForbiddenError('Authentication required for subscriptions');
             }
+            if (!context.session) {
+                throw new ForbiddenError('tokenRefreshed is only available over WebSocket');
+            }
 
-            logger.info(`🔐 Authenticated subscription for user: ${context.user.id} (${context.user.email})`);
-
-            // Start listening for events FIRST
-            const asyncIterator = pubsub.asyncIterator(TOPICS.TEST_SUBSCRIPTION);
+            logger.info(`🔐 tokenRefreshed subscription started for user: ${context.user.id}`);
+            return tokenRefreshIterator(context.session);
+        },
+    },
 
-            // Send an initial "connected" message with user info
-            yield {
-                testSubscription: {
-                    id: 'init',
-                    message: `Subscription connected for ${context.user.email}! Waiting for events...`,
-                    timestamp: new Date().toISOString()
-                }
-            };
+    logStream: {
+        // Entries come straight from the Winston transport, never through pubsub
+        subscribe: (parent, { level }, context) => {
+            if (!context.authenticated || !context.user) {
+                logger.warn('🚫 Unauthorized logStream subscription attempt');
+                throw new ForbiddenError('Authentication required for subscriptions');
+            }
+            if (context.user.role !== 'ADMIN') {
+                throw new ForbiddenError('Admin access required');
+            }
 
-            try {
-                // Now listen for real events
-                for await (const event of asyncIterator) {
-                    logger.info('📨 Received subscription event, forwarding to authenticated client:', JSON.stringify(event));
+            let unsubscribe = null;
+            const iterator = new SubscriptionIterator({
+                triggers: ['LOG_STREAM'],
+                bufferSize: config.pubsub.bufferSize,
+                overflow: 'drop-oldest',
+                onClose: () => unsubscribe?.(),
+            });
+            unsubscribe = LogService.streamLogs(level, entry => iterator.push({ logStream: entry }));
 
-                    // The event structure is { testSubscription: payload }
-                    // We yield it directly since it's already in the correct format
-                    yield event;
-                }
-            } finally {
-                logger.info(`🔌 testSubscription iterator closed for user: ${context.user?.id}`);
-            }
+            logger.info(`🔐 logStream subscription started for user: ${context.user.id} at level ${level || 'debug'}`);
+            return iterator;
         },
     },
 
@@ -1,5 +1,6 @@
-import { userResolvers } from './user/index.js';
+import { userResolvers, userTypes } from './user/index.js';
 import { baseResolvers } from './base/index.js';
+import { apiKeyResolvers } from './apiKey/index.js';
 import typeResolvers from './typeResolvers.js';
 
 /**
@@ -10,38 +11,64 @@ const resolvers = {
     // Merge type resolvers (DateTime, custom scalars, etc.)
     ...typeResolvers,
 
+    // Domain object type field resolvers
+    ...userTypes,
+
     // Root resolver types - combine all domain resolvers
     Query: {
         // Base/Common queries
         hello: baseResolvers.hello,
+        activeConnections: baseResolvers.activeConnections,
         _: baseResolvers._,
 
         // User domain queries
         me: userResolvers.me,
         user: userResolvers.user,
         users: userResolvers.users,
+        usersConnection: userResolvers.usersConnection,
+
+        // API key domain queries
+        apiKeys: apiKeyResolvers.apiKeys,
     },
 
     Mutation: {
         // Base/Common mutations
         triggerTestSubscription: baseResolvers.triggerTestSubscription,
+        disconnectConnection: baseResolvers.disconnectConnection,
         _: baseResolvers._,
 
         // User domain mutations
         register: userResolvers.register,
         login: userResolvers.login,
         logout: userResolvers.logout,
+        logoutAll: userResolvers.logoutAll,
+        revokeUserSessions: userResolvers.revokeUserSessions,
+        verifyEmail: userResolvers.verifyEmail,
+        resendVerificationEmail: userResolvers.resendVerificationEmail,
+        forgotPassword: userResolvers.forgotPassword,
+        resetPassword: userResolvers.resetPassword,
+        unlockUser: userResolvers.unlockUser,
         updateUser: userResolvers.updateUser,
         deleteUser: userResolvers.deleteUser,
+        restoreUser: userResolvers.restoreUser,
+        purgeUser: userResolvers.purgeUser,
+
+        // API key domain mutations
+        createApiKey: apiKeyResolvers.createApiKey,
+        revokeApiKey: apiKeyResolvers.revokeApiKey,
     },
 
     Subscription: {
         // Base/Common subscriptions
         testSubscription: baseResolvers.testSubscription,
+        tokenRefreshed: baseResolvers.tokenRefreshed,
+        logStream: baseResolvers.logStream,
         _: baseResolvers._,
 
-        // User domain subscriptions would go here when added
-        // Future: userCreated, userUpdated, etc.
+        // User domain subscriptions
+        userCreated: userResolvers.userCreated,
+        userUpdated: userResolvers.userUpdated,
+        userDeleted: userResolvers.userDeleted,
     },
 };
 
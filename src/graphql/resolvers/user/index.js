@@ -1,5 +1,6 @@
 import { userMutations } from './mutations.js';
 import { userQueries } from './queries.js';
+import { userSubscriptions } from './subscriptions.js';
 
 /**
  * User Domain Resolvers
@@ -12,6 +13,12 @@ export const userResolvers = {
     // User queries  
     ...userQueries,
 
-    // User subscriptions would go here if we had any user-specific subscriptions
-    // For now, subscriptions are handled in the base domain
-};
\ No newline at end of file
+    // User subscriptions
+    ...userSubscriptions,
+};
+
+/**
+ * User Domain Type Resolvers
+ * Field resolvers for the User object type
+ */
+export { userTypes } from './types.js';
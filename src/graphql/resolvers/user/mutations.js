@@ -1,164 +1,198 @@
-import bcrypt from 'bcrypt';
 import { logger } from '../../../config/logger.js';
-import { generateAccessToken, generateRefreshToken } from '../../../utils/jwtUtils.js';
-import { ValidationError, ForbiddenError, NotFoundError, ConflictError, UnauthorizedError } from '../../../utils/errors.js';
-import { publish, TOPICS } from '../../pubsub/index.js';
+import { ValidationError, ForbiddenError } from '../../../utils/errors.js';
+import { AuthService } from '../../../express/services/authService.js';
+import { UserService } from '../../../express/services/userService.js';
 import { apiResponse } from '../../../utils/response.js';
-import prisma from '../../../../prisma/client.js';
-import config from '../../../config/env.js';
+
+/**
+ * Build the client metadata passed to AuthService
+ * @param {Object} req - Express request object (undefined in tests and over WebSocket)
+ * @returns {Object} Client metadata
+ */
+const clientMeta = (req) => ({
+    transport: 'graphql',
+    deviceInfo: req?.get('user-agent'),
+    ipAddress: req?.ip,
+});
 
 /**
  * User Domain - Mutation Resolvers
- * Contains all user-related mutations: register, login, logout, updateUser, deleteUser
+ * Contains all user-related mutations: register, login, logout, logoutAll, revokeUserSessions,
+ * verifyEmail, resendVerificationEmail, forgotPassword, resetPassword, unlockUser, updateUser, deleteUser,
+ * restoreUser, purgeUser
+ * Authentication flows are delegated to AuthService, shared with the REST API
  */
 export const userMutations = {
     /**
      * Register a new user
      */
-    register: async (_, { input }) => {
-        const { email, password, firstName, lastName, userName, role } = input;
+    register: async (_, { input }, { req }) => {
+        const user = await AuthService.register(input, clientMeta(req));
 
-        // Check if user already exists
-        const existingUser = await prisma.user.findUnique({
-            where: { email },
+        return apiResponse({
+            status: true,
+            message: 'User registered successfully',
+            data: user,
         });
-
-        if (existingUser) {
-            logger.warn(`Registration attempt with existing email: ${email}`);
-            throw new ConflictError('User with this email already exists');
-        }
-
-        // Hash password
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-        // Create user
-        try {
-            const user = await prisma.user.create({
-                data: {
-                    email,
-                    password: hashedPassword,
-                    userName,
-                    firstName,
-                    lastName,
-                    role,
-                },
-            });
-
-            logger.info(`User created via GraphQL: ${user.id}`);
-
-            // Publish user created event
-            publish(TOPICS.USER_CREATED, { userCreated: { user } });
-
-            return apiResponse({
-                status: true,
-                message: 'User registered successfully',
-                data: user,
-            });
-        } catch (error) {
-            logger.error(`Error creating user via GraphQL: ${error.message}`);
-            throw error;
-        }
     },
 
     /**
      * Login user
      */
-    login: async (_, { input }, { res }) => {
+    login: async (_, { input }, { req, res }) => {
         const { email, password } = input;
-        // Find user
-        const user = await prisma.user.findUnique({
-            where: { email },
+        const { accessToken, refreshToken, user } = await AuthService.login(email, password, clientMeta(req));
+
+        // Set refresh token as HTTP-only cookie
+        AuthService.setRefreshCookie(res, refreshToken);
+
+        // Return user data with access token
+        return apiResponse({
+            status: true,
+            message: 'Login successful',
+            data: { ...user, authToken: accessToken },
         });
-        if (!user) {
-            logger.warn(`Login attempt with non-existent email: ${email}`);
-            throw new ValidationError('Invalid email or password');
-        }
+    },
 
-        // Verify password
-        const passwordValid = await bcrypt.compare(password, user.password);
-        if (!passwordValid) {
-            logger.warn(`Failed login attempt for user: ${user.id}`);
-            throw new ValidationError('Invalid email or password');
+    /**
+     * Logout current session
+     */
+    logout: async (_, __, { user, req, res }) => {
+        if (!user) {
+            logger.error('Logout attempt without authentication');
+            throw new ForbiddenError('Authentication required');
         }
 
-        // Generate tokens
-        const accessToken = generateAccessToken(user);
-        const refreshToken = generateRefreshToken(user);
+        await AuthService.logout(user.id, req?.cookies?.refreshToken, clientMeta(req));
 
-        // Update refresh token in database
-        const expirationTime = config.jwt.accessExpiration || 3600; // Default to 1 hour if undefined
-        if (isNaN(expirationTime) || expirationTime <= 0) {
-            logger.error(`Invalid JWT access expiration time: ${config.jwt.accessExpiration}`);
-            throw new Error('Invalid JWT access expiration time');
-        }
+        // Clear refresh token from cookies
+        AuthService.clearRefreshCookie(res);
 
-        await prisma.user.update({
-            where: { id: user.id },
-            data: {
-                authToken: accessToken,
-                authTokenExpiry: new Date(Date.now() + expirationTime * 1000).toISOString(),
-                lastLoginAt: new Date(),
-            },
+        return apiResponse({
+            status: true,
+            message: 'Logout successful',
+            data: null,
         });
+    },
 
-        // Set refresh token as HTTP-only cookie
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: config.nodeEnv === 'production',
-            sameSite: 'strict',
-            maxAge: config.jwt.refreshExpiration * 1000,
-        });
+    /**
+     * Logout user from every device
+     * Invalidates all access and refresh tokens issued to the user
+     */
+    logoutAll: async (_, __, { user, req, res }) => {
+        if (!user) {
+            logger.error('Logout attempt without authentication');
+            throw new ForbiddenError('Authentication required');
+        }
 
-        logger.info(`User logged in via GraphQL: ${user.id}`);
+        const { message } = await AuthService.logoutAll(user.id, clientMeta(req));
 
-        // Return user data with access token
-        const userWithToken = {
-            ...user,
-            authToken: accessToken,
-        };
+        // Clear refresh token from cookies
+        AuthService.clearRefreshCookie(res);
 
         return apiResponse({
             status: true,
-            message: 'Login successful',
-            data: userWithToken,
+            message,
+            data: null,
         });
     },
 
     /**
-     * Logout user
+     * Invalidate all tokens of a user (admin only)
      */
-    logout: async (_, __, { user, res }) => {
+    revokeUserSessions: async (_, { id }, { user, req }) => {
         if (!user) {
-            logger.error('Logout attempt without authentication');
             throw new ForbiddenError('Authentication required');
         }
 
-        await prisma.user.update({
-            where: { id: user.id },
-            data: {
-                authToken: null,
-                authTokenExpiry: null,
-            },
+        // Only SYSADMIN and ADMIN can revoke sessions of other users
+        if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+            throw new ForbiddenError('Not authorized to revoke user sessions');
+        }
+
+        const { message } = await AuthService.revokeSessions(id, clientMeta(req));
+
+        return apiResponse({
+            status: true,
+            message,
+            data: null,
         });
+    },
 
-        // Clear refresh token from cookies
-        res.cookie('refreshToken', '', {
-            httpOnly: true,
-            secure: config.nodeEnv === 'production',
-            sameSite: 'strict',
-            maxAge: 0, // Clear the cookie immediately
+    /**
+     * Verify email address with the token from the welcome email
+     */
+    verifyEmail: async (_, { token }, { req }) => {
+        const user = await AuthService.verifyEmail(token, clientMeta(req));
+
+        return apiResponse({
+            status: true,
+            message: 'Email verified successfully',
+            data: user,
         });
+    },
 
-        logger.info(`User logged out via GraphQL: ${user.id}`);
+    /**
+     * Resend verification email
+     */
+    resendVerificationEmail: async (_, { email }) => {
+        const { message } = await AuthService.resendVerificationEmail(email);
 
         return apiResponse({
             status: true,
-            message: 'Logout successful',
+            message,
             data: null,
         });
     },
 
+    /**
+     * Request a password reset email
+     */
+    forgotPassword: async (_, { email }, { req }) => {
+        const { message } = await AuthService.forgotPassword(email, clientMeta(req));
+
+        return apiResponse({
+            status: true,
+            message,
+            data: null,
+        });
+    },
+
+    /**
+     * Reset password with the token from the reset email
+     */
+    resetPassword: async (_, { token, password }, { req }) => {
+        const { message } = await AuthService.resetPassword(token, password, clientMeta(req));
+
+        return apiResponse({
+            status: true,
+            message,
+            data: null,
+        });
+    },
+
+    /**
+     * Unlock an account locked after failed logins (admin only)
+     */
+    unlockUser: async (_, { id }, { user, req }) => {
+        if (!user) {
+            throw new ForbiddenError('Authentication required');
+        }
+
+        // Only SYSADMIN and ADMIN can unlock accounts
+        if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+            throw new ForbiddenError('Not authorized to unlock users');
+        }
+
+        const unlockedUser = await AuthService.unlockUser(id, clientMeta(req));
+
+        return apiResponse({
+            status: true,
+            message: 'User unlocked successfully',
+            data: unlockedUser,
+        });
+    },
+
     /**
      * Update user profile
      */
@@ -179,43 +213,15 @@ export const userMutations = {
             throw new ForbiddenError('Not authorized to update this profile');
         }
 
-        const { email, ...otherData } = input;
-        const updatePayload = { ...otherData };
+        const updatedUser = await UserService.updateUser(id, UserService.pickUpdatableFields(input, user), user);
 
-        // If changing email, check if new email already exists
-        if (email) {
-            const existingUser = await prisma.user.findUnique({
-                where: { email },
-            });
+        logger.info(`User updated via GraphQL: ${updatedUser.id}`);
 
-            if (existingUser && existingUser.id !== id) {
-                throw new ConflictError('User with this email already exists');
-            }
-
-            updatePayload.email = email;
-        }
-
-        // Update user
-        try {
-            const updatedUser = await prisma.user.update({
-                where: { id },
-                data: updatePayload,
-            });
-
-            logger.info(`User updated via GraphQL: ${updatedUser.id}`);
-
-            return apiResponse({
-                status: true,
-                message: 'User updated successfully',
-                data: updatedUser,
-            });
-        } catch (error) {
-            if (error.code === 'P2025') {
-                throw new NotFoundError('User not found');
-            }
-            logger.error(`Error updating user via GraphQL: ${error.message}`);
-            throw error;
-        }
+        return apiResponse({
+            status: true,
+            message: 'User updated successfully',
+            data: updatedUser,
+        });
     },
 
     /**
@@ -237,24 +243,58 @@ export const userMutations = {
             throw new ValidationError('Cannot delete your own account');
         }
 
-        try {
-            const deletedUser = await prisma.user.delete({
-                where: { id },
-            });
-
-            logger.info(`User deleted via GraphQL: ${deletedUser.id}`);
-
-            return apiResponse({
-                status: true,
-                message: 'User deleted successfully',
-                data: deletedUser,
-            });
-        } catch (error) {
-            if (error.code === 'P2025') {
-                throw new NotFoundError('User not found');
-            }
-            logger.error(`Error deleting user via GraphQL: ${error.message}`);
-            throw error;
+        const deletedUser = await UserService.deleteUser(id);
+
+        logger.info(`User deleted via GraphQL: ${deletedUser.id}`);
+
+        return apiResponse({
+            status: true,
+            message: 'User deleted successfully',
+            data: deletedUser,
+        });
+    },
+
+    /**
+     * Restore a soft-deleted user (admin only)
+     */
+    restoreUser: async (_, { id }, { user }) => {
+        if (!user) {
+            throw new ForbiddenError('Authentication required');
+        }
+
+        // Only SYSADMIN and ADMIN can restore users
+        if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+            throw new ForbiddenError('Not authorized to restore users');
+        }
+
+        const restoredUser = await UserService.restoreUser(id);
+
+        return apiResponse({
+            status: true,
+            message: 'User restored successfully',
+            data: restoredUser,
+        });
+    },
+
+    /**
+     * Permanently delete a soft-deleted user (admin only)
+     */
+    purgeUser: async (_, { id }, { user }) => {
+        if (!user) {
+            throw new ForbiddenError('Authentication required');
+        }
+
+        // Only SYSADMIN and ADMIN can purge users
+        if (user.role !== 'ADMIN' && user.role !== 'SYSADMIN') {
+            throw new ForbiddenError('Not authorized to purge users');
         }
+
+        const { message } = await UserService.purgeUser(id);
+
+        return apiResponse({
+            status: true,
+            message,
+            data: null,
+        });
     },
 };
\ No newline at end of file
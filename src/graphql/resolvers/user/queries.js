@@ -2,10 +2,19 @@ import prisma from '../../../../prisma/client.js';
 import { logger } from '../../../config/index.js';
 import { ForbiddenError, NotFoundError } from '../../../utils/errors.js';
 import { apiResponse } from '../../../utils/response.js';
+import { PUBLIC_USER_SELECT, UserService } from '../../../express/services/userService.js';
+import { ApiKeyService } from '../../../express/services/apiKeyService.js';
+
+// GraphQL sort fields mapped to Prisma columns
+const ORDER_FIELDS = {
+    CREATED_AT: 'createdAt',
+    UPDATED_AT: 'updatedAt',
+    EMAIL: 'email',
+};
 
 /**
  * User Domain - Query Resolvers
- * Contains all user-related queries: me, user, users
+ * Contains all user-related queries: me, user, users, usersConnection
  */
 export const userQueries = {
     // Get authenticated user's profile
@@ -14,8 +23,8 @@ export const userQueries = {
             throw new ForbiddenError('Authentication required');
         }
         logger.debug(`GraphQL me query executed for user: ${user.id}`);
-        return prisma.user.findUnique({
-            where: { id: user.id }
+        return prisma.user.findFirst({
+            where: { id: user.id, deletedAt: null }
         }).then(userData => apiResponse({
             status: true,
             message: 'User profile fetched successfully',
@@ -30,8 +39,10 @@ export const userQueries = {
             throw new ForbiddenError('Not authorized to access this user');
         }
         logger.debug(`GraphQL user query executed for user: ${id}`);
-        const userData = await prisma.user.findUnique({
-            where: { id }
+        const userData = await prisma.user.findFirst({
+            where: { id, deletedAt: null },
+            // Admins do not get the tokens of other users
+            ...(user.id !== id && { select: PUBLIC_USER_SELECT }),
         });
         if (!userData) {
             throw new NotFoundError('User not found');
@@ -43,17 +54,38 @@ export const userQueries = {
         });
     },
 
-    // Get all users (admin only)
-    users: async (_, __, { user }) => {
-        if (!user || user.role !== 'ADMIN') {
+    // Get all users (admin, or API keys with the users:read scope)
+    users: async (_, __, { user, apiKey }) => {
+        if (user?.role !== 'ADMIN' && !ApiKeyService.hasScope(apiKey, 'users:read')) {
             throw new ForbiddenError('Admin access required');
         }
         logger.debug('GraphQL users query executed');
-        const users = await prisma.user.findMany();
+        const users = await prisma.user.findMany({
+            where: { deletedAt: null },
+            select: PUBLIC_USER_SELECT,
+        });
         return apiResponse({
             status: true,
             message: 'All users fetched successfully',
             data: users,
         });
+    },
+
+    // Paginated, filterable user listing (admin, or API keys with the users:read scope)
+    usersConnection: async (_, { first, after, filter, orderBy }, { user, apiKey }) => {
+        if (user?.role !== 'ADMIN' && !ApiKeyService.hasScope(apiKey, 'users:read')) {
+            throw new ForbiddenError('Admin access required');
+        }
+        logger.debug('GraphQL usersConnection query executed');
+        return UserService.listUsers({
+            first,
+            after,
+            filter: filter ?? {},
+            orderBy: orderBy && {
+                field: ORDER_FIELDS[orderBy.field],
+                direction: orderBy.direction.toLowerCase(),
+            },
+            select: PUBLIC_USER_SELECT,
+        });
     }
-};
\ No newline at end of file
+};
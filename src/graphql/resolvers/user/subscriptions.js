@@ -0,0 +1,45 @@
+import { subscribe, TOPICS, withFilter } from '../../pubsub/index.js';
+import { ForbiddenError } from '../../../utils/errors.js';
+import { logger } from '../../../config/logger.js';
+
+/**
+ * Check whether a subscriber may receive an event about a user
+ * Admins see every user, everyone else only sees events about themselves
+ * @param {Object} subscriber - Authenticated subscriber from the subscription context
+ * @param {Object} user - User the event is about
+ * @returns {boolean} Whether the event should be delivered
+ */
+const canSeeUserEvent = (subscriber, user) =>
+    subscriber.role === 'ADMIN' || subscriber.role === 'SYSADMIN' || subscriber.id === user?.id;
+
+/**
+ * Build a subscription resolver for a user lifecycle topic
+ * @param {string} topic - Topic name from TOPICS
+ * @param {string} field - Subscription field, matches the key of the published payload
+ * @returns {Object} Subscription resolver
+ */
+const userEventSubscription = (topic, field) => ({
+    subscribe: withFilter(
+        (parent, args, context) => {
+            if (!context.authenticated || !context.user) {
+                logger.warn(`🚫 Unauthorized ${field} subscription attempt`);
+                throw new ForbiddenError('Authentication required for subscriptions');
+            }
+
+            logger.info(`🔐 ${field} subscription started for user: ${context.user.id} (${context.user.role})`);
+            // Missed events are replayed through the same filter as live ones
+            return subscribe(topic, args);
+        },
+        (payload, args, context) => canSeeUserEvent(context.user, payload[field]?.user),
+    ),
+});
+
+/**
+ * User Domain - Subscription Resolvers
+ * Contains user lifecycle subscriptions: userCreated, userUpdated, userDeleted
+ */
+export const userSubscriptions = {
+    userCreated: userEventSubscription(TOPICS.USER_CREATED, 'userCreated'),
+    userUpdated: userEventSubscription(TOPICS.USER_UPDATED, 'userUpdated'),
+    userDeleted: userEventSubscription(TOPICS.USER_DELETED, 'userDeleted'),
+};
@@ -0,0 +1,10 @@
+/**
+ * User Domain - Type Resolvers
+ * Field resolvers for the User type
+ */
+export const userTypes = {
+    User: {
+        // Kept for clients written before the field was renamed to lastLoginAt
+        lastLogin: (parent) => parent.lastLoginAt ?? null,
+    },
+};
@@ -0,0 +1,58 @@
+const apiKeySchema = `#graphql
+  # API key of a monitoring tool or other non-interactive client, the key itself is never returned again
+  type ApiKey {
+    id: ID!
+    name: String!
+    # First characters of the key, to tell keys apart
+    prefix: String!
+    # analytics:read, users:read
+    scopes: [String!]!
+    createdById: ID
+    expiresAt: DateTime
+    lastUsedAt: DateTime
+    lastUsedIp: String
+    createdAt: DateTime!
+    revokedAt: DateTime
+  }
+
+  # Newly created key, store the key now, it cannot be shown again
+  type CreatedApiKey {
+    apiKey: ApiKey!
+    key: String!
+  }
+
+  input CreateApiKeyInput {
+    name: String!
+    scopes: [String!]!
+    # Never expires when omitted
+    expiresAt: DateTime
+  }
+
+  type ResponsePayloadApiKey {
+    status: Boolean!
+    message: String!
+    data: ApiKey
+  }
+
+  type ResponsePayloadCreatedApiKey {
+    status: Boolean!
+    message: String!
+    data: CreatedApiKey
+  }
+
+  type Query {
+    _: Boolean
+    # Admin only
+    apiKeys: [ApiKey!]!
+  }
+
+  type Mutation {
+    _: Boolean
+    # Admin only, send the key in the X-API-Key header
+    createApiKey(input: CreateApiKeyInput!): ResponsePayloadCreatedApiKey!
+    # Admin only, the key stops working right away
+    revokeApiKey(id: ID!): ResponsePayloadApiKey!
+  }
+`;
+
+export default apiKeySchema;
@@ -1,28 +1,90 @@
 const baseSchema = `#graphql
   scalar DateTime
 
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  # Relay-style page information shared by all connections
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
   type TestPayload {
     id: ID!
     message: String!
     timestamp: String!
+    channel: String
+    # Event log ID, pass it as lastEventId to resume after a reconnect
+    eventId: ID
   }
 
 
+  # Token pair issued when the server refreshes a WebSocket session
+  type TokenRefreshPayload {
+    accessToken: String!
+    refreshToken: String!
+    expiresAt: DateTime!
+  }
+
+  type ConnectionSubscription {
+    id: ID!
+    operationName: String
+    startedAt: DateTime!
+  }
+
+  # Open WebSocket connection of this instance
+  type ActiveConnection {
+    id: ID!
+    userId: ID
+    email: String
+    role: UserRole
+    ipAddress: String
+    userAgent: String
+    connectedAt: DateTime!
+    subscriptions: [ConnectionSubscription!]!
+    messagesReceived: Int!
+    messagesSent: Int!
+  }
+
+  # Log record streamed live from the server
+  type LogEntry {
+    timestamp: DateTime!
+    level: String!
+    message: String!
+    # ID of the HTTP request the entry was logged for
+    requestId: String
+  }
+
   type Query {
     _: Boolean
     hello: String
+    # Admin only
+    activeConnections: [ActiveConnection!]!
   }
 
   type Mutation {
     _: Boolean
-    triggerTestSubscription(message: String!): TestPayload!
+    triggerTestSubscription(message: String!, channel: String): TestPayload!
+    # Admin only, closes the connection with 4403
+    disconnectConnection(id: ID!, reason: String): ResponseLogout!
 
     # Root mutation type - extended by other schemas
   }
 
   type Subscription {
     _: Boolean
-    testSubscription: TestPayload!
+    # Only events triggered on the given channel, every event when omitted
+    # Pass lastEventId or since to replay missed events before live delivery
+    testSubscription(channel: String, lastEventId: ID, since: DateTime): TestPayload!
+    # New tokens of this connection, WebSocket only
+    tokenRefreshed: TokenRefreshPayload!
+    # Admin only, new log entries at this level or more severe (error, warn, info, http, debug)
+    logStream(level: String): LogEntry!
     # Root subscription type - extended by other schemas
   }
 `;
@@ -1,9 +1,11 @@
 import baseSchema from './baseSchema.js';
 import userSchema from './userSchema.js';
+import apiKeySchema from './apiKeySchema.js';
 
 const typeDefs = [
     baseSchema,
     userSchema,
+    apiKeySchema,
     // Add more schema files here
 ];
 
@@ -20,7 +20,49 @@ const userSchema = `#graphql
     role: UserRole!
     createdAt: DateTime!
     updatedAt: DateTime!
-    lastLogin: DateTime
+    lastLogin: DateTime @deprecated(reason: "Use lastLoginAt")
+    lastLoginAt: DateTime
+    lockedUntil: DateTime
+    deletedAt: DateTime
+  }
+
+  enum UserOrderField {
+    CREATED_AT
+    UPDATED_AT
+    EMAIL
+  }
+
+  input UserOrderBy {
+    field: UserOrderField! = CREATED_AT
+    direction: SortDirection! = DESC
+  }
+
+  input UserFilter {
+    role: UserRole
+    isActive: Boolean
+    isVerified: Boolean
+    createdAfter: DateTime
+    createdBefore: DateTime
+    # Case-insensitive match on email, userName, firstName and lastName
+    search: String
+  }
+
+  # Payload of the user lifecycle subscriptions
+  type UserEvent {
+    # Event log ID, pass it as lastEventId to resume after a reconnect
+    eventId: ID
+    user: User!
+  }
+
+  type UserEdge {
+    cursor: String!
+    node: User!
+  }
+
+  type UserConnection {
+    edges: [UserEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
   }
 
   input RegisterInput {
@@ -31,7 +73,6 @@ const userSchema = `#graphql
     lastName: String
     profileImageUrl: String
     phoneNumber: String
-    role: UserRole!
   }
 
   input LoginInput {
@@ -68,7 +109,8 @@ const userSchema = `#graphql
     _: Boolean
     me: ResponsePayload
     user(id: ID!): ResponsePayload
-    users: ResponsePayloadAllUsers
+    users: ResponsePayloadAllUsers @deprecated(reason: "Use usersConnection")
+    usersConnection(first: Int = 20, after: String, filter: UserFilter, orderBy: UserOrderBy): UserConnection!
   }
 
   type Mutation {
@@ -76,12 +118,26 @@ const userSchema = `#graphql
     register(input: RegisterInput!): ResponsePayload!
     login(input: LoginInput!): ResponsePayload!
     logout: ResponseLogout!
+    logoutAll: ResponseLogout!
+    revokeUserSessions(id: ID!): ResponseLogout!
+    verifyEmail(token: String!): ResponsePayload!
+    resendVerificationEmail(email: String!): ResponseLogout!
+    forgotPassword(email: String!): ResponseLogout!
+    resetPassword(token: String!, password: String!): ResponseLogout!
+    unlockUser(id: ID!): ResponsePayload!
     updateUser(input: UpdateUserInput!): ResponsePayload!
     deleteUser(id: ID!): ResponsePayload!
+    restoreUser(id: ID!): ResponsePayload!
+    purgeUser(id: ID!): ResponseLogout!
   }
 
   type Subscription {
     _: Boolean
+    # Admins receive events for every user, other users only for themselves
+    # Pass lastEventId or since to replay missed events before live delivery
+    userCreated(lastEventId: ID, since: DateTime): UserEvent!
+    userUpdated(lastEventId: ID, since: DateTime): UserEvent!
+    userDeleted(lastEventId: ID, since: DateTime): UserEvent!
   }
 `;
 
@@ -4,8 +4,14 @@ import { makeExecutableSchema } from '@graphql-tools/schema';
 import { logger } from '../config/index.js';
 import typeDefs from './schema/index.js';
 import resolvers from './resolvers/index.js';
-import { createContext } from './context.js';
+import { createContext, createSubscriptionContext } from './context.js';
 import { AppError } from '../utils/errors.js';
+import { getRequestId } from '../utils/requestContext.js';
+import { operationTrackingPlugin } from './plugins/operationTrackingPlugin.js';
+import { rateLimitPlugin } from './plugins/rateLimitPlugin.js';
+import { queryComplexityPlugin } from './plugins/queryComplexityPlugin.js';
+import { persistedQueryPlugin } from './plugins/persistedQueryPlugin.js';
+import { persistedQueryOptions } from './persistedQueries/index.js';
 
 export const serverStatus = {
     initialized: false,
@@ -18,6 +24,8 @@ const schema = makeExecutableSchema({ typeDefs, resolvers });
 const apolloServer = new ApolloServer({
     schema, // Use schema instead of typeDefs + resolvers for v5 subscriptions
     introspection: process.env.NODE_ENV !== 'production',
+    // Automatic persisted queries, the cache is selected by PERSISTED_QUERIES_CACHE
+    persistedQueries: persistedQueryOptions,
     formatError: (formattedError, error) => {
         const errorLevel = error instanceof AppError && error.statusCode < 500 ? 'warn' : 'error';
         try {
@@ -30,16 +38,19 @@ const apolloServer = new ApolloServer({
         } catch (logError) {
             logger.error('Error while logging GraphQL error:', logError);
         }
+        // Lets clients quote the ID that correlates the error with the server logs
+        const requestId = getRequestId();
         if (process.env.NODE_ENV === 'production') {
             return {
                 message: formattedError.message,
                 path: formattedError.path,
                 extensions: {
-                    code: formattedError.extensions?.code || 'INTERNAL_SERVER_ERROR'
+                    code: formattedError.extensions?.code || 'INTERNAL_SERVER_ERROR',
+                    requestId
                 }
             };
         }
-        return formattedError;
+        return { ...formattedError, extensions: { ...formattedError.extensions, requestId } };
     },
     plugins: [
         {
@@ -73,8 +84,16 @@ const apolloServer = new ApolloServer({
                     }
                 };
             }
-        }
+        },
+        // Per-operation ApiRequest analytics
+        operationTrackingPlugin,
+        // Per-role and per-operation limits, the REST rateLimitMiddleware skips /graphql
+        rateLimitPlugin,
+        // Rejects operations over the depth and cost limits
+        queryComplexityPlugin,
+        // Manifest operations by hash and the production allowlist
+        persistedQueryPlugin,
     ],
 });
 
-export { apolloServer, createContext, schema };
\ No newline at end of file
+export { apolloServer, createContext, createSubscriptionContext, schema };
\ No newline at end of file
@@ -0,0 +1,227 @@
+import { CloseCode } from 'graphql-ws';
+import { config, logger } from '../config/index.js';
+import { AuthService } from '../express/services/authService.js';
+import { TokenService } from '../express/services/tokenService.js';
+import { TOKEN_TYPES, extractTokenFromHeader, verifyToken } from '../utils/jwtUtils.js';
+import { SubscriptionIterator } from './pubsub/subscriptionIterator.js';
+import { connectionRegistry } from './connectionRegistry.js';
+
+// setTimeout fires immediately for delays above 2^31 - 1 ms
+const MAX_TIMER_DELAY = 2147483647;
+// WebSocket close reasons are limited to 123 bytes
+const MAX_CLOSE_REASON_LENGTH = 123;
+
+/**
+ * Build the tokenRefreshed payload for a token pair
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {Object} Token payload
+ */
+const tokenPayload = ({ accessToken, refreshToken }) => ({
+    accessToken,
+    refreshToken,
+    expiresAt: new Date(verifyToken(accessToken, TOKEN_TYPES.ACCESS).exp * 1000),
+});
+
+/**
+ * Authenticate a WebSocket connection from its connection_init payload
+ * The result is stored on the connection as `ctx.extra.session` and shared by
+ * every subscription of the connection, so a refresh token is only used once.
+ * @param {Object} ctx - graphql-ws connection context
+ * @returns {Promise<Object>} Connection session
+ */
+export const authenticateConnection = async (ctx) => {
+    const connectionParams = ctx.connectionParams || {};
+    const authorization = connectionParams.authorization || connectionParams.Authorization;
+    const refreshToken = connectionParams.refreshToken || connectionParams.refresh_token;
+    const meta = {
+        transport: 'websocket',
+        deviceInfo: ctx.extra?.request?.headers['user-agent'],
+        ipAddress: ctx.extra?.request?.socket?.remoteAddress,
+    };
+
+    const session = {
+        user: null,
+        authError: null,
+        refreshToken,
+        pendingTokens: null,
+        listeners: new Set(),
+        expiryTimer: null,
+        meta,
+    };
+
+    try {
+        const { user, tokens, error } = await AuthService.authenticate({
+            accessToken: extractTokenFromHeader(authorization),
+            refreshToken,
+        }, meta);
+
+        session.user = user;
+        session.authError = error?.message ?? null;
+
+        // The access token was refreshed while connecting, the client has to pick up the new pair
+        if (tokens) {
+            session.refreshToken = tokens.refreshToken;
+            session.pendingTokens = tokenPayload(tokens);
+        }
+    } catch (error) {
+        logger.error(`Error authenticating WebSocket connection: ${error.message}`);
+        session.authError = error.message;
+    }
+
+    ctx.extra.session = session;
+    return session;
+};
+
+/**
+ * Hand refreshed tokens to the connection's tokenRefreshed subscribers
+ * Kept pending until a subscriber picks them up when nobody is subscribed yet
+ * @param {Object} session - Connection session
+ * @param {Object} payload - Token payload
+ */
+const deliverTokens = (session, payload) => {
+    if (!session.listeners.size) {
+        session.pendingTokens = payload;
+        return;
+    }
+
+    session.pendingTokens = null;
+    session.listeners.forEach(iterator => iterator.push({ tokenRefreshed: payload }));
+};
+
+/**
+ * Close a connection whose access token can no longer be used
+ * @param {Object} ctx - graphql-ws connection context
+ * @param {string} reason - Close reason sent to the client
+ */
+const closeUnauthorized = (ctx, reason) => {
+    logger.warn(`🔌 Closing WebSocket connection of user ${ctx.extra.session?.user?.id ?? 'anonymous'}: ${reason}`);
+    ctx.extra.socket.close(CloseCode.Unauthorized, reason.slice(0, MAX_CLOSE_REASON_LENGTH));
+};
+
+/**
+ * Renew the session of a connection when its access token expires
+ * The refresh token is only rotated when a tokenRefreshed subscriber takes the
+ * new pair right away, and while the connection holds the newest token of its
+ * family. Otherwise the client would be left with a consumed token and reuse
+ * detection would end its session on the next refresh (reconnect, HTTP cookie);
+ * the session is re-verified instead and keeps running for another access
+ * token lifetime. Connections without a usable refresh token are closed.
+ * @param {Object} ctx - graphql-ws connection context
+ * @returns {Promise<void>}
+ */
+const handleTokenExpiry = async (ctx) => {
+    const session = ctx.extra.session;
+    session.expiryTimer = null;
+
+    if (!session.refreshToken) {
+        closeUnauthorized(ctx, 'Token expired');
+        return;
+    }
+
+    try {
+        const { user, current, expiresAt } = await TokenService.verifyRefreshSession(session.refreshToken);
+
+        if (current && session.listeners.size) {
+            const tokens = await AuthService.refresh(session.refreshToken, session.meta);
+            session.user = verifyToken(tokens.accessToken, TOKEN_TYPES.ACCESS);
+            session.refreshToken = tokens.refreshToken;
+            deliverTokens(session, tokenPayload(tokens));
+            logger.info(`🔐 Refreshed WebSocket session of user ${session.user.id}`);
+        } else {
+            const renewedUntil = Math.min(Date.now() + config.jwt.accessExpiration * 1000, expiresAt.getTime());
+            session.user = { ...session.user, email: user.email, role: user.role, exp: Math.floor(renewedUntil / 1000) };
+            logger.info(`🔐 Re-verified WebSocket session of user ${user.id}`);
+        }
+
+        scheduleTokenExpiry(ctx);
+    } catch (error) {
+        logger.warn(`WebSocket session refresh failed: ${error.message}`);
+        closeUnauthorized(ctx, 'Token expired');
+    }
+};
+
+/**
+ * Schedule the expiry handling of the connection's access token
+ * @param {Object} ctx - graphql-ws connection context
+ */
+const scheduleTokenExpiry = (ctx) => {
+    const session = ctx.extra.session;
+    clearTimeout(session.expiryTimer);
+
+    if (!session.user?.exp) {
+        return;
+    }
+
+    const delay = Math.min(Math.max(session.user.exp * 1000 - Date.now(), 0), MAX_TIMER_DELAY);
+    session.expiryTimer = setTimeout(() => handleTokenExpiry(ctx), delay);
+    session.expiryTimer.unref();
+};
+
+/**
+ * graphql-ws onConnect handler, runs on connection_init
+ * Unauthenticated connections are rejected when WS_REQUIRE_AUTH is enabled,
+ * graphql-ws closes them with 4403 Forbidden. Tokens refreshed while connecting are also
+ * returned in the connection_ack payload.
+ * @param {Object} ctx - graphql-ws connection context
+ * @returns {Promise<boolean|Object>} false to reject, otherwise true or the ack payload
+ */
+export const handleConnect = async (ctx) => {
+    const session = await authenticateConnection(ctx);
+
+    if (!session.user) {
+        if (config.websocket.requireAuth) {
+            logger.warn(`🔌 Rejecting unauthenticated WebSocket connection: ${session.authError ?? 'no token'}`);
+            return false;
+        }
+
+        logger.info('🔌 WebSocket client connected without authentication');
+        connectionRegistry.register(ctx);
+        return true;
+    }
+
+    logger.info(`🔌 WebSocket client connected for user ${session.user.id}`);
+    connectionRegistry.register(ctx);
+    scheduleTokenExpiry(ctx);
+
+    return session.pendingTokens ? { tokenRefreshed: session.pendingTokens } : true;
+};
+
+/**
+ * graphql-ws onClose handler, releases the connection's registry entry, timers and iterators
+ * @param {Object} ctx - graphql-ws connection context
+ */
+export const handleClose = (ctx) => {
+    const session = ctx.extra.session;
+    if (!session) {
+        return;
+    }
+
+    connectionRegistry.unregister(ctx);
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    session.listeners.forEach(iterator => iterator.return());
+};
+
+/**
+ * Create the iterator behind a tokenRefreshed subscription
+ * Tokens refreshed before the subscription started are delivered right away
+ * @param {Object} session - Connection session from the subscription context
+ * @returns {SubscriptionIterator} Iterator yielding { tokenRefreshed } payloads
+ */
+export const tokenRefreshIterator = (session) => {
+    // Only the latest token pair is useful to the client
+    const iterator = new SubscriptionIterator({
+        triggers: ['TOKEN_REFRESHED'],
+        bufferSize: 1,
+        overflow: 'drop-oldest',
+        onClose: (closed) => session.listeners.delete(closed),
+    });
+    session.listeners.add(iterator);
+
+    if (session.pendingTokens) {
+        deliverTokens(session, session.pendingTokens);
+    }
+
+    return iterator;
+};
@@ -5,15 +5,24 @@ import { expressMiddleware } from '@as-integrations/express5';
 import { ApolloServerPluginDrainHttpServer } from '@apollo/server/plugin/drainHttpServer';
 import { WebSocketServer } from 'ws';
 import { useServer } from 'graphql-ws/use/ws';
-import { apolloServer, createContext, schema } from './graphql/server.js';
-import { verifyToken, extractTokenFromHeader, generateAccessToken, generateRefreshToken } from './utils/jwtUtils.js';
+import { apolloServer, createContext, createSubscriptionContext, schema } from './graphql/server.js';
+import { pubsub } from './graphql/pubsub/index.js';
+import { handleConnect, handleClose } from './graphql/websocket.js';
+import { connectionRegistry } from './graphql/connectionRegistry.js';
+import { subscribeComplexityError } from './graphql/queryComplexity.js';
+import { resolveOperationQuery } from './graphql/persistedQueries/index.js';
+import { REQUEST_ID_HEADER } from './utils/requestContext.js';
+import { apiRequestBuffer } from './express/middleware/apiTrackingMiddleware.js';
+import { RATE_LIMIT_HEADERS } from './express/services/rateLimitService.js';
+import { ACCESS_TOKEN_HEADER } from './express/services/authService.js';
 import expressApp from './express/server.js';
 import { logger, config } from './config/index.js';
-import prisma from '../prisma/client.js';
 import path from 'path';
 import fs from 'fs';
 
 import appSeeding from './seeding/appSeeding.js';
+import { startUserPurgeJob, stopUserPurgeJob } from './jobs/userPurgeJob.js';
+import { startEventRetentionJob, stopEventRetentionJob } from './jobs/eventRetentionJob.js';
 
 process.on('uncaughtException', (err) => {
     logger.error('UNCAUGHT EXCEPTION:', err);
@@ -50,95 +59,51 @@ async function startServer() {
         // Hand in the schema and have the WebSocketServer start listening
         const serverCleanup = useServer({
             schema,
-            context: async (ctx, msg, args) => {
-                // Extract authentication tokens from connection params
-                const connectionParams = ctx.connectionParams || {};
-                const authorization = connectionParams.authorization || connectionParams.Authorization;
-                const refreshToken = connectionParams.refreshToken || connectionParams.refresh_token;
-
-                try {
-                    if (authorization) {
-                        const token = extractTokenFromHeader(authorization);
-                        if (token) {
-                            try {
-                                const user = verifyToken(token);
-                                logger.debug(`🔐 WebSocket authenticated for user: ${user.id}`);
-                                return { user, authenticated: true };
-                            } catch (tokenError) {
-                                // If access token expired, try refresh token (same logic as context.js)
-                                if (tokenError.name === 'TokenExpiredError' && refreshToken) {
-                                    logger.warn('🔄 Access token expired, attempting refresh for WebSocket');
-
-                                    try {
-                                        // Verify refresh token (using same logic as context.js)
-                                        const user = verifyToken(refreshToken);
-
-                                        // Generate new tokens
-                                        const newAccessToken = generateAccessToken(user);
-                                        const newRefreshToken = generateRefreshToken(user);
-                                        const expirationTime = config.jwt.accessExpiration || 3600;
-
-                                        if (isNaN(expirationTime) || expirationTime <= 0) {
-                                            logger.error(`Invalid JWT access expiration time: ${config.jwt.accessExpiration}`);
-                                            throw new Error('Invalid JWT access expiration time');
-                                        }
-
-                                        // Update database with new token (same as context.js)
-                                        await prisma.user.update({
-                                            where: { id: user.id },
-                                            data: {
-                                                authToken: newAccessToken,
-                                                authTokenExpiry: new Date(Date.now() + expirationTime * 1000).toISOString(),
-                                            },
-                                        });
-
-                                        logger.info(`🔄 Refreshed tokens for WebSocket user: ${user.id}`);
-                                        return {
-                                            user,
-                                            authenticated: true,
-                                            newAccessToken,
-                                            newRefreshToken,
-                                            tokenRefreshed: true
-                                        };
-                                    } catch (refreshError) {
-                                        logger.error('🚫 Refresh token invalid for WebSocket:', refreshError.message);
-                                        return { user: null, authenticated: false, authError: 'Invalid refresh token' };
-                                    }
-                                } else {
-                                    logger.warn('🚫 Token expired and no refresh token provided for WebSocket');
-                                    return { user: null, authenticated: false, authError: tokenError.message };
-                                }
-                            }
-                        }
-                    }
-
-                    logger.debug('🔓 WebSocket connection without authentication');
-                    return { user: null, authenticated: false };
-                } catch (error) {
-                    logger.warn('🚫 WebSocket authentication failed:', error.message);
-                    return { user: null, authenticated: false, authError: error.message };
-                }
-            },
-            onConnect: async (ctx) => {
-                logger.info('🔌 WebSocket client connected for subscriptions');
-                return true; // Allow connection (authentication handled in context)
-            },
+            // Same authentication semantics as HTTP requests (see context.js)
+            context: createSubscriptionContext,
+            // Authenticates at connection_init, rejects anonymous sockets when WS_REQUIRE_AUTH is set
+            onConnect: handleConnect,
             onDisconnect: (ctx, code, reason) => {
                 logger.info('🔌 WebSocket client disconnected', { code, reason });
             },
-            onSubscribe: (ctx, message) => {
+            onClose: handleClose,
+            onSubscribe: async (ctx, id, payload) => {
+                // Persisted queries and the allowlist, graphql-ws then parses and validates payload.query
+                try {
+                    payload.query = await resolveOperationQuery(payload);
+                } catch (error) {
+                    logger.warn(`WebSocket operation rejected: ${error.message}`);
+                    return [error];
+                }
+
+                // Same depth and cost limits as HTTP requests (queryComplexityPlugin), with the variables
+                const complexityError = subscribeComplexityError(schema, payload);
+                if (complexityError) {
+                    logger.warn(`WebSocket operation rejected: ${complexityError.message}`, {
+                        operation: payload.operationName ?? 'unnamed operation',
+                    });
+                    return [complexityError];
+                }
+
+                connectionRegistry.subscriptionStarted(ctx, id, payload);
                 logger.info('📡 New subscription started:', {
-                    operationName: message.payload?.operationName || 'unnamed',
-                    query: message.payload?.query?.substring(0, 100) + '...'
+                    operationName: payload?.operationName || 'unnamed',
+                    query: payload?.query?.substring(0, 100) + '...'
                 });
             },
-            onNext: (ctx, message, args, result) => {
-                logger.info('📤 Sending subscription data to client');
+            onNext: (ctx, id, payload, args, result) => {
+                connectionRegistry.messageSent(ctx);
+                // Logging log stream deliveries would feed them back into the stream
+                if (!result?.data?.logStream) {
+                    logger.info('📤 Sending subscription data to client');
+                }
             },
-            onError: (ctx, message, errors) => {
+            onError: (ctx, id, payload, errors) => {
+                connectionRegistry.subscriptionEnded(ctx, id);
                 logger.error('❌ Subscription error:', errors);
             },
-            onComplete: (ctx, message) => {
+            onComplete: (ctx, id, payload) => {
+                connectionRegistry.subscriptionEnded(ctx, id);
                 logger.info('✅ Subscription completed');
             }
         }, wsServer);
@@ -150,7 +115,7 @@ async function startServer() {
         // Apply Apollo middleware to Express with context function
         expressApp.use(
             '/graphql',
-            cors(),
+            cors({ exposedHeaders: [REQUEST_ID_HEADER, ACCESS_TOKEN_HEADER, ...RATE_LIMIT_HEADERS] }),
             bodyParser.json(),
             expressMiddleware(apolloServer, {
                 context: createContext
@@ -172,13 +137,17 @@ async function startServer() {
 
         async function gracefulShutdown() {
             logger.info('Shutting down Apollo Server v5...');
+            stopUserPurgeJob();
+            stopEventRetentionJob();
             await serverCleanup.dispose();
-            httpServer.close(() => {
+            await pubsub.close();
+            httpServer.close(async () => {
                 logger.info('HTTP server shut down successfully');
-                apolloServer.stop().then(() => {
-                    logger.info('Apollo Server stopped');
-                    process.exit(0);
-                });
+                // Every response has finished, write the API requests still buffered
+                await apiRequestBuffer.drain();
+                await apolloServer.stop();
+                logger.info('Apollo Server stopped');
+                process.exit(0);
             });
         }
     } catch (error) {
@@ -191,6 +160,8 @@ await startServer()
     .then(async () => {
         logger.info('Server started successfully');
         await appSeeding.systemUser(); // Corrected to call the static method directly
+        startUserPurgeJob();
+        startEventRetentionJob();
 
     })
     .catch(error => {
@@ -0,0 +1,41 @@
+import { config, logger } from '../config/index.js';
+import { EventService } from '../express/services/eventService.js';
+
+let timer = null;
+
+/**
+ * Trim events older than the retention window from the event log
+ * @returns {Promise<void>}
+ */
+const run = async () => {
+    try {
+        await EventService.purgeOldEvents();
+    } catch (error) {
+        logger.error(`Scheduled event log trim failed: ${error.message}`);
+    }
+};
+
+/**
+ * Start trimming the event log on the configured interval
+ * The first run happens right away so a restart does not delay the trim
+ */
+export const startEventRetentionJob = () => {
+    if (timer) {
+        return;
+    }
+
+    const { retentionInterval, retention } = config.events;
+    logger.info(`Event retention job scheduled every ${retentionInterval}s (retention ${retention}s)`);
+
+    run();
+    timer = setInterval(run, retentionInterval * 1000);
+    timer.unref();
+};
+
+/**
+ * Stop the scheduled trim
+ */
+export const stopEventRetentionJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
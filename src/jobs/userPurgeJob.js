@@ -0,0 +1,41 @@
+import { config, logger } from '../config/index.js';
+import { UserService } from '../express/services/userService.js';
+
+let timer = null;
+
+/**
+ * Purge soft-deleted users once their retention window has passed
+ * @returns {Promise<void>}
+ */
+const run = async () => {
+    try {
+        await UserService.purgeDeletedUsers();
+    } catch (error) {
+        logger.error(`Scheduled user purge failed: ${error.message}`);
+    }
+};
+
+/**
+ * Start purging soft-deleted users on the configured interval
+ * The first run happens right away so a restart does not delay the purge
+ */
+export const startUserPurgeJob = () => {
+    if (timer) {
+        return;
+    }
+
+    const { purgeInterval, deletedRetention } = config.users;
+    logger.info(`User purge job scheduled every ${purgeInterval}s (retention ${deletedRetention}s)`);
+
+    run();
+    timer = setInterval(run, purgeInterval * 1000);
+    timer.unref();
+};
+
+/**
+ * Stop the scheduled purge
+ */
+export const stopUserPurgeJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
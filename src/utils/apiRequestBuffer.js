@@ -0,0 +1,111 @@
+/**
+ * In-memory buffer batching writes of tracked API requests
+ * Records are written together once the buffer holds `maxSize` of them or
+ * `flushInterval` ms after the first record of a batch, whichever comes first.
+ * Flushes run one at a time. The records of a failed batch are written
+ * again with the next batch, but the buffer never holds more than `maxQueued`
+ * records: the oldest are dropped so a database outage cannot grow it
+ * without bounds.
+ */
+export class ApiRequestBuffer {
+    /**
+     * @param {Object} options - Buffer options
+     * @param {Function} options.write - async (records) => void, writes one batch
+     * @param {number} [options.maxSize] - Records per batch
+     * @param {number} [options.flushInterval] - Longest time a record waits for its batch, in ms
+     * @param {number} [options.maxQueued] - Records kept while batches fail, 10 batches by default
+     * @param {Function} [options.onError] - (error, records, dropped) => void, called when a batch fails
+     *   with its records and the records dropped for good
+     */
+    constructor({ write, maxSize = 100, flushInterval = 5000, maxQueued = maxSize * 10, onError = () => {} }) {
+        this.write = write;
+        this.maxSize = maxSize;
+        this.flushInterval = flushInterval;
+        this.maxQueued = maxQueued;
+        this.onError = onError;
+        this.records = [];
+        this.failed = [];
+        this.timer = null;
+        this.flushing = Promise.resolve();
+    }
+
+    /**
+     * Queue a record for the next batch
+     * @param {Object} record - Record to write
+     */
+    add(record) {
+        this.records.push(record);
+
+        if (this.records.length >= this.maxSize) {
+            this.flush();
+        } else {
+            this.schedule();
+        }
+    }
+
+    /**
+     * Start the flush interval unless it is running
+     */
+    schedule() {
+        if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+            // Pending records must not keep the process alive, shutdown drains them
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Keep the records of a failed batch for the next one
+     * @param {Object[]} records - Records of the failed batch
+     * @returns {Object[]} Records dropped because the buffer is full, oldest first
+     */
+    retryLater(records) {
+        this.failed.push(...records);
+        const dropped = this.failed.splice(0, Math.max(this.failed.length + this.records.length - this.maxQueued, 0));
+        this.schedule();
+        return dropped;
+    }
+
+    /**
+     * Write the queued records, after the records of failed batches
+     * @returns {Promise<void>} Resolves once the batch and the ones before it are written or kept for a retry
+     */
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const records = this.records.splice(0, this.records.length);
+        if (!records.length && !this.failed.length) {
+            return this.flushing;
+        }
+
+        this.flushing = this.flushing.then(async () => {
+            const batch = [...this.failed.splice(0, this.failed.length), ...records];
+            if (!batch.length) return;
+
+            try {
+                await this.write(batch);
+            } catch (error) {
+                this.onError(error, batch, this.retryLater(batch));
+            }
+        });
+        return this.flushing;
+    }
+
+    /**
+     * Write everything still queued, for shutdown
+     * Records of a failed batch get one more attempt, then they are dropped
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        await this.flush();
+        await this.flush();
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        const dropped = [...this.failed.splice(0, this.failed.length), ...this.records.splice(0, this.records.length)];
+        if (dropped.length) {
+            this.onError(new Error('Buffer drained before the records were written'), [], dropped);
+        }
+    }
+}
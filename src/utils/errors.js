@@ -48,6 +48,13 @@ export class ConflictError extends AppError {
     }
 }
 
+// 423: Locked - Account temporarily locked
+export class AccountLockedError extends AppError {
+    constructor(message = 'Account is temporarily locked') {
+        super(message, 423);
+    }
+}
+
 // 429: Too Many Requests - Rate limiting
 export class RateLimitError extends AppError {
     constructor(message = 'Too many requests') {
@@ -60,4 +67,11 @@ export class InternalError extends AppError {
     constructor(message = 'Internal server error') {
         super(message, 500);
     }
-}
\ No newline at end of file
+}
+
+// 503: Service Unavailable - Subscriber could not keep up with its events
+export class SubscriptionOverflowError extends AppError {
+    constructor(message = 'Subscription buffer overflow') {
+        super(message, 503);
+    }
+}
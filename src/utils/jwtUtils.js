@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { config } from '../config/index.js';
 import { UnauthorizedError } from './errors.js';
@@ -6,6 +7,17 @@ import { UnauthorizedError } from './errors.js';
  * Utility functions for JWT token generation and verification
  */
 
+/**
+ * Token types, stored in the `typ` claim
+ * Both types are signed with the same secret, verifiers pass the type they
+ * accept so a refresh token is never taken for an access token.
+ */
+export const TOKEN_TYPES = {
+    ACCESS: 'access',
+    REFRESH: 'refresh',
+    DASHBOARD: 'dashboard',
+};
+
 /**
  * Generate an access token for a user
  * @param {Object} user - User data to encode in the token
@@ -16,7 +28,9 @@ export const generateAccessToken = (user) => {
         {
             id: user.id,
             email: user.email,
-            role: user.role
+            role: user.role,
+            tokenVersion: user.tokenVersion || 0,
+            typ: TOKEN_TYPES.ACCESS
         },
         config.jwt.secret,
         {
@@ -28,13 +42,17 @@ export const generateAccessToken = (user) => {
 /**
  * Generate a refresh token for a user
  * @param {Object} user - User data to encode in the token
+ * @param {string} [familyId] - Rotation family the token belongs to
  * @returns {string} JWT refresh token
  */
-export const generateRefreshToken = (user) => {
+export const generateRefreshToken = (user, familyId) => {
     return jwt.sign(
         {
             id: user.id,
-            tokenVersion: user.tokenVersion || 0  // For token invalidation
+            tokenVersion: user.tokenVersion || 0,  // For token invalidation
+            familyId,
+            typ: TOKEN_TYPES.REFRESH,
+            jti: crypto.randomUUID() // Keeps tokens issued in the same second unique
         },
         config.jwt.secret,
         {
@@ -43,15 +61,41 @@ export const generateRefreshToken = (user) => {
     );
 };
 
+/**
+ * Generate a session token for the analytics pages
+ * Browsers cannot send an Authorization header when navigating or from an
+ * EventSource, the pages are authenticated by this token in a cookie instead.
+ * @param {Object} user - User data to encode in the token
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} JWT dashboard token
+ */
+export const generateDashboardToken = (user, expiresIn) => {
+    return jwt.sign(
+        {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            tokenVersion: user.tokenVersion || 0,
+            typ: TOKEN_TYPES.DASHBOARD
+        },
+        config.jwt.secret,
+        {
+            expiresIn
+        }
+    );
+};
+
 /**
  * Verify a token and return its decoded payload
  * @param {string} token - JWT token to verify
+ * @param {string} [type] - Expected token type (TOKEN_TYPES), any type is accepted when omitted
  * @returns {Object} Decoded token payload
- * @throws {UnauthorizedError} If token is invalid or expired
+ * @throws {UnauthorizedError} If token is invalid or expired, or not of the expected type
  */
-export const verifyToken = (token) => {
+export const verifyToken = (token, type) => {
+    let decoded;
     try {
-        return jwt.verify(token, config.jwt.secret);
+        decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
             throw error;
@@ -59,6 +103,12 @@ export const verifyToken = (token) => {
             throw error;
         }
     }
+
+    if (type && decoded.typ !== type) {
+        throw new UnauthorizedError('Invalid token type');
+    }
+
+    return decoded;
 };
 
 /**
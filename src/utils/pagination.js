@@ -0,0 +1,114 @@
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode the position of a row in a sorted listing as an opaque cursor
+ * @param {Object} row - Row the cursor points at
+ * @param {string} field - Sort field
+ * @returns {string} Base64url encoded cursor
+ */
+export function encodeCursor(row, field) {
+    const value = row[field] instanceof Date ? row[field].toISOString() : row[field];
+    return Buffer.from(JSON.stringify([value, row.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {boolean} [isDate] - Whether the sort field is a date
+ * @returns {Object} { value, id }
+ * @throws {ValidationError} If the cursor is malformed
+ */
+export function decodeCursor(cursor, isDate = false) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string' || value === undefined || value === null) {
+            throw new Error('Incomplete cursor');
+        }
+        if (!isDate) {
+            return { value, id };
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new ValidationError('Invalid cursor');
+        }
+        return { value: date, id };
+    } catch {
+        throw new ValidationError('Invalid cursor');
+    }
+}
+
+/**
+ * Clamp a requested page size to the allowed range
+ * @param {number} [first] - Requested page size
+ * @returns {number} Page size
+ */
+export function pageSize(first) {
+    const size = parseInt(first ?? DEFAULT_PAGE_SIZE, 10);
+    if (isNaN(size) || size < 1) {
+        throw new ValidationError('first must be a positive integer');
+    }
+    return Math.min(size, MAX_PAGE_SIZE);
+}
+
+/**
+ * Build a keyset pagination query over a sort field with the ID as tie-breaker
+ * The sort field must not be nullable
+ * @param {Object} options - Pagination options
+ * @param {number} [options.first] - Page size
+ * @param {string} [options.after] - Cursor to continue after
+ * @param {string} options.field - Sort field
+ * @param {string} options.direction - 'asc' or 'desc'
+ * @param {boolean} [options.isDate] - Whether the sort field is a date
+ * @returns {Object} { take, where, orderBy } - take includes one extra row to detect a next page
+ */
+export function keysetQuery({ first, after, field, direction, isDate = false }) {
+    const take = pageSize(first);
+    const op = direction === 'asc' ? 'gt' : 'lt';
+
+    let where = {};
+    if (after) {
+        const { value, id } = decodeCursor(after, isDate);
+        where = {
+            OR: [
+                { [field]: { [op]: value } },
+                { [field]: value, id: { [op]: id } },
+            ],
+        };
+    }
+
+    return {
+        take: take + 1,
+        where,
+        orderBy: [{ [field]: direction }, { id: direction }],
+    };
+}
+
+/**
+ * Shape a page of rows fetched with keysetQuery into a Relay-style connection
+ * @param {Array} rows - Rows fetched with take = first + 1
+ * @param {Object} options - Connection options
+ * @param {number} options.take - Page size requested from keysetQuery (first + 1)
+ * @param {string} options.field - Sort field
+ * @param {boolean} options.hasPreviousPage - Whether the page starts after a cursor
+ * @param {number} options.totalCount - Number of rows matching the filter
+ * @returns {Object} { edges, pageInfo, totalCount }
+ */
+export function toConnection(rows, { take, field, hasPreviousPage, totalCount }) {
+    const hasNextPage = rows.length === take;
+    const nodes = hasNextPage ? rows.slice(0, -1) : rows;
+    const edges = nodes.map(node => ({ cursor: encodeCursor(node, field), node }));
+
+    return {
+        edges,
+        pageInfo: {
+            hasNextPage,
+            hasPreviousPage,
+            startCursor: edges[0]?.cursor ?? null,
+            endCursor: edges[edges.length - 1]?.cursor ?? null,
+        },
+        totalCount,
+    };
+}
@@ -0,0 +1,26 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Header carrying the request ID, read from the client and echoed on the response
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are only propagated when they are safe to put in logs and headers
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Per-request context, holds { requestId } for everything running on behalf of a request
+ */
+export const requestContext = new AsyncLocalStorage();
+
+/**
+ * @returns {string|undefined} ID of the request being handled, undefined outside of a request
+ */
+export const getRequestId = () => requestContext.getStore()?.requestId;
+
+/**
+ * Pick the ID of a request
+ * @param {string} [incoming] - X-Request-Id sent by the client or a proxy
+ * @returns {string} The incoming ID when valid, otherwise a new UUID
+ */
+export const resolveRequestId = (incoming) =>
+    incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
@@ -0,0 +1,121 @@
+import http from 'http';
+import { jest } from '@jest/globals';
+
+// Users of the analytics pages, only their token versions are looked up
+const users = [
+  { id: 'admin-1', email: 'admin@example.com', role: 'ADMIN', tokenVersion: 0, deletedAt: null },
+  { id: 'user-1', email: 'user@example.com', role: 'USER', tokenVersion: 0, deletedAt: null },
+];
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    user: {
+      findFirst: async ({ where }) => users.find((user) => user.id === where.id) ?? null,
+    },
+  },
+}));
+
+const { default: express } = await import('express');
+const { default: cookieParser } = await import('cookie-parser');
+const { default: request } = await import('supertest');
+const { default: analyticsRoutes } = await import('../src/express/routes/analyticsRoutes.js');
+const { errorMiddleware } = await import('../src/express/middleware/errorMiddleware.js');
+const { generateAccessToken } = await import('../src/utils/jwtUtils.js');
+const { logger } = await import('../src/config/logger.js');
+
+const app = express();
+app.use(cookieParser());
+app.use('/api/analytics', analyticsRoutes);
+app.use(errorMiddleware);
+
+const [admin, user] = users;
+const bearer = (account) => `Bearer ${generateAccessToken(account)}`;
+const startSession = (account) => request(app).post('/api/analytics/session').set('Authorization', bearer(account));
+const sessionCookie = (response) => response.headers['set-cookie'].find((cookie) => cookie.startsWith('analyticsSession='));
+
+/**
+ * Open the log stream like an EventSource does, with cookies only,
+ * and read it until `until` is part of the received text
+ */
+const readStream = (server, cookie, until) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const req = http.get({
+    port,
+    path: '/api/analytics/logs/stream?level=warn',
+    headers: { Accept: 'text/event-stream', Cookie: cookie },
+  }, (res) => {
+    let text = '';
+    let logged = false;
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      text += chunk;
+      if (!logged && text.includes('retry:')) {
+        logged = true;
+        logger.warn('analytics stream test');
+      }
+      if (text.includes(until)) {
+        req.destroy();
+        resolve({ status: res.statusCode, type: res.headers['content-type'], text });
+      }
+    });
+    res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], text }));
+  });
+  req.on('error', reject);
+});
+
+describe('Analytics browser sessions', () => {
+  let server;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  it('authenticates the live log stream with the session cookie', async () => {
+    const response = await startSession(admin).expect(201);
+    const cookie = sessionCookie(response);
+
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api\/analytics/);
+    expect(cookie).toMatch(/SameSite=Lax/);
+
+    const stream = await readStream(server, cookie.split(';')[0], 'analytics stream test');
+    expect(stream.status).toBe(200);
+    expect(stream.type).toMatch(/^text\/event-stream/);
+    expect(stream.text).toContain('event: log');
+  });
+
+  it('rejects the log stream without a session', async () => {
+    const stream = await readStream(server, '', 'Authentication token required');
+
+    expect(stream.status).toBe(401);
+  });
+
+  it('swaps a session link for the cookie and drops it from the URL', async () => {
+    const { body } = await startSession(admin);
+
+    const response = await request(app).get(`${body.data.url}&tab=1`).expect(302);
+
+    expect(response.headers.location).toBe('/api/analytics/?tab=1');
+    expect(sessionCookie(response)).toMatch(/^analyticsSession=[^;]+; Max-Age=3600/);
+  });
+
+  it('only starts sessions for admins, with their access token', async () => {
+    await startSession(user).expect(403);
+
+    const session = sessionCookie(await startSession(admin)).split(';')[0].split('=')[1];
+    await request(app).post('/api/analytics/session').set('Authorization', `Bearer ${session}`).expect(401);
+  });
+
+  it('rejects session cookies once the token version was bumped', async () => {
+    const cookie = sessionCookie(await startSession(admin)).split(';')[0];
+    users[0] = { ...admin, tokenVersion: 1 };
+
+    const stream = await readStream(server, cookie, 'Token has been revoked');
+    users[0] = admin;
+
+    expect(stream.status).toBe(401);
+  });
+});
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+
+// In-memory API keys and users standing in for the Prisma client
+const apiKeys = [];
+const users = [{
+  id: 'admin-1', email: 'admin@example.com', role: 'ADMIN', isActive: true, isVerified: true, createdAt: new Date(),
+  password: 'hash', authToken: 'live-access-token', resetPasswordToken: 'reset-hash', emailVerificationToken: 'verify-hash', tokenVersion: 3,
+}];
+const pick = (row, select) => (select
+  ? Object.fromEntries(Object.keys(select).map((field) => [field, row[field] ?? null]))
+  : row);
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    apiKey: {
+      create: async ({ data, select }) => {
+        const row = { id: `key-${apiKeys.length + 1}`, createdAt: new Date(), lastUsedAt: null, revokedAt: null, ...data };
+        apiKeys.push(row);
+        return pick(row, select);
+      },
+      findUnique: async ({ where, select }) => {
+        const row = apiKeys.find((key) => (where.id ? key.id === where.id : key.keyHash === where.keyHash));
+        return row && pick(row, select);
+      },
+      update: async ({ where, data }) => Object.assign(apiKeys.find((key) => key.id === where.id), data),
+      updateMany: async ({ where, data }) => {
+        const rows = apiKeys.filter((key) => key.id === where.id && !key.revokedAt);
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      },
+    },
+    user: {
+      findMany: async ({ select }) => users.map((row) => pick(row, select)),
+      count: async () => users.length,
+    },
+  },
+}));
+
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { ApiKeyService } = await import('../src/express/services/apiKeyService.js');
+const { TokenService } = await import('../src/express/services/tokenService.js');
+const { authMiddleware, roleMiddleware, apiKeyScopeMiddleware } = await import('../src/express/middleware/authMiddleware.js');
+const { errorMiddleware } = await import('../src/express/middleware/errorMiddleware.js');
+const { ValidationError } = await import('../src/utils/errors.js');
+const { userQueries } = await import('../src/graphql/resolvers/user/queries.js');
+
+describe('ApiKeyService', () => {
+  it('stores only the hash of a new key', async () => {
+    const { apiKey, key } = await ApiKeyService.createKey({ name: ' Grafana ', scopes: ['analytics:read'] }, 'admin-1');
+
+    expect(key).toMatch(/^ak_/);
+    expect(apiKey).toMatchObject({ name: 'Grafana', prefix: key.slice(0, 11), scopes: ['analytics:read'], createdById: 'admin-1' });
+    expect(apiKey.keyHash).toBeUndefined();
+    expect(apiKeys.at(-1).keyHash).toBe(TokenService.hashToken(key));
+    expect(JSON.stringify(apiKeys)).not.toContain(key);
+  });
+
+  it('rejects unknown scopes and past expiries', async () => {
+    await expect(ApiKeyService.createKey({ name: 'x', scopes: ['admin'] }, 'admin-1')).rejects.toThrow('Invalid scope: admin');
+    await expect(ApiKeyService.createKey({ name: 'x', scopes: [] }, 'admin-1')).rejects.toThrow(ValidationError);
+    await expect(ApiKeyService.createKey({ name: 'x', scopes: ['users:read'], expiresAt: '2020-01-01' }, 'admin-1'))
+      .rejects.toThrow('Expiry must be a date in the future');
+  });
+
+  it('authenticates keys and records their use', async () => {
+    const { apiKey, key } = await ApiKeyService.createKey({ name: 'tool', scopes: ['users:read'] }, 'admin-1');
+
+    await expect(ApiKeyService.authenticate(key, { ipAddress: '10.0.0.1' }))
+      .resolves.toEqual({ id: apiKey.id, name: 'tool', scopes: ['users:read'] });
+    expect(apiKeys.find((row) => row.id === apiKey.id)).toMatchObject({ lastUsedIp: '10.0.0.1', lastUsedAt: expect.any(Date) });
+
+    await expect(ApiKeyService.authenticate('ak_unknown')).rejects.toThrow('Invalid API key');
+  });
+
+  it('rejects expired and revoked keys', async () => {
+    const { apiKey, key } = await ApiKeyService.createKey({ name: 'tool', scopes: ['users:read'] }, 'admin-1');
+
+    apiKeys.find((row) => row.id === apiKey.id).expiresAt = new Date(Date.now() - 1000);
+    await expect(ApiKeyService.authenticate(key)).rejects.toThrow('API key expired');
+
+    await ApiKeyService.revokeKey(apiKey.id);
+    await expect(ApiKeyService.authenticate(key)).rejects.toThrow('Invalid API key');
+    await expect(ApiKeyService.revokeKey(apiKey.id)).rejects.toThrow('API key not found');
+  });
+});
+
+describe('API key authentication', () => {
+  const app = express();
+  app.get('/metrics', apiKeyScopeMiddleware('analytics:read'), authMiddleware, roleMiddleware('ADMIN'), (req, res) => {
+    res.json({ apiKey: req.apiKey.name });
+  });
+  app.get('/profile', authMiddleware, (req, res) => res.json({ id: req.user.id }));
+  app.use(errorMiddleware);
+
+  let analyticsKey;
+  let usersKey;
+
+  beforeAll(async () => {
+    ({ key: analyticsKey } = await ApiKeyService.createKey({ name: 'monitoring', scopes: ['analytics:read'] }, 'admin-1'));
+    ({ key: usersKey } = await ApiKeyService.createKey({ name: 'directory', scopes: ['users:read'] }, 'admin-1'));
+  });
+
+  it('accepts keys with the scope of the route, in either header', async () => {
+    const byHeader = await request(app).get('/metrics').set('X-API-Key', analyticsKey);
+    const byBearer = await request(app).get('/metrics').set('Authorization', `Bearer ${analyticsKey}`);
+
+    expect(byHeader.status).toBe(200);
+    expect(byHeader.body.apiKey).toBe('monitoring');
+    expect(byBearer.status).toBe(200);
+  });
+
+  it('rejects keys without the scope and on routes that do not accept keys', async () => {
+    const withoutScope = await request(app).get('/metrics').set('X-API-Key', usersKey);
+    const userRoute = await request(app).get('/profile').set('X-API-Key', analyticsKey);
+    const anonymous = await request(app).get('/metrics');
+
+    expect(withoutScope.status).toBe(403);
+    expect(withoutScope.body.error.message).toBe('API key lacks scope: analytics:read');
+    expect(userRoute.status).toBe(401);
+    expect(anonymous.status).toBe(401);
+  });
+});
+
+describe('API key access to users', () => {
+  const apiKey = { id: 'key-users', name: 'directory', scopes: ['users:read'] };
+  const secrets = ['password', 'authToken', 'resetPasswordToken', 'emailVerificationToken', 'tokenVersion'];
+
+  it('lists users without their tokens and password', async () => {
+    const { data: listed } = await userQueries.users(null, {}, { apiKey });
+    const { edges } = await userQueries.usersConnection(null, {}, { apiKey });
+
+    for (const user of [listed[0], edges[0].node]) {
+      expect(user).toMatchObject({ id: 'admin-1', email: 'admin@example.com', role: 'ADMIN' });
+      secrets.forEach((field) => expect(user).not.toHaveProperty(field));
+    }
+  });
+});
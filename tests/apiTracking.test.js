@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+
+// Batches written with createMany, standing in for the Prisma client
+const batches = [];
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    apiRequest: {
+      createMany: async ({ data }) => {
+        batches.push(data);
+        return { count: data.length };
+      },
+    },
+  },
+}));
+
+const { default: http } = await import('http');
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { ApiRequestBuffer } = await import('../src/utils/apiRequestBuffer.js');
+const { apiTrackingMiddleware, apiRequestBuffer, isExcluded } = await import('../src/express/middleware/apiTrackingMiddleware.js');
+const { config } = await import('../src/config/index.js');
+
+describe('ApiRequestBuffer', () => {
+  it('writes a batch once it is full', async () => {
+    const write = jest.fn(async () => {});
+    const buffer = new ApiRequestBuffer({ write, maxSize: 2, flushInterval: 60000 });
+
+    buffer.add({ id: 1 });
+    expect(write).not.toHaveBeenCalled();
+    buffer.add({ id: 2 });
+    await buffer.flushing;
+
+    expect(write).toHaveBeenCalledWith([{ id: 1 }, { id: 2 }]);
+    expect(buffer.timer).toBeNull();
+  });
+
+  it('writes a partial batch after the flush interval', async () => {
+    const write = jest.fn(async () => {});
+    const buffer = new ApiRequestBuffer({ write, maxSize: 100, flushInterval: 10 });
+
+    buffer.add({ id: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    expect(write).toHaveBeenCalledWith([{ id: 1 }]);
+  });
+
+  it('queues failed batches again for the next flush', async () => {
+    const onError = jest.fn();
+    const write = jest.fn()
+      .mockRejectedValueOnce(new Error('database down'))
+      .mockResolvedValue();
+    const buffer = new ApiRequestBuffer({ write, maxSize: 1, flushInterval: 60000, onError });
+
+    buffer.add({ id: 1 });
+    await buffer.flushing;
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), [{ id: 1 }], []);
+    expect(buffer.failed).toEqual([{ id: 1 }]);
+
+    buffer.add({ id: 2 });
+    await buffer.flushing;
+    expect(write).toHaveBeenLastCalledWith([{ id: 1 }, { id: 2 }]);
+    expect(buffer.failed).toEqual([]);
+  });
+
+  it('drops the oldest records beyond the cap while writes fail', async () => {
+    const onError = jest.fn();
+    const write = jest.fn().mockRejectedValue(new Error('database down'));
+    const buffer = new ApiRequestBuffer({ write, maxSize: 2, maxQueued: 3, flushInterval: 60000, onError });
+
+    [1, 2, 3, 4].forEach((id) => buffer.add({ id }));
+    await buffer.flushing;
+
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }], [{ id: 1 }]);
+    expect(buffer.failed).toEqual([{ id: 2 }, { id: 3 }, { id: 4 }]);
+
+    // Shutdown tries once more, then gives up
+    await buffer.drain();
+    expect(onError).toHaveBeenLastCalledWith(expect.any(Error), [], [{ id: 2 }, { id: 3 }, { id: 4 }]);
+    expect(buffer.failed).toEqual([]);
+    expect(buffer.timer).toBeNull();
+  });
+});
+
+describe('apiTrackingMiddleware', () => {
+  const app = express();
+  app.use(apiTrackingMiddleware);
+  app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
+  app.get('/api/items', (req, res) => res.json([]));
+  app.get('/api/stream', (req, res) => {
+    res.write('chunk');
+    res.end();
+  });
+  app.get('/api/slow', () => {});
+  app.get('/api/events', (req, res) => {
+    res.set('Content-Type', 'text/event-stream');
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+  });
+
+  /**
+   * Send a request and close the connection, once the first chunk arrived with `afterData`
+   * @returns {Promise<void>} Resolves once the connection is closed
+   */
+  const closeRequest = async (path, { afterData = false } = {}) => {
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+
+    await new Promise((resolve) => {
+      const req = http.get({ port: server.address().port, path }, (res) => {
+        res.once('data', () => req.destroy());
+      });
+      req.on('error', () => {});
+      req.on('close', resolve);
+      if (!afterData) setTimeout(() => req.destroy(), 20);
+    });
+
+    await new Promise((resolve) => server.close(resolve));
+    // The response only sees the closed socket afterwards
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  };
+
+  beforeEach(() => {
+    batches.length = 0;
+  });
+
+  afterEach(() => {
+    config.apiTracking.sampleRate = 1;
+  });
+
+  it('records finished responses, also when written directly, but not excluded paths', async () => {
+    await request(app).get('/api/items?page=2');
+    await request(app).get('/api/stream');
+    await request(app).get('/api/health');
+    await apiRequestBuffer.drain();
+
+    expect(batches.flat()).toEqual([
+      expect.objectContaining({ endpoint: '/api/items?page=2', method: 'GET', statusCode: 200, isError: false }),
+      expect.objectContaining({ endpoint: '/api/stream', statusCode: 200 }),
+    ]);
+  });
+
+  it('records requests closed by the client before the response as 499', async () => {
+    await closeRequest('/api/slow');
+    await apiRequestBuffer.drain();
+
+    expect(batches.flat()).toEqual([
+      expect.objectContaining({ endpoint: '/api/slow', statusCode: 499, isError: true, error: 'Client closed request' }),
+    ]);
+  });
+
+  it('records event streams once the client closed them', async () => {
+    await closeRequest('/api/events', { afterData: true });
+    await apiRequestBuffer.drain();
+
+    expect(batches.flat()).toEqual([
+      expect.objectContaining({ endpoint: '/api/events', statusCode: 200, isError: false, error: null }),
+    ]);
+  });
+
+  it('samples requests', async () => {
+    config.apiTracking.sampleRate = 0;
+    await request(app).get('/api/items');
+    await apiRequestBuffer.drain();
+
+    expect(batches).toEqual([]);
+  });
+
+  it('matches exact paths, prefixes and extensions', () => {
+    const patterns = ['/api/health', '/assets/*', '*.css'];
+
+    expect(isExcluded('/api/health', patterns)).toBe(true);
+    expect(isExcluded('/api/healthy', patterns)).toBe(false);
+    expect(isExcluded('/assets/logo.png', patterns)).toBe(true);
+    expect(isExcluded('/theme.css', patterns)).toBe(true);
+    expect(isExcluded('/api/users', patterns)).toBe(false);
+  });
+});
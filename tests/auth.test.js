@@ -0,0 +1,518 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { jest } from '@jest/globals';
+
+// In-memory User and RefreshToken tables, enough for TokenService and AuthService
+const db = { users: [], refreshTokens: [] };
+const matches = (row, where) => Object.entries(where).every(([field, value]) => (row[field] ?? null) === value);
+// Prisma update data, `{ increment }` included
+const apply = (row, data) => {
+  for (const [field, value] of Object.entries(data)) {
+    row[field] = value?.increment !== undefined ? (row[field] ?? 0) + value.increment : value;
+  }
+  return row;
+};
+
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    user: {
+      findFirst: async ({ where }) => db.users.find((user) => matches(user, where)) ?? null,
+      findUnique: async ({ where }) => db.users.find((user) => matches(user, where)) ?? null,
+      update: async ({ where, data }) => {
+        const user = db.users.find((row) => matches(row, where));
+        if (!user) {
+          throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+        }
+        return { ...apply(user, data) };
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = db.users.filter((row) => matches(row, where));
+        rows.forEach((row) => apply(row, data));
+        return { count: rows.length };
+      },
+    },
+    refreshToken: {
+      create: async ({ data }) => {
+        const row = { id: crypto.randomUUID(), revokedAt: null, revokedReason: null, lastUsedAt: null, ...data };
+        db.refreshTokens.push(row);
+        return row;
+      },
+      findFirst: async ({ where }) => db.refreshTokens
+        .filter((row) => row.familyId === where.familyId && !row.revokedAt && row.expiresAt > where.expiresAt.gt)
+        .sort((a, b) => b.expiresAt - a.expiresAt)[0] ?? null,
+      findUnique: async ({ where }) => {
+        const row = db.refreshTokens.find(({ tokenHash }) => tokenHash === where.tokenHash);
+        return row ? { ...row, user: db.users.find(({ id }) => id === row.userId) } : null;
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = db.refreshTokens.filter((row) => matches(row, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      },
+    },
+  },
+}));
+
+const { TokenService } = await import('../src/express/services/tokenService.js');
+const { RateLimitService } = await import('../src/express/services/rateLimitService.js');
+const { AuthService } = await import('../src/express/services/authService.js');
+const { UserService } = await import('../src/express/services/userService.js');
+const { UserController } = await import('../src/express/controllers/userController.js');
+const { EmailService } = await import('../src/express/services/emailService.js');
+const { AuthController } = await import('../src/express/controllers/authController.js');
+const { userMutations } = await import('../src/graphql/resolvers/user/mutations.js');
+const { createContext } = await import('../src/graphql/context.js');
+const { config } = await import('../src/config/index.js');
+
+const user = { id: 'user-1', email: 'user@example.com', role: 'USER', tokenVersion: 0, deletedAt: null };
+const familyOf = (familyId) => db.refreshTokens.filter((row) => row.familyId === familyId);
+
+beforeEach(() => {
+  db.users = [{ ...user }];
+  db.refreshTokens = [];
+});
+
+describe('Token types', () => {
+  it('only accepts access tokens as access tokens', async () => {
+    const { accessToken, refreshToken } = await TokenService.issueTokens(user);
+
+    await expect(TokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ id: user.id, typ: 'access' });
+    await expect(TokenService.verifyAccessToken(refreshToken)).rejects.toThrow('Invalid token type');
+  });
+
+  it('does not rotate access tokens', async () => {
+    const { accessToken } = await TokenService.issueTokens(user);
+
+    await expect(TokenService.rotateRefreshToken(accessToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('counts refresh tokens sent as Bearer tokens as anonymous for rate limiting', async () => {
+    const { accessToken, refreshToken } = await TokenService.issueTokens(user);
+    const identify = (token) => RateLimitService.identifyRequest({ headers: { authorization: `Bearer ${token}` }, ip: '10.0.0.1' });
+
+    expect((await identify(accessToken)).key).toBe(`user:${user.id}`);
+    expect((await identify(refreshToken)).key).not.toBe(`user:${user.id}`);
+  });
+});
+
+describe('Refresh token rotation', () => {
+  it('replaces the presented token with a new one of the same family', async () => {
+    const { refreshToken } = await TokenService.issueTokens(user);
+
+    const rotated = await TokenService.rotateRefreshToken(refreshToken);
+    const [consumed, issued] = familyOf(db.refreshTokens[0].familyId);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(consumed).toMatchObject({ revokedReason: 'rotated' });
+    expect(issued).toMatchObject({ tokenHash: TokenService.hashToken(rotated.refreshToken), revokedAt: null });
+    await expect(TokenService.verifyAccessToken(rotated.accessToken)).resolves.toMatchObject({ id: user.id });
+  });
+
+  it('revokes the whole family when a consumed token is presented again', async () => {
+    const { refreshToken } = await TokenService.issueTokens(user);
+    const { familyId } = db.refreshTokens[0];
+    const rotated = await TokenService.rotateRefreshToken(refreshToken);
+
+    // Past the grace period of parallel requests
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+    await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+    now.mockRestore();
+
+    expect(familyOf(familyId).every((row) => row.revokedAt)).toBe(true);
+    await expect(TokenService.rotateRefreshToken(rotated.refreshToken)).rejects.toThrow('Refresh token reuse detected');
+  });
+
+  it('gives parallel requests presenting the same token the same pair', async () => {
+    const { refreshToken } = await TokenService.issueTokens(user);
+    const { familyId } = db.refreshTokens[0];
+
+    const [first, second] = await Promise.all([
+      TokenService.rotateRefreshToken(refreshToken),
+      TokenService.rotateRefreshToken(refreshToken),
+    ]);
+    const third = await TokenService.rotateRefreshToken(refreshToken);
+
+    expect(second.refreshToken).toBe(first.refreshToken);
+    expect(third.refreshToken).toBe(first.refreshToken);
+    expect(familyOf(familyId).filter((row) => !row.revokedAt)).toHaveLength(1);
+
+    // Not once the session ended
+    await TokenService.revokeFamily(familyId, 'logout');
+    await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Token has been revoked');
+  });
+
+  it('keeps the family of a token rotated moments ago by another instance', async () => {
+    const { refreshToken } = await TokenService.issueTokens(user);
+    const [stored] = db.refreshTokens;
+    Object.assign(stored, { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() });
+    const sibling = await TokenService.issueRefreshToken(user, { familyId: stored.familyId });
+
+    await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token already rotated');
+    await expect(TokenService.rotateRefreshToken(sibling)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+
+  it('verifies the session of a token without consuming it', async () => {
+    const { refreshToken } = await TokenService.issueTokens(user);
+    const { familyId } = db.refreshTokens[0];
+
+    await expect(TokenService.verifyRefreshSession(refreshToken)).resolves.toMatchObject({ user: { id: user.id }, current: true });
+    expect(familyOf(familyId)[0].revokedAt).toBeNull();
+
+    // Rotated by another client of the session, still valid but no longer current
+    await TokenService.rotateRefreshToken(refreshToken);
+    await expect(TokenService.verifyRefreshSession(refreshToken)).resolves.toMatchObject({ current: false });
+
+    await TokenService.revokeFamily(familyId, 'logout');
+    await expect(TokenService.verifyRefreshSession(refreshToken)).rejects.toThrow('Token has been revoked');
+  });
+
+  it('rejects every token issued before the token version was bumped', async () => {
+    const { accessToken, refreshToken } = await TokenService.issueTokens(user);
+
+    await TokenService.revokeAllSessions(user.id);
+
+    await expect(TokenService.verifyAccessToken(accessToken)).rejects.toThrow('Token has been revoked');
+    await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow();
+  });
+});
+
+describe('Email verification', () => {
+  it('verifies once and answers with public fields only', async () => {
+    const { token, tokenHash } = TokenService.generateOneTimeToken();
+    Object.assign(db.users[0], {
+      isVerified: false,
+      authToken: 'live-access-token',
+      emailVerificationToken: tokenHash,
+      emailVerificationExpiry: new Date(Date.now() + 60000),
+    });
+
+    const verified = await AuthService.verifyEmail(token);
+
+    expect(verified).toMatchObject({ id: user.id, isVerified: true });
+    expect(verified).not.toHaveProperty('authToken');
+    expect(verified).not.toHaveProperty('tokenVersion');
+    expect(db.users[0].emailVerificationToken).toBeNull();
+    await expect(AuthService.verifyEmail(token)).rejects.toThrow('Invalid or expired verification token');
+  });
+});
+
+describe('Verification email resend', () => {
+  const send = jest.spyOn(AuthService, 'sendVerificationEmail').mockResolvedValue();
+
+  beforeEach(() => {
+    send.mockClear();
+  });
+
+  it('answers the same for unknown, verified and recently emailed addresses', async () => {
+    const issuedNow = new Date(Date.now() + config.auth.emailVerificationExpiration * 1000);
+    db.users.push(
+      { ...user, id: 'user-2', email: 'verified@example.com', isVerified: true },
+      { ...user, id: 'user-3', email: 'pending@example.com', isVerified: false, emailVerificationExpiry: issuedNow },
+    );
+
+    const responses = await Promise.all(['unknown@example.com', 'verified@example.com', 'pending@example.com']
+      .map((email) => AuthService.resendVerificationEmail(email)));
+
+    expect(new Set(responses.map(({ message }) => message)).size).toBe(1);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('sends again once the cooldown is over', async () => {
+    const issuedBefore = new Date(Date.now() + (config.auth.emailVerificationExpiration - config.auth.verificationResendCooldown - 1) * 1000);
+    db.users.push({ ...user, id: 'user-3', email: 'pending@example.com', isVerified: false, emailVerificationExpiry: issuedBefore });
+
+    await AuthService.resendVerificationEmail('pending@example.com');
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: 'user-3' }));
+  });
+});
+
+describe('Password reset', () => {
+  const send = jest.spyOn(EmailService, 'sendPasswordResetEmail').mockResolvedValue();
+  const password = 'new correct horse';
+
+  // Request a reset of the user and read the token from the email
+  const requestReset = async () => {
+    await AuthService.forgotPassword(user.email);
+    return send.mock.calls.at(-1)[1];
+  };
+
+  beforeEach(() => {
+    send.mockClear();
+  });
+
+  it('answers the same for unknown and registered addresses', async () => {
+    const unknown = await AuthService.forgotPassword('unknown@example.com');
+    expect(send).not.toHaveBeenCalled();
+
+    const known = await AuthService.forgotPassword(user.email);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: user.id }), expect.any(String));
+    expect(known).toEqual(unknown);
+  });
+
+  it('stores only the token hash and accepts the token once', async () => {
+    const token = await requestReset();
+
+    expect(db.users[0].resetPasswordToken).toBe(TokenService.hashToken(token));
+    expect(db.users[0].resetPasswordToken).not.toBe(token);
+
+    await expect(AuthService.resetPassword(token, password)).resolves.toEqual({ message: 'Password has been reset successfully' });
+    expect(await bcrypt.compare(password, db.users[0].password)).toBe(true);
+    expect(db.users[0].passwordLastChanged).toBeInstanceOf(Date);
+    expect(db.users[0].resetPasswordToken).toBeNull();
+
+    await expect(AuthService.resetPassword(token, 'another password')).rejects.toThrow('Invalid or expired reset token');
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = await requestReset();
+    db.users[0].resetPasswordExpires = new Date(Date.now() - 1000);
+
+    await expect(AuthService.resetPassword(token, password)).rejects.toThrow('Invalid or expired reset token');
+    expect(db.users[0].password).toBeUndefined();
+  });
+
+  it('ends existing sessions and lifts a lockout', async () => {
+    const { accessToken, refreshToken } = await TokenService.issueTokens(user);
+    Object.assign(db.users[0], { failedLoginAttempts: 7, lockedUntil: new Date(Date.now() + 60 * 60 * 1000) });
+
+    await AuthService.resetPassword(await requestReset(), password);
+
+    await expect(TokenService.verifyAccessToken(accessToken)).rejects.toThrow('Token has been revoked');
+    await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+    expect(db.users[0]).toMatchObject({ failedLoginAttempts: 0, lockedUntil: null });
+    await expect(AuthService.login(user.email, password)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+});
+
+describe('Profile updates', () => {
+  it('ends every session when the role, active state or email changes', async () => {
+    for (const change of [{ role: 'ADMIN' }, { isActive: false }, { email: 'new@example.com' }]) {
+      db.users = [{ ...user }];
+      db.refreshTokens = [];
+      const { accessToken, refreshToken } = await TokenService.issueTokens(user);
+
+      await UserService.updateUser(user.id, change);
+
+      await expect(TokenService.verifyAccessToken(accessToken)).rejects.toThrow('Token has been revoked');
+      await expect(TokenService.rotateRefreshToken(refreshToken)).rejects.toThrow();
+      expect(db.refreshTokens[0].revokedReason).toBe('account_changed');
+    }
+  });
+
+  it('keeps sessions for other changes, and changes to the same value', async () => {
+    const { accessToken } = await TokenService.issueTokens(user);
+
+    await UserService.updateUser(user.id, { firstName: 'Ada', role: user.role, email: user.email });
+
+    await expect(TokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ id: user.id });
+    expect(db.users[0]).toMatchObject({ firstName: 'Ada', tokenVersion: 0 });
+  });
+
+  it('only lets users change their profile fields', async () => {
+    const req = {
+      params: { id: user.id },
+      user,
+      body: { firstName: 'Ada', tokenVersion: 0, isVerified: true, lockedUntil: null, failedLoginAttempts: 0 },
+    };
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+
+    await UserController.updateProfile(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(db.users[0]).toEqual({ ...user, firstName: 'Ada' });
+
+    await UserController.updateProfile({ ...req, body: { role: 'ADMIN' } }, res, next);
+    expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Not authorized to update role' }));
+    expect(db.users[0].role).toBe('USER');
+  });
+
+  it('lets admins change the role and active state', () => {
+    const admin = { ...user, role: 'SYSADMIN' };
+
+    expect(UserService.pickUpdatableFields({ role: 'MODERATOR', isActive: false, isVerified: true }, admin))
+      .toEqual({ role: 'MODERATOR', isActive: false });
+    expect(() => UserService.pickUpdatableFields({ role: 'ROOT' }, admin)).toThrow('Invalid role: ROOT');
+  });
+});
+
+describe('Account lockout', () => {
+  const password = 'correct horse';
+  const passwordHash = bcrypt.hashSync(password, 4);
+  const notify = jest.spyOn(EmailService, 'sendNotification').mockResolvedValue();
+  const { threshold, duration, maxDuration } = config.auth.lockout;
+
+  const login = (attempt = 'wrong password') => AuthService.login(user.email, attempt, { transport: 'rest' });
+  const lockSeconds = () => (db.users[0].lockedUntil - Date.now()) / 1000;
+
+  beforeEach(() => {
+    db.users = [{ ...user, password: passwordHash, failedLoginAttempts: 0, lockedUntil: null }];
+    notify.mockClear();
+  });
+
+  it('locks the account once the threshold of failed logins is reached', async () => {
+    for (let attempt = 1; attempt < threshold; attempt++) {
+      await expect(login()).rejects.toThrow('Invalid email or password');
+    }
+    expect(db.users[0].lockedUntil).toBeNull();
+
+    await expect(login()).rejects.toThrow('Invalid email or password');
+    expect(lockSeconds()).toBeCloseTo(duration, -1);
+    expect(notify).toHaveBeenCalledTimes(1);
+
+    // Even the right password is refused while locked
+    await expect(login(password)).rejects.toMatchObject({ name: 'AccountLockedError' });
+  });
+
+  it('doubles the lockout on every further failure, up to the maximum', async () => {
+    db.users[0].failedLoginAttempts = threshold + 1;
+    await expect(login()).rejects.toThrow('Invalid email or password');
+    expect(lockSeconds()).toBeCloseTo(Math.min(duration * 4, maxDuration), -1);
+
+    db.users[0] = { ...db.users[0], failedLoginAttempts: threshold + 30, lockedUntil: null };
+    await expect(login()).rejects.toThrow('Invalid email or password');
+    expect(lockSeconds()).toBeCloseTo(maxDuration, -1);
+  });
+
+  it('resets the counter on a successful login', async () => {
+    db.users[0].failedLoginAttempts = threshold - 1;
+
+    await expect(login(password)).resolves.toMatchObject({ user: { id: user.id } });
+
+    expect(db.users[0]).toMatchObject({ failedLoginAttempts: 0, lockedUntil: null });
+  });
+
+  it('lets admins unlock an account, returning its public fields only', async () => {
+    Object.assign(db.users[0], { failedLoginAttempts: threshold, lockedUntil: new Date(Date.now() + 60000), authToken: 'live-access-token' });
+
+    const unlocked = await AuthService.unlockUser(user.id, { transport: 'rest' });
+
+    expect(db.users[0]).toMatchObject({ failedLoginAttempts: 0, lockedUntil: null });
+    expect(unlocked).toMatchObject({ id: user.id, lockedUntil: null });
+    expect(unlocked).not.toHaveProperty('authToken');
+    expect(unlocked).not.toHaveProperty('password');
+    expect(unlocked).not.toHaveProperty('tokenVersion');
+    await expect(login(password)).resolves.toMatchObject({ user: { id: user.id } });
+
+    await expect(AuthService.unlockUser('missing')).rejects.toThrow('User not found');
+  });
+});
+
+describe('REST and GraphQL parity', () => {
+  const password = 'correct horse';
+  const passwordHash = bcrypt.hashSync(password, 4);
+  const audit = jest.spyOn(AuthService, 'audit');
+
+  const request = (fields = {}) => ({ body: {}, cookies: {}, headers: {}, ip: '10.0.0.1', get: () => 'jest', ...fields });
+  const response = () => ({ cookie: jest.fn(), set: jest.fn(), json: jest.fn() });
+  const cookieOf = (res) => res.cookie.mock.calls.find(([name]) => name === 'refreshToken');
+  const transportsOf = (event) => audit.mock.calls.filter(([name]) => name === event).map(([, , meta]) => meta.transport);
+  const sessionOf = (refreshToken) => db.refreshTokens.find(({ tokenHash }) => tokenHash === TokenService.hashToken(refreshToken));
+
+  // Call a REST handler, failing the test on the error it hands to next()
+  const rest = async (handler, req) => {
+    const res = response();
+    let failure;
+    await handler(req, res, (error) => { failure = error; });
+    if (failure) throw failure;
+    return { body: res.json.mock.calls[0][0], res };
+  };
+
+  // Sessions started an hour ago, their access tokens expired since
+  const expiredSession = async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() - (config.jwt.accessExpiration + 60) * 1000);
+    try {
+      return await TokenService.issueTokens(user);
+    } finally {
+      now.mockRestore();
+    }
+  };
+
+  beforeEach(() => {
+    db.users = [{ ...user, password: passwordHash, isVerified: true, failedLoginAttempts: 0, lockedUntil: null }];
+    audit.mockClear();
+  });
+
+  it('logs in with the same user and session on both transports', async () => {
+    const credentials = { email: user.email, password };
+
+    const viaRest = await rest(AuthController.login, request({ body: credentials }));
+    const graphqlRes = response();
+    const viaGraphql = await userMutations.login(null, { input: credentials }, { req: request(), res: graphqlRes });
+
+    // GraphQL hands out the access token as the authToken of the user
+    expect(viaGraphql.data).not.toHaveProperty('password');
+    expect(Object.keys(viaGraphql.data).sort()).toEqual(Object.keys(viaRest.body.user).sort());
+    expect(viaGraphql.data.id).toBe(viaRest.body.user.id);
+    await expect(TokenService.verifyAccessToken(viaGraphql.data.authToken)).resolves.toMatchObject({ id: user.id });
+
+    // Both start a session of their own, handed out in the same cookie
+    const [, restToken, restOptions] = cookieOf(viaRest.res);
+    const [, graphqlToken, graphqlOptions] = cookieOf(graphqlRes);
+    expect(restOptions).toEqual(graphqlOptions);
+    expect(sessionOf(restToken).familyId).not.toBe(sessionOf(graphqlToken).familyId);
+    expect(transportsOf('login')).toEqual(['rest', 'graphql']);
+  });
+
+  it('rejects the same wrong credentials on both transports', async () => {
+    const credentials = { email: user.email, password: 'wrong password' };
+
+    const restError = await rest(AuthController.login, request({ body: credentials })).catch((error) => error);
+    const graphqlError = await userMutations.login(null, { input: credentials }, { req: request(), res: response() })
+      .catch((error) => error);
+
+    expect(graphqlError).toMatchObject({ name: restError.name, message: 'Invalid email or password' });
+    expect(db.users[0].failedLoginAttempts).toBe(2);
+    expect(transportsOf('login_failed')).toEqual(['rest', 'graphql']);
+  });
+
+  it('refreshes expired sessions by rotating the refresh token on both transports', async () => {
+    const restSession = await expiredSession();
+    const graphqlSession = await expiredSession();
+    await expect(TokenService.verifyAccessToken(graphqlSession.accessToken)).rejects.toThrow();
+
+    const viaRest = await rest(AuthController.refreshToken, request({ cookies: { refreshToken: restSession.refreshToken } }));
+    const graphqlRes = response();
+    const context = await createContext({
+      req: request({
+        headers: { authorization: `Bearer ${graphqlSession.accessToken}` },
+        cookies: { refreshToken: graphqlSession.refreshToken },
+      }),
+      res: graphqlRes,
+    });
+
+    expect(context.user).toMatchObject({ id: user.id });
+    const [, accessToken] = graphqlRes.set.mock.calls[0];
+    await expect(TokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ id: user.id });
+    await expect(TokenService.verifyAccessToken(viaRest.body.accessToken)).resolves.toMatchObject({ id: user.id });
+
+    for (const [session, res] of [[restSession, viaRest.res], [graphqlSession, graphqlRes]]) {
+      expect(sessionOf(session.refreshToken)).toMatchObject({ revokedReason: 'rotated' });
+      const [, rotated] = cookieOf(res);
+      expect(sessionOf(rotated)).toMatchObject({ familyId: sessionOf(session.refreshToken).familyId, revokedAt: null });
+    }
+  });
+
+  it('ends only the current session on logout on both transports', async () => {
+    const [restSession, graphqlSession, otherSession] = await Promise.all([1, 2, 3].map(() => TokenService.issueTokens(user)));
+
+    const viaRest = await rest(AuthController.logout, request({ user, cookies: { refreshToken: restSession.refreshToken } }));
+    const graphqlRes = response();
+    const viaGraphql = await userMutations.logout(null, {}, {
+      user,
+      req: request({ cookies: { refreshToken: graphqlSession.refreshToken } }),
+      res: graphqlRes,
+    });
+
+    expect(viaGraphql.message).toBe(viaRest.body.message);
+    expect(sessionOf(restSession.refreshToken)).toMatchObject({ revokedReason: 'logout' });
+    expect(sessionOf(graphqlSession.refreshToken)).toMatchObject({ revokedReason: 'logout' });
+    expect(sessionOf(otherSession.refreshToken)).toMatchObject({ revokedAt: null });
+
+    for (const res of [viaRest.res, graphqlRes]) {
+      expect(cookieOf(res)).toEqual(['refreshToken', '', expect.objectContaining({ maxAge: 0 })]);
+    }
+    expect(transportsOf('logout')).toEqual(['rest', 'graphql']);
+  });
+});
@@ -1,16 +1,25 @@
-const { ApolloServer } = require('@apollo/server');
-const { makeExecutableSchema } = require('@graphql-tools/schema');
+import { ApolloServer } from '@apollo/server';
+import { makeExecutableSchema } from '@graphql-tools/schema';
+import { parse } from 'graphql';
+import { operationTrackingPlugin } from '../src/graphql/plugins/operationTrackingPlugin.js';
+import { queryComplexityPlugin } from '../src/graphql/plugins/queryComplexityPlugin.js';
+import { measureOperation, subscribeComplexityError } from '../src/graphql/queryComplexity.js';
+import appTypeDefs from '../src/graphql/schema/index.js';
 
 // Mock schema for testing
 const typeDefs = `
   type Query {
     hello: String
+    broken: String
   }
 `;
 
 const resolvers = {
   Query: {
     hello: () => 'Hello world!',
+    broken: () => {
+      throw new Error('Resolver failed');
+    },
   },
 };
 
@@ -37,3 +46,120 @@ describe('Basic Apollo Server', () => {
     expect(response.body.singleResult.errors).toBeUndefined();
   });
 });
+
+describe('Operation tracking plugin', () => {
+  let testServer;
+
+  beforeAll(async () => {
+    const schema = makeExecutableSchema({ typeDefs, resolvers });
+    testServer = new ApolloServer({ schema, plugins: [operationTrackingPlugin] });
+    await testServer.start();
+  });
+
+  afterAll(async () => {
+    await testServer.stop();
+  });
+
+  it('records the operation, resolver errors and user on the request', async () => {
+    const req = {};
+    await testServer.executeOperation(
+      { query: 'query Greeting { hello broken }' },
+      { contextValue: { req, user: { id: 'user-1' } } },
+    );
+
+    expect(req.graphqlOperation).toEqual({
+      operationName: 'Greeting',
+      operationType: 'query',
+      resolverErrorCount: 1,
+      queryDepth: null,
+      queryCost: null,
+      userId: 'user-1',
+    });
+  });
+
+  it('does not count validation errors as resolver errors', async () => {
+    const req = {};
+    await testServer.executeOperation({ query: '{ missing }' }, { contextValue: { req } });
+
+    expect(req.graphqlOperation).toEqual({
+      operationName: null,
+      operationType: null,
+      resolverErrorCount: 0,
+      queryDepth: null,
+      queryCost: null,
+      userId: null,
+    });
+  });
+});
+
+describe('Query complexity', () => {
+  // Costs are configured for the types of the application schema
+  const appSchema = makeExecutableSchema({ typeDefs: appTypeDefs });
+  const measure = (query, variables) => {
+    const document = parse(query);
+    return measureOperation(appSchema, document, document.definitions[0], variables);
+  };
+
+  const nestedSchema = makeExecutableSchema({
+    typeDefs: 'type Node { name: String child: Node } type Query { node: Node }',
+    resolvers: { Query: { node: () => ({ name: 'root' }) } },
+  });
+  const nested = (levels) => `{ node { ${'child { '.repeat(levels - 2)}name${' }'.repeat(levels - 1)} }`;
+  let testServer;
+
+  beforeAll(async () => {
+    testServer = new ApolloServer({ schema: nestedSchema, plugins: [queryComplexityPlugin, operationTrackingPlugin] });
+    await testServer.start();
+  });
+
+  afterAll(async () => {
+    await testServer.stop();
+  });
+
+  it('multiplies the items of a connection by its page size, once per item', () => {
+    const page = 'edges { node { id email } } totalCount';
+
+    expect(measure(`{ usersConnection { ${page} } }`)).toEqual({ depth: 4, cost: 10 + 1 + 20 + 5 });
+    expect(measure(`{ usersConnection(first: 50) { ${page} } }`).cost).toBe(10 + 1 + 50 + 5);
+    expect(measure(`query ($n: Int) { usersConnection(first: $n) { ${page} } }`, { n: 5 }).cost).toBe(10 + 1 + 5 + 5);
+  });
+
+  it('counts fragments where they are spread', () => {
+    const query = `{ ...Users me { data { ...Profile } } }
+      fragment Users on Query { usersConnection(first: 10) { edges { node { ...Profile } } } }
+      fragment Profile on User { id email }`;
+
+    expect(measure(query)).toEqual({ depth: 4, cost: (10 + 1 + 10) + (1 + 1) });
+  });
+
+  it('rejects operations nested deeper than the limit with QUERY_TOO_COMPLEX', async () => {
+    const deep = await testServer.executeOperation({ query: nested(11) });
+    expect(deep.http.status).toBe(400);
+    expect(deep.body.singleResult.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_COMPLEX', complexity: { maxDepth: 10 } });
+    expect(deep.body.singleResult.data).toBeUndefined();
+  });
+
+  it('records the depth and cost of the operation for analytics', async () => {
+    const req = {};
+    const response = await testServer.executeOperation({ query: nested(10) }, { contextValue: { req } });
+
+    expect(response.body.singleResult.errors).toBeUndefined();
+    expect(req.graphqlOperation).toMatchObject({ queryDepth: 10, queryCost: 9 });
+  });
+
+  it('applies the limits to WebSocket operations with their variables', () => {
+    const query = 'query Users($first: Int = 1000) { usersConnection(first: $first) { edges { node { id } } } }';
+    const check = (payload) => subscribeComplexityError(appSchema, { query, operationName: 'Users', ...payload });
+
+    const error = check({ variables: { first: 5000 } });
+    expect(error.message).toBe('Query cost of 5011 exceeds the maximum of 1000');
+    expect(error.extensions.code).toBe('QUERY_TOO_COMPLEX');
+
+    expect(check({})?.message).toBe('Query cost of 1011 exceeds the maximum of 1000');
+    expect(check({ variables: { first: 10 } })).toBeNull();
+
+    // Left to the validation of graphql-ws
+    expect(check({ query: '{ usersConnection(' })).toBeNull();
+    expect(check({ operationName: 'Missing' })).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+
+const users = [
+  { id: 'u1', email: 'one@example.com', password: 'hash', deletedAt: null },
+  { id: 'u2', email: 'two@example.com', password: 'hash', deletedAt: null },
+];
+const apiRequests = [
+  { id: 'r1', userId: 'u1', endpoint: '/api/users', timestamp: new Date('2026-01-01T10:00:00Z') },
+  { id: 'r3', userId: 'u2', endpoint: '/graphql', timestamp: new Date('2026-01-01T11:00:00Z') },
+  { id: 'r2', userId: 'u1', endpoint: '/graphql', timestamp: new Date('2026-01-01T12:00:00Z') },
+];
+
+/**
+ * Run the ranked API request query like PostgreSQL does: the requests of the
+ * given users, newest first, numbered per user and cut at the limit
+ */
+const rankApiRequests = (userIds, limit) => userIds
+  .flatMap((userId) => apiRequests
+    .filter((request) => request.userId === userId)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .map((request, index) => ({ ...request, rank: BigInt(index + 1) })))
+  .filter(({ rank }) => rank <= limit);
+
+// Every query the loaders issue is recorded, returning the matching rows
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    user: {
+      findMany: jest.fn(async ({ where }) => users.filter((user) => where.id.in.includes(user.id))),
+    },
+    $queryRaw: jest.fn(async (strings, userIds, limit) => rankApiRequests(userIds, limit)),
+  },
+}));
+
+const { default: prisma } = await import('../prisma/client.js');
+const { makeExecutableSchema } = await import('@graphql-tools/schema');
+const { graphql } = await import('graphql');
+const { createLoaders } = await import('../src/graphql/loaders.js');
+const { createContext, createSubscriptionContext } = await import('../src/graphql/context.js');
+
+// Users and limit of every API request query
+const apiRequestQueries = () => prisma.$queryRaw.mock.calls.map(([, userIds, limit]) => ({ userIds, limit }));
+
+beforeEach(() => {
+  prisma.user.findMany.mockClear();
+  prisma.$queryRaw.mockClear();
+});
+
+describe('DataLoaders', () => {
+  it('loads users requested in the same tick with one query, in order and without passwords', async () => {
+    const { userById } = createLoaders();
+
+    const loaded = await Promise.all(['u2', 'missing', 'u1'].map((id) => userById.load(id)));
+
+    expect(prisma.user.findMany).toHaveBeenCalledTimes(1);
+    expect(prisma.user.findMany.mock.calls[0][0].where).toEqual({ id: { in: ['u2', 'missing', 'u1'] }, deletedAt: null });
+    expect(loaded.map((user) => user?.id ?? null)).toEqual(['u2', null, 'u1']);
+    expect(loaded[0]).not.toHaveProperty('password');
+
+    // Cached for the rest of the operation
+    await userById.load('u1');
+    expect(prisma.user.findMany).toHaveBeenCalledTimes(1);
+  });
+
+  it('loads the latest API requests of users, limited per user', async () => {
+    const { apiRequestsByUserId } = createLoaders();
+
+    const [first, second, none, latest] = await apiRequestsByUserId.loadMany([
+      { userId: 'u1' }, { userId: 'u2' }, { userId: 'u3' }, { userId: 'u1', first: 1 },
+    ]);
+
+    expect(first.map((request) => request.id)).toEqual(['r2', 'r1']);
+    expect(second.map((request) => request.id)).toEqual(['r3']);
+    expect(none).toEqual([]);
+    expect(latest.map((request) => request.id)).toEqual(['r2']);
+    expect(first[0]).not.toHaveProperty('rank');
+
+    // One query per requested number of requests, never more than the maximum
+    expect(apiRequestQueries()).toEqual([{ userIds: ['u1', 'u2', 'u3'], limit: 20 }, { userIds: ['u1'], limit: 1 }]);
+
+    await apiRequestsByUserId.load({ userId: 'u1', first: 1000 });
+    expect(apiRequestQueries().at(-1).limit).toBe(100);
+  });
+
+  it('ranks the API requests of every user in the database', async () => {
+    const { apiRequestsByUserId } = createLoaders();
+    const history = Array.from({ length: 150 }, (_, n) => ({
+      id: `h${n}`, userId: 'u2', endpoint: '/graphql', timestamp: new Date(Date.UTC(2025, 0, 1, 0, n)),
+    }));
+    apiRequests.push(...history);
+
+    try {
+      const [heavy, light] = await apiRequestsByUserId.loadMany([{ userId: 'u2', first: 1000 }, { userId: 'u1', first: 1000 }]);
+
+      expect(heavy).toHaveLength(100);
+      expect(heavy[0].id).toBe('r3');
+      expect(heavy.at(-1).id).toBe('h51');
+      expect(light.map((request) => request.id)).toEqual(['r2', 'r1']);
+    } finally {
+      apiRequests.splice(-history.length);
+    }
+
+    // The limit applies per user inside the query, not to the rows once loaded
+    const [strings] = prisma.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toMatch(/ROW_NUMBER\(\) OVER \(PARTITION BY "userId" ORDER BY "timestamp" DESC\)/);
+    expect(strings.join('?')).toMatch(/"rank" <= \?/);
+  });
+
+  it('batches relation fields resolved for every item of a list', async () => {
+    const schema = makeExecutableSchema({
+      typeDefs: `
+        type User { id: ID! email: String apiRequests: [ApiRequest!]! }
+        type ApiRequest { id: ID! endpoint: String user: User }
+        type Query { requests: [ApiRequest!]! }
+      `,
+      resolvers: {
+        Query: { requests: () => apiRequests },
+        ApiRequest: { user: (request, args, { loaders }) => loaders.userById.load(request.userId) },
+        User: { apiRequests: (user, args, { loaders }) => loaders.apiRequestsByUserId.load({ userId: user.id }) },
+      },
+    });
+
+    const result = await graphql({
+      schema,
+      source: '{ requests { id user { email apiRequests { id } } } }',
+      contextValue: await createContext({ req: { headers: {}, get: () => undefined } }),
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.requests.map(({ user }) => user.apiRequests.length)).toEqual([2, 1, 2]);
+    expect(prisma.user.findMany).toHaveBeenCalledTimes(1);
+    expect(apiRequestQueries()).toHaveLength(1);
+  });
+
+  it('gives every subscription loaders that do not cache between events', async () => {
+    const ctx = { extra: { session: { user: null } } };
+    const { loaders } = await createSubscriptionContext(ctx);
+
+    await loaders.userById.load('u1');
+    await loaders.userById.load('u1');
+
+    expect(prisma.user.findMany).toHaveBeenCalledTimes(2);
+    expect((await createSubscriptionContext(ctx)).loaders).not.toBe(loaders);
+  });
+});
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import express from 'express';
+import request from 'supertest';
+import { LogService } from '../src/express/services/logService.js';
+import { ValidationError } from '../src/utils/errors.js';
+import { logger } from '../src/config/logger.js';
+import { requestIdMiddleware } from '../src/express/middleware/requestIdMiddleware.js';
+import { errorMiddleware } from '../src/express/middleware/errorMiddleware.js';
+import { NotFoundError } from '../src/utils/errors.js';
+
+let dir;
+
+const line = (time, level, message) => `${time}:12 ${level}: ${message}\n`;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-test-'));
+
+  fs.writeFileSync(path.join(dir, 'application-2026-10-18.log.gz'), zlib.gzipSync(
+    line('2026-10-18 09:00:00', 'info', 'archived start')
+    + line('2026-10-18 23:00:00', 'warn', 'archived end'),
+  ));
+  fs.writeFileSync(path.join(dir, 'application-2026-10-19.log'),
+    line('2026-10-19 08:00:00', 'info', 'server started')
+    + line('2026-10-19 08:30:00', 'error', 'request failed')
+    + 'Error: boom\n    at handler (app.js:1:1)\n');
+  // Rotated by size after application-2026-10-19.log, so newer
+  fs.writeFileSync(path.join(dir, 'application-2026-10-19.log.1'),
+    line('2026-10-19 09:00:00', 'http', 'GET /health 200')
+    + line('2026-10-19 09:15:00', 'debug', 'cache hit é'));
+  fs.writeFileSync(path.join(dir, 'error-2026-10-19.log'), line('2026-10-19 08:30:00', 'error', 'request failed'));
+  // LOG_FORMAT=json, switched to from the text format during the day
+  fs.writeFileSync(path.join(dir, 'exceptions-2026-10-19.log'),
+    line('2026-10-19 08:00:00', 'error [req-1]', 'text entry')
+    + `${JSON.stringify({ timestamp: '2026-10-19T09:00:00.000Z', level: 'error', message: 'json entry', requestId: 'req-2', path: 'me' })}\n`);
+  fs.writeFileSync(path.join(dir, '.0123456789abcdef-audit.json'), '{}');
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('LogService', () => {
+  it('lists the files of a type newest first', async () => {
+    const files = await LogService.listFiles('application', dir);
+
+    expect(files.map((file) => file.name)).toEqual([
+      'application-2026-10-19.log.1',
+      'application-2026-10-19.log',
+      'application-2026-10-18.log.gz',
+    ]);
+  });
+
+  it('reads plain files and archives newest first, keeping multi-line messages together', async () => {
+    const { logs, hasMore } = await LogService.readLogs({ dir });
+
+    expect(logs.map((entry) => entry.message)).toEqual([
+      'cache hit é',
+      'GET /health 200',
+      'request failed\nError: boom\n    at handler (app.js:1:1)',
+      'server started',
+      'archived end',
+      'archived start',
+    ]);
+    expect(logs[0]).toMatchObject({ level: 'debug', file: 'application-2026-10-19.log.1' });
+    expect(logs[0].timestamp).toEqual(new Date('2026-10-19T09:15:00'));
+    expect(hasMore).toBe(false);
+  });
+
+  it('filters by level, date range and text', async () => {
+    const byLevel = await LogService.readLogs({ dir, level: 'error,warn' });
+    expect(byLevel.logs.map((entry) => entry.level)).toEqual(['error', 'warn']);
+
+    const byDate = await LogService.readLogs({ dir, from: '2026-10-18T22:00', to: '2026-10-19T08:45' });
+    expect(byDate.logs.map((entry) => entry.message.split('\n')[0])).toEqual(['request failed', 'server started', 'archived end']);
+
+    const bySearch = await LogService.readLogs({ dir, search: 'BOOM' });
+    expect(bySearch.logs).toHaveLength(1);
+    expect(bySearch.logs[0].level).toBe('error');
+  });
+
+  it('paginates', async () => {
+    const first = await LogService.readLogs({ dir, limit: 4 });
+    const second = await LogService.readLogs({ dir, limit: 4, page: 2 });
+
+    expect(first.logs).toHaveLength(4);
+    expect(first.hasMore).toBe(true);
+    expect(second.logs.map((entry) => entry.message)).toEqual(['archived end', 'archived start']);
+    expect(second.hasMore).toBe(false);
+  });
+
+  it('reads the tail of files larger than one chunk', async () => {
+    const lines = Array.from({ length: 5000 }, (_, i) =>
+      line('2026-10-17 10:00:00', 'info', `entry ${i} ${'x'.repeat(20)}`));
+    fs.writeFileSync(path.join(dir, 'rejections-2026-10-17.log'), lines.join(''));
+
+    const { logs, hasMore } = await LogService.readLogs({ dir, type: 'rejections', limit: 3, page: 2 });
+
+    expect(logs.map((entry) => entry.message.split(' ')[1])).toEqual(['4996', '4995', '4994']);
+    expect(hasMore).toBe(true);
+
+    // Lines split across chunk boundaries are put back together
+    const last = await LogService.readLogs({ dir, type: 'rejections', limit: 500, page: 10 });
+    expect(last.logs).toHaveLength(500);
+    expect(last.logs.every((entry, i) => entry.message === `entry ${499 - i} ${'x'.repeat(20)}`)).toBe(true);
+    expect(last.hasMore).toBe(false);
+  });
+
+  it('reads request IDs and metadata of text and JSON entries', async () => {
+    const { logs } = await LogService.readLogs({ dir, type: 'exceptions' });
+
+    expect(logs).toEqual([
+      expect.objectContaining({ message: 'json entry', requestId: 'req-2', meta: { path: 'me' } }),
+      expect.objectContaining({ message: 'text entry', requestId: 'req-1', meta: null }),
+    ]);
+    expect(logs[0].timestamp).toEqual(new Date('2026-10-19T09:00:00.000Z'));
+
+    const bySearch = await LogService.readLogs({ dir, type: 'exceptions', search: 'REQ-1' });
+    expect(bySearch.logs.map((entry) => entry.message)).toEqual(['text entry']);
+  });
+
+  it('rejects invalid filters', async () => {
+    await expect(LogService.readLogs({ dir, type: 'access' })).rejects.toThrow(ValidationError);
+    await expect(LogService.readLogs({ dir, level: 'verbose' })).rejects.toThrow('Invalid log level: verbose');
+    await expect(LogService.readLogs({ dir, from: 'yesterday' })).rejects.toThrow('Invalid from date: yesterday');
+    await expect(LogService.readLogs({ dir, limit: 1000 })).rejects.toThrow(ValidationError);
+  });
+});
+
+// Streamed records are delivered on the next turn of the event loop
+const delivered = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('Log streaming', () => {
+  it('streams new entries at the requested level or more severe', async () => {
+    const entries = [];
+    const unsubscribe = LogService.streamLogs('warn', (entry) => entries.push(entry));
+
+    logger.info('stream test info');
+    logger.warn('stream test warn');
+    logger.error('stream test error');
+    await delivered();
+    unsubscribe();
+    logger.error('stream test after unsubscribe');
+    await delivered();
+
+    expect(entries.map((entry) => `${entry.level}: ${entry.message}`)).toEqual([
+      'warn: stream test warn',
+      'error: stream test error',
+    ]);
+    expect(entries[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  it('does not stream records logged by a listener', async () => {
+    const entries = [];
+    const unsubscribe = LogService.streamLogs('info', (entry) => {
+      entries.push(entry);
+      logger.info(`delivered ${entry.message}`);
+    });
+
+    logger.info('stream test loop');
+    await delivered();
+    await delivered();
+    unsubscribe();
+
+    expect(entries.map((entry) => entry.message)).toEqual(['stream test loop']);
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => LogService.streamLogs('verbose', () => {})).toThrow('Invalid log level: verbose');
+  });
+});
+
+describe('Request IDs', () => {
+  const app = express();
+  app.use(requestIdMiddleware);
+  app.get('/ok', (req, res) => {
+    logger.info('request id test');
+    res.json({ requestId: req.id });
+  });
+  app.get('/missing', () => {
+    throw new NotFoundError('Nothing here');
+  });
+  app.use(errorMiddleware);
+
+  it('propagates a valid X-Request-Id and generates one otherwise', async () => {
+    const propagated = await request(app).get('/ok').set('X-Request-Id', 'abc-123');
+    expect(propagated.headers['x-request-id']).toBe('abc-123');
+    expect(propagated.body.requestId).toBe('abc-123');
+
+    const generated = await request(app).get('/ok').set('X-Request-Id', 'not a valid id!');
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('attaches the request ID to log lines and error responses', async () => {
+    const entries = [];
+    const unsubscribe = LogService.streamLogs('info', (entry) => entries.push(entry));
+
+    await request(app).get('/ok').set('X-Request-Id', 'log-correlation');
+    const response = await request(app).get('/missing').set('X-Request-Id', 'error-correlation');
+    await delivered();
+    unsubscribe();
+
+    expect(entries).toContainEqual(expect.objectContaining({ message: 'request id test', requestId: 'log-correlation' }));
+    expect(response.status).toBe(404);
+    expect(response.body.error.requestId).toBe('error-correlation');
+  });
+});
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const sha256 = (query) => crypto.createHash('sha256').update(query).digest('hex');
+
+// The manifest is read when the module loads, it has to exist before the import
+const listed = 'query Hello { hello }';
+const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pq-')), 'manifest.json');
+const writeManifest = (file, operations) => fs.writeFileSync(file, JSON.stringify({
+  format: 'apollo-persisted-query-manifest',
+  version: 1,
+  operations,
+}));
+writeManifest(manifestPath, [{ id: sha256(listed), name: 'Hello', type: 'query', body: listed }]);
+process.env.GRAPHQL_OPERATION_MANIFEST = manifestPath;
+
+const { ApolloServer } = await import('@apollo/server');
+const { config } = await import('../src/config/index.js');
+const { loadManifest, persistedQueryOptions, resolveOperationQuery } = await import('../src/graphql/persistedQueries/index.js');
+const { persistedQueryPlugin } = await import('../src/graphql/plugins/persistedQueryPlugin.js');
+
+const persisted = (query) => ({ persistedQuery: { version: 1, sha256Hash: sha256(query) } });
+
+afterEach(() => {
+  config.persistedQueries.allowlist = false;
+});
+
+describe('Operation manifest', () => {
+  it('rejects manifests in another format or with operations not matching their hash', () => {
+    const file = path.join(path.dirname(manifestPath), 'invalid.json');
+
+    fs.writeFileSync(file, JSON.stringify({ operations: [] }));
+    expect(() => loadManifest(file)).toThrow('expected apollo-persisted-query-manifest version 1');
+
+    writeManifest(file, [{ id: sha256('{ hello }'), name: 'Changed', type: 'query', body: '{ hello hello }' }]);
+    expect(() => loadManifest(file)).toThrow('id of Changed is not the SHA-256 hash of its body');
+
+    expect(loadManifest(manifestPath).get(sha256(listed)).name).toBe('Hello');
+  });
+});
+
+describe('Persisted queries over HTTP', () => {
+  let testServer;
+
+  beforeAll(async () => {
+    testServer = new ApolloServer({
+      typeDefs: 'type Query { hello: String }',
+      resolvers: { Query: { hello: () => 'hi' } },
+      persistedQueries: persistedQueryOptions,
+      plugins: [persistedQueryPlugin],
+    });
+    await testServer.start();
+  });
+
+  afterAll(async () => {
+    await testServer.stop();
+  });
+
+  const run = (request) => testServer.executeOperation(request);
+
+  it('registers a query sent with its hash and runs it by hash afterwards', async () => {
+    const query = 'query Registered { hello }';
+
+    const miss = await run({ extensions: persisted(query) });
+    expect(miss.body.singleResult.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_FOUND');
+
+    await run({ query, extensions: persisted(query) });
+    expect((await run({ extensions: persisted(query) })).body.singleResult.data).toEqual({ hello: 'hi' });
+  });
+
+  it('runs manifest operations by hash without registering them', async () => {
+    const response = await run({ extensions: persisted(listed) });
+
+    expect(response.body.singleResult.data).toEqual({ hello: 'hi' });
+  });
+
+  it('only runs manifest operations when the allowlist is on', async () => {
+    config.persistedQueries.allowlist = true;
+    const query = 'query Unlisted { hello }';
+
+    for (const request of [{ query }, { query, extensions: persisted(query) }]) {
+      const response = await run(request);
+      expect(response.http.status).toBe(400);
+      expect(response.body.singleResult.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_IN_LIST');
+    }
+
+    // Rejected operations are not registered either
+    config.persistedQueries.allowlist = false;
+    expect((await run({ extensions: persisted(query) })).body.singleResult.errors[0].extensions.code)
+      .toBe('PERSISTED_QUERY_NOT_FOUND');
+
+    config.persistedQueries.allowlist = true;
+    expect((await run({ query: listed })).body.singleResult.data).toEqual({ hello: 'hi' });
+  });
+});
+
+describe('Persisted queries over WebSocket', () => {
+  it('resolves the query of a subscribe payload sent by hash', async () => {
+    const query = 'subscription Events { hello }';
+
+    await expect(resolveOperationQuery({ query: '', extensions: persisted(query) }))
+      .rejects.toMatchObject({ extensions: { code: 'PERSISTED_QUERY_NOT_FOUND' } });
+    await expect(resolveOperationQuery({ query, extensions: persisted(query) })).resolves.toBe(query);
+    await expect(resolveOperationQuery({ query: '', extensions: persisted(query) })).resolves.toBe(query);
+
+    await expect(resolveOperationQuery({ query: '', extensions: persisted(listed) })).resolves.toBe(listed);
+    await expect(resolveOperationQuery({ query: '{ hello }', extensions: persisted(query) }))
+      .rejects.toThrow('provided sha does not match query');
+  });
+
+  it('applies the allowlist to subscribe payloads', async () => {
+    config.persistedQueries.allowlist = true;
+
+    await expect(resolveOperationQuery({ query: '{ hello }' }))
+      .rejects.toMatchObject({ extensions: { code: 'PERSISTED_QUERY_NOT_IN_LIST' } });
+    await expect(resolveOperationQuery({ query: listed })).resolves.toBe(listed);
+  });
+});
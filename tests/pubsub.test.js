@@ -0,0 +1,185 @@
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+
+// pg.Client stand-in: records queries and delivers pg_notify to the clients LISTENing on the channel
+const clients = [];
+class FakeClient extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.queries = [];
+    this.listening = new Set();
+    this.ended = false;
+    clients.push(this);
+  }
+
+  async connect() {
+    if (FakeClient.failConnects > 0) {
+      FakeClient.failConnects--;
+      throw new Error('connection refused');
+    }
+  }
+
+  escapeIdentifier(name) {
+    return `"${name}"`;
+  }
+
+  async query(text, values) {
+    this.queries.push(text);
+    const [, command, channel] = text.match(/^(LISTEN|UNLISTEN) "(.*)"$/) ?? [];
+    if (command === 'LISTEN') this.listening.add(channel);
+    if (command === 'UNLISTEN') this.listening.delete(channel);
+    if (text.startsWith('SELECT pg_notify')) {
+      const [channel, payload] = values;
+      clients
+        .filter((client) => !client.ended && client.listening.has(channel))
+        .forEach((client) => setImmediate(() => client.emit('notification', { channel, payload })));
+    }
+    return { rows: [] };
+  }
+
+  async end() {
+    this.ended = true;
+    this.emit('end');
+  }
+}
+FakeClient.failConnects = 0;
+
+jest.unstable_mockModule('pg', () => ({ default: { Client: FakeClient } }));
+
+const { serialize, deserialize, toJSONValue, fromJSONValue } = await import('../src/graphql/pubsub/serialization.js');
+const { PostgresPubSub } = await import('../src/graphql/pubsub/postgresPubSub.js');
+
+const createdAt = new Date('2026-01-02T03:04:05.678Z');
+
+// Wait for the reconnect timer and the connection it opens
+const settle = (ms = 30) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Payload serialization', () => {
+  it('should round-trip Date values', () => {
+    const payload = { userCreated: { id: 'user-1', createdAt, history: [createdAt], deletedAt: null } };
+
+    const restored = deserialize(serialize(payload));
+
+    expect(restored).toEqual(payload);
+    expect(restored.userCreated.createdAt).toBeInstanceOf(Date);
+    expect(restored.userCreated.history[0]).toBeInstanceOf(Date);
+  });
+
+  it('should tag dates so they are not mistaken for strings', () => {
+    const text = serialize({ createdAt, label: createdAt.toISOString() });
+
+    expect(JSON.parse(text)).toEqual({ createdAt: { $date: createdAt.toISOString() }, label: createdAt.toISOString() });
+    expect(deserialize(text).label).toBe(createdAt.toISOString());
+  });
+
+  it('should leave objects that only look like tags alone', () => {
+    const payload = { note: { $date: 42 }, extra: { $date: createdAt.toISOString(), other: true } };
+
+    expect(deserialize(serialize(payload))).toEqual(payload);
+  });
+
+  it('should round-trip Date values through Json columns', () => {
+    const value = toJSONValue({ createdAt });
+
+    expect(value).toEqual({ createdAt: { $date: createdAt.toISOString() } });
+    expect(fromJSONValue(value).createdAt).toEqual(createdAt);
+  });
+});
+
+describe('PostgresPubSub', () => {
+  let engine;
+
+  beforeEach(() => {
+    clients.length = 0;
+    FakeClient.failConnects = 0;
+    engine = new PostgresPubSub({ connectionString: 'postgres://localhost/test', reconnectDelay: 5 });
+  });
+
+  afterEach(async () => {
+    await engine.close();
+  });
+
+  it('should require a connection string', () => {
+    expect(() => new PostgresPubSub({})).toThrow('requires a connection string');
+  });
+
+  it('should deliver published events with their dates', async () => {
+    const iterator = engine.asyncIterator('USER_CREATED');
+    await settle();
+
+    await engine.publish('USER_CREATED', { userCreated: { id: 'user-1', createdAt } });
+
+    const { value } = await iterator.next();
+    expect(value.userCreated.createdAt).toEqual(createdAt);
+    expect(clients).toHaveLength(1);
+  });
+
+  it('should LISTEN once per channel and UNLISTEN after the last subscriber', async () => {
+    const first = engine.asyncIterator('USER_UPDATED');
+    const second = engine.asyncIterator(['USER_UPDATED', 'USER_DELETED']);
+    await settle();
+
+    const [client] = clients;
+    expect(client.queries).toEqual(['LISTEN "USER_UPDATED"', 'LISTEN "USER_DELETED"']);
+
+    await first.return();
+    expect(client.queries).toHaveLength(2);
+    expect(engine.channels.get('USER_UPDATED')).toBe(1);
+
+    await second.return();
+    await settle();
+    expect(client.queries.slice(2).sort()).toEqual(['UNLISTEN "USER_DELETED"', 'UNLISTEN "USER_UPDATED"']);
+    expect(engine.channels.size).toBe(0);
+  });
+
+  it('should reconnect and listen again after the connection is lost', async () => {
+    const iterator = engine.asyncIterator('USER_UPDATED');
+    await settle();
+
+    FakeClient.failConnects = 1;
+    await clients[0].end();
+    await settle();
+
+    // The first attempt failed, the retry opened a new connection
+    expect(clients).toHaveLength(3);
+    expect(clients[2].queries).toEqual(['LISTEN "USER_UPDATED"']);
+
+    await engine.publish('USER_UPDATED', { userUpdated: { id: 'user-1' } });
+    await expect(iterator.next()).resolves.toEqual({ value: { userUpdated: { id: 'user-1' } }, done: false });
+  });
+
+  it('should not reconnect once closed', async () => {
+    engine.asyncIterator('USER_UPDATED');
+    await settle();
+
+    await engine.close();
+    await settle();
+
+    expect(clients).toHaveLength(1);
+    expect(clients[0].ended).toBe(true);
+  });
+
+  it('should reject payloads over the NOTIFY size limit', async () => {
+    const payload = { userUpdated: { bio: 'x'.repeat(8000) } };
+
+    await expect(engine.publish('USER_UPDATED', payload)).rejects.toThrow('exceeds the PostgreSQL NOTIFY limit of 7999 bytes');
+    await expect(engine.publish('USER_UPDATED', { userUpdated: { bio: 'x'.repeat(7900) } })).resolves.toBeUndefined();
+    expect(clients[0].queries).toEqual(['SELECT pg_notify($1, $2)']);
+  });
+
+  it('should count multi-byte characters against the limit', async () => {
+    await expect(engine.publish('USER_UPDATED', { bio: 'é'.repeat(4000) })).rejects.toThrow('NOTIFY limit');
+    expect(clients).toHaveLength(0);
+  });
+
+  it('should drop malformed notifications', async () => {
+    const iterator = engine.asyncIterator('USER_UPDATED');
+    await settle();
+
+    clients[0].emit('notification', { channel: 'USER_UPDATED', payload: 'not json' });
+    await engine.publish('USER_UPDATED', { n: 1 });
+
+    await expect(iterator.next()).resolves.toEqual({ value: { n: 1 }, done: false });
+  });
+});
@@ -0,0 +1,252 @@
+import { jest } from '@jest/globals';
+
+// Stored API key, only looked up to identify its requests
+const apiKey = { id: 'k1', name: 'grafana', scopes: ['analytics:read'], keyHash: null, revokedAt: null, expiresAt: null, lastUsedAt: null };
+
+// In-memory counters standing in for the RateLimit table, $queryRaw runs the upsert of PrismaRateLimitStore.increment
+const counters = new Map();
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    $queryRaw: async (strings, key, resetAt) => {
+      const counter = counters.get(key);
+      if (!counter || counter.resetAt <= new Date()) {
+        counters.set(key, { hits: 1, resetAt });
+      } else {
+        counter.hits += 1;
+      }
+      return [counters.get(key)];
+    },
+    rateLimit: {
+      deleteMany: async ({ where }) => ({ count: Number(counters.delete(where.key)) }),
+    },
+    apiKey: {
+      findUnique: jest.fn(async ({ where }) => (where.keyHash === apiKey.keyHash ? apiKey : null)),
+      update: jest.fn(async () => apiKey),
+    },
+  },
+}));
+
+const { default: prisma } = await import('../prisma/client.js');
+const { default: express } = await import('express');
+const { default: request } = await import('supertest');
+const { ApolloServer } = await import('@apollo/server');
+const { config } = await import('../src/config/index.js');
+const { PrismaRateLimitStore, RateLimitService } = await import('../src/express/services/rateLimitService.js');
+const { rateLimitMiddleware, authRateLimitMiddleware, emailRateLimitMiddleware } = await import('../src/express/middleware/rateLimitMiddleware.js');
+const { errorMiddleware } = await import('../src/express/middleware/errorMiddleware.js');
+const { rateLimitPlugin } = await import('../src/graphql/plugins/rateLimitPlugin.js');
+const { generateAccessToken } = await import('../src/utils/jwtUtils.js');
+const { TokenService } = await import('../src/express/services/tokenService.js');
+const { mergeRateLimitTiers } = await import('../src/config/env.js');
+
+apiKey.keyHash = TokenService.hashToken('ak_test');
+
+const { tiers } = config.rateLimit;
+
+beforeEach(() => {
+  counters.clear();
+});
+
+describe('PrismaRateLimitStore', () => {
+  it('counts hits per key and starts a new window once the last one ended', async () => {
+    const store = new PrismaRateLimitStore({ prefix: 'rl:test:', windowMs: 60000 });
+
+    await store.increment('a');
+    const second = await store.increment('a');
+    expect(second.totalHits).toBe(2);
+    expect(second.resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect((await store.increment('b')).totalHits).toBe(1);
+
+    counters.get('rl:test:a').resetAt = new Date(Date.now() - 1);
+    expect((await store.increment('a')).totalHits).toBe(1);
+
+    await store.resetKey('a');
+    expect(counters.has('rl:test:a')).toBe(false);
+  });
+});
+
+describe('RateLimitService', () => {
+  it('counts users, API keys and anonymous clients separately', () => {
+    expect(RateLimitService.identify({ user: { id: 'u1', role: 'ADMIN' }, ip: '10.0.0.1' }))
+      .toEqual({ key: 'user:u1', tier: 'ADMIN' });
+    expect(RateLimitService.identify({ apiKey: { id: 'k1' } })).toEqual({ key: 'key:k1', tier: 'API_KEY' });
+    expect(RateLimitService.identify({ ip: '10.0.0.1' })).toEqual({ key: 'ip:10.0.0.1', tier: 'default' });
+  });
+
+  it('picks the most specific route group', () => {
+    expect(RateLimitService.groupFor('/api/users/1')).toBe('api');
+    expect(RateLimitService.groupFor('/api/auth/login')).toBe('auth');
+    expect(RateLimitService.groupFor('/api/analytics')).toBe('analytics');
+    expect(RateLimitService.groupFor('/apiary')).toBeUndefined();
+    expect(RateLimitService.groupFor('/graphql')).toBeUndefined();
+  });
+
+  it('identifies API keys without recording their use', async () => {
+    prisma.apiKey.findUnique.mockClear();
+
+    expect(await RateLimitService.identifyRequest({ headers: { 'x-api-key': 'ak_test' }, ip: '10.0.0.1' }))
+      .toEqual({ key: 'key:k1', tier: 'API_KEY' });
+    expect(await RateLimitService.identifyRequest({ headers: { 'x-api-key': 'ak_unknown' }, ip: '10.0.0.1' }))
+      .toEqual({ key: 'ip:10.0.0.1', tier: 'default' });
+    expect(prisma.apiKey.findUnique).toHaveBeenCalledTimes(2);
+    expect(prisma.apiKey.update).not.toHaveBeenCalled();
+  });
+
+  it('reuses the client already authenticated on the request', async () => {
+    prisma.apiKey.findUnique.mockClear();
+    const headers = { 'x-api-key': 'ak_test' };
+
+    expect(await RateLimitService.identifyRequest({ headers, apiKey: { id: 'k2' } })).toEqual({ key: 'key:k2', tier: 'API_KEY' });
+    expect(await RateLimitService.identifyRequest({ headers, user: { id: 'u1', role: 'USER' } })).toEqual({ key: 'user:u1', tier: 'USER' });
+    expect(prisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('gives each role its own limit, falling back to the default', () => {
+    expect(RateLimitService.limitFor('api', 'ADMIN')).toBeGreaterThan(RateLimitService.limitFor('api', 'USER'));
+    expect(RateLimitService.limitFor('api', 'UNKNOWN')).toBe(tiers.api.limits.default);
+    expect(RateLimitService.limitFor('graphql', 'ADMIN', 'login')).toBe(tiers.graphql.operations.login.default);
+    expect(RateLimitService.limitFor('graphql', 'ADMIN', 'me')).toBe(tiers.graphql.limits.ADMIN);
+  });
+});
+
+describe('RATE_LIMIT_TIERS', () => {
+  const defaults = { api: { path: '/api', limits: { default: 100, USER: 300 } } };
+
+  it('merges the overrides of each group into its defaults', () => {
+    expect(mergeRateLimitTiers(defaults, '{"api":{"limits":{"USER":500}}}').api)
+      .toEqual({ path: '/api', limits: { default: 100, USER: 500 }, operations: {} });
+    expect(mergeRateLimitTiers(defaults, undefined)).toBe(defaults);
+  });
+
+  it('refuses anything but a JSON object', () => {
+    for (const json of ['{"api":', '[]', 'null', '42']) {
+      expect(() => mergeRateLimitTiers(defaults, json)).toThrow(`Invalid RATE_LIMIT_TIERS, expected a JSON object: ${json}`);
+    }
+  });
+});
+
+describe('REST rate limiting', () => {
+  const app = express();
+  app.use(rateLimitMiddleware);
+  app.get(['/api/users', '/api/analytics/metrics', '/graphql'], (req, res) => res.json({ ok: true }));
+  app.use(errorMiddleware);
+
+  const user = generateAccessToken({ id: 'user-1', email: 'user@example.com', role: 'USER' });
+  const admin = generateAccessToken({ id: 'admin-1', email: 'admin@example.com', role: 'ADMIN' });
+
+  it('limits by role and returns the RateLimit headers', async () => {
+    const anonymous = await request(app).get('/api/users');
+    expect(anonymous.headers['ratelimit-limit']).toBe(String(tiers.api.limits.default));
+    expect(anonymous.headers['ratelimit-remaining']).toBe(String(tiers.api.limits.default - 1));
+    expect(anonymous.headers['ratelimit-policy']).toBe(`${tiers.api.limits.default};w=${tiers.api.windowMs / 1000}`);
+
+    const asUser = await request(app).get('/api/users').set('Authorization', `Bearer ${user}`);
+    expect(asUser.headers['ratelimit-limit']).toBe(String(tiers.api.limits.USER));
+
+    const asAdmin = await request(app).get('/api/analytics/metrics').set('Authorization', `Bearer ${admin}`);
+    expect(asAdmin.headers['ratelimit-limit']).toBe(String(tiers.analytics.limits.ADMIN));
+  });
+
+  it('answers 429 once the limit of the group is reached', async () => {
+    const { limits } = tiers.analytics;
+
+    for (let i = 0; i < limits.default; i++) {
+      expect((await request(app).get('/api/analytics/metrics')).status).toBe(200);
+    }
+    const limited = await request(app).get('/api/analytics/metrics');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+
+    // Other groups and GraphQL keep their own counters
+    expect((await request(app).get('/api/users')).status).toBe(200);
+    expect((await request(app).get('/graphql')).headers['ratelimit-limit']).toBeUndefined();
+  });
+});
+
+describe('Auth and email rate limiting', () => {
+  const app = express();
+  app.set('trust proxy', 1);
+  app.use(express.json());
+  app.post('/login', authRateLimitMiddleware, (req, res) => res.json({ ok: true }));
+  app.post('/forgot-password', emailRateLimitMiddleware, (req, res) => res.json({ ok: true }));
+  app.use(errorMiddleware);
+
+  const post = (path, email, ip = '203.0.113.1') => request(app).post(path).set('X-Forwarded-For', ip).send({ email });
+
+  it('counts case and whitespace variants of an email together', async () => {
+    for (const email of ['user@example.com', 'User@Example.com', ' USER@example.com ', 'user@EXAMPLE.com', 'user@example.com']) {
+      expect((await post('/login', email)).status).toBe(200);
+    }
+
+    expect((await post('/login', 'uSeR@example.com')).status).toBe(429);
+    expect(counters.get('rl:login:user@example.com:203.0.113.1').hits).toBe(6);
+  });
+
+  it('does not let other IP addresses use up the limit of an email', async () => {
+    for (let i = 0; i < 3; i++) {
+      await post('/forgot-password', 'victim@example.com', '198.51.100.7');
+    }
+    expect((await post('/forgot-password', 'victim@example.com', '198.51.100.7')).status).toBe(429);
+
+    expect((await post('/forgot-password', 'victim@example.com')).status).toBe(200);
+    expect((await post('/forgot-password', 'other@example.com', '198.51.100.7')).status).toBe(200);
+  });
+
+  it('falls back to the IP address without an email', async () => {
+    await post('/login', { $ne: null });
+
+    expect(counters.has('rl:login:203.0.113.1')).toBe(true);
+  });
+});
+
+describe('GraphQL rate limiting plugin', () => {
+  let testServer;
+
+  beforeAll(async () => {
+    testServer = new ApolloServer({
+      typeDefs: 'type Query { hello: String } type Mutation { login: String }',
+      resolvers: { Query: { hello: () => 'hi' }, Mutation: { login: () => 'token' } },
+      plugins: [rateLimitPlugin],
+    });
+    await testServer.start();
+  });
+
+  afterAll(async () => {
+    await testServer.stop();
+  });
+
+  const run = (query, contextValue = { req: { ip: '10.0.0.2' } }) => testServer.executeOperation({ query }, { contextValue });
+
+  it('returns the RateLimit headers of the tier', async () => {
+    const response = await run('{ hello }', { req: { ip: '10.0.0.2' }, user: { id: 'admin-1', role: 'ADMIN' } });
+
+    expect(response.http.headers.get('ratelimit-limit')).toBe(String(tiers.graphql.limits.ADMIN));
+    expect(response.http.headers.get('ratelimit-remaining')).toBe(String(tiers.graphql.limits.ADMIN - 1));
+  });
+
+  it('limits operations with their own limits by name and root field', async () => {
+    const { default: limit } = tiers.graphql.operations.login;
+
+    for (let i = 0; i < limit; i++) {
+      await run(i % 2 ? 'mutation login { login }' : 'mutation renamed { login }');
+    }
+    const response = await run('mutation { login }');
+
+    expect(response.http.status).toBe(429);
+    expect(response.http.headers.get('retry-after')).toBeDefined();
+    expect(response.body.singleResult.errors[0].extensions.code).toBe('RATE_LIMITED');
+
+    // The shared counter of the client is not used up by login attempts
+    expect((await run('{ hello }')).http.headers.get('ratelimit-remaining')).toBe(String(tiers.graphql.limits.default - 1));
+  });
+
+  it('lets requests through when the counters cannot be written', async () => {
+    const increment = jest.spyOn(PrismaRateLimitStore.prototype, 'increment').mockRejectedValue(new Error('database down'));
+
+    const response = await run('{ hello }');
+    increment.mockRestore();
+
+    expect(response.body.singleResult.data).toEqual({ hello: 'hi' });
+    expect(response.http.headers.get('ratelimit-limit')).toBeUndefined();
+  });
+});
@@ -0,0 +1,502 @@
+import { jest } from '@jest/globals';
+
+// In-memory event log standing in for the Prisma client, user updates return a full row
+const events = [];
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    event: {
+      create: async ({ data }) => {
+        const event = { id: events.length + 1, createdAt: new Date(), ...data };
+        events.push(event);
+        return event;
+      },
+      findMany: async ({ where, take }) => events
+        .filter((event) => where.topic.in.includes(event.topic))
+        .filter((event) => !where.id || event.id > where.id.gt)
+        .filter((event) => !where.createdAt || event.createdAt >= where.createdAt.gte)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, take),
+    },
+    user: {
+      findFirst: async ({ where }) => ({ id: where.id, email: 'user@example.com', role: 'USER', isActive: true }),
+      update: async ({ where, data }) => ({
+        id: where.id, email: 'user@example.com', role: 'USER', password: 'hash', authToken: 'live-access-token',
+        resetPasswordToken: 'reset-hash', emailVerificationToken: 'verify-hash', tokenVersion: 2, ...data,
+      }),
+    },
+  },
+}));
+
+const { MemoryPubSub } = await import('../src/graphql/pubsub/memoryPubSub.js');
+const { withFilter, pubsub, publish, subscribe, TOPICS } = await import('../src/graphql/pubsub/index.js');
+const { baseSubscriptions } = await import('../src/graphql/resolvers/base/subscriptions.js');
+const { userSubscriptions } = await import('../src/graphql/resolvers/user/subscriptions.js');
+const { handleConnect, handleClose, tokenRefreshIterator } = await import('../src/graphql/websocket.js');
+const { connectionRegistry } = await import('../src/graphql/connectionRegistry.js');
+const { config } = await import('../src/config/index.js');
+const { UserService } = await import('../src/express/services/userService.js');
+const { AuthService } = await import('../src/express/services/authService.js');
+const { TokenService } = await import('../src/express/services/tokenService.js');
+const { generateAccessToken } = await import('../src/utils/jwtUtils.js');
+
+const user = { id: 'user-1', email: 'user@example.com', role: 'USER' };
+const admin = { id: 'admin-1', email: 'admin@example.com', role: 'ADMIN' };
+
+// Resolve with the next event, or 'timeout' if none arrives in time
+const nextOrTimeout = (iterator, ms = 50) => Promise.race([
+  iterator.next(),
+  new Promise((resolve) => setTimeout(() => resolve('timeout'), ms)),
+]);
+
+describe('withFilter', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new MemoryPubSub();
+  });
+
+  afterEach(async () => {
+    await engine.close();
+  });
+
+  it('should filter events on subscription arguments', async () => {
+    const subscribe = withFilter(
+      () => engine.asyncIterator('EVENT'),
+      (payload, args) => payload.event.channel === args.channel,
+    );
+    const iterator = subscribe(null, { channel: 'a' }, {}, null);
+
+    await engine.publish('EVENT', { event: { channel: 'b', n: 1 } });
+    await engine.publish('EVENT', { event: { channel: 'a', n: 2 } });
+
+    const result = await iterator.next();
+    expect(result.value.event.n).toBe(2);
+    await iterator.return();
+  });
+
+  it('should filter events on the subscriber in context', async () => {
+    const subscribe = withFilter(
+      () => engine.asyncIterator('EVENT'),
+      (payload, args, context) => context.user.role === 'ADMIN' || payload.event.userId === context.user.id,
+    );
+    const userIterator = subscribe(null, {}, { user }, null);
+    const adminIterator = subscribe(null, {}, { user: admin }, null);
+
+    await engine.publish('EVENT', { event: { userId: 'someone-else' } });
+    await engine.publish('EVENT', { event: { userId: user.id } });
+
+    expect((await userIterator.next()).value.event.userId).toBe(user.id);
+    expect((await adminIterator.next()).value.event.userId).toBe('someone-else');
+    expect((await adminIterator.next()).value.event.userId).toBe(user.id);
+
+    await userIterator.return();
+    await adminIterator.return();
+  });
+
+  it('should support async predicates', async () => {
+    const subscribe = withFilter(
+      () => engine.asyncIterator('EVENT'),
+      async (payload) => payload.event.allowed,
+    );
+    const iterator = subscribe(null, {}, {}, null);
+
+    await engine.publish('EVENT', { event: { allowed: false, n: 1 } });
+    await engine.publish('EVENT', { event: { allowed: true, n: 2 } });
+
+    expect((await iterator.next()).value.event.n).toBe(2);
+    await iterator.return();
+  });
+
+  it('should skip events for which the predicate throws', async () => {
+    const subscribe = withFilter(
+      () => engine.asyncIterator('EVENT'),
+      (payload) => {
+        if (payload.event.n === 1) throw new Error('bad payload');
+        return true;
+      },
+    );
+    const iterator = subscribe(null, {}, {}, null);
+
+    await engine.publish('EVENT', { event: { n: 1 } });
+    await engine.publish('EVENT', { event: { n: 2 } });
+
+    expect((await iterator.next()).value.event.n).toBe(2);
+    await iterator.return();
+  });
+
+  it('should end a pending next() immediately on return()', async () => {
+    const subscribe = withFilter(
+      () => engine.asyncIterator('EVENT'),
+      () => true,
+    );
+    const iterator = subscribe(null, {}, {}, null);
+
+    const pending = iterator.next();
+    await iterator.return();
+
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+    expect(engine.getMetrics().activeSubscriptions).toBe(0);
+  });
+
+  it('should propagate errors thrown while subscribing', () => {
+    const subscribe = withFilter(
+      () => {
+        throw new Error('not allowed');
+      },
+      () => true,
+    );
+
+    expect(() => subscribe(null, {}, {}, null)).toThrow('not allowed');
+  });
+});
+
+describe('testSubscription', () => {
+  const { subscribe } = baseSubscriptions.testSubscription;
+  const context = { authenticated: true, user };
+
+  const trigger = (message, channel = null) => pubsub.publish(TOPICS.TEST_SUBSCRIPTION, {
+    testSubscription: { id: message, message, timestamp: new Date().toISOString(), channel },
+  });
+
+  it('should reject unauthenticated subscribers', () => {
+    expect(() => subscribe(null, {}, { authenticated: false, user: null }, null))
+      .toThrow('Authentication required for subscriptions');
+  });
+
+  it('should only deliver events of the requested channel', async () => {
+    const iterator = subscribe(null, { channel: 'news' }, context, null);
+
+    const init = await iterator.next();
+    expect(init.value.testSubscription).toMatchObject({ id: 'init', channel: 'news' });
+
+    await trigger('sports update', 'sports');
+    await trigger('unscoped update');
+    await trigger('news update', 'news');
+
+    expect((await iterator.next()).value.testSubscription.message).toBe('news update');
+    expect(await nextOrTimeout(iterator)).toBe('timeout');
+
+    await iterator.return();
+  });
+
+  it('should deliver every event without a channel', async () => {
+    const iterator = subscribe(null, {}, context, null);
+    await iterator.next(); // connected message
+
+    await trigger('sports update', 'sports');
+    await trigger('unscoped update');
+
+    expect((await iterator.next()).value.testSubscription.message).toBe('sports update');
+    expect((await iterator.next()).value.testSubscription.message).toBe('unscoped update');
+
+    await iterator.return();
+  });
+});
+
+describe('Subscription overflow policies', () => {
+  it.each([
+    ['drop-oldest', [2, 3]],
+    ['drop-newest', [1, 2]],
+  ])('should apply %s when the buffer is full', async (overflow, expected) => {
+    const engine = new MemoryPubSub({ bufferSize: 2, overflow });
+    const iterator = engine.asyncIterator('EVENT');
+
+    for (const n of [1, 2, 3]) {
+      await engine.publish('EVENT', { n });
+    }
+
+    const received = [(await iterator.next()).value.n, (await iterator.next()).value.n];
+    expect(received).toEqual(expected);
+    expect(iterator.getMetrics().dropped).toBe(1);
+
+    await engine.close();
+  });
+
+  it('should end the subscription with disconnect', async () => {
+    const engine = new MemoryPubSub({ bufferSize: 1, overflow: 'disconnect' });
+    const iterator = engine.asyncIterator('EVENT');
+
+    await engine.publish('EVENT', { n: 1 });
+    await engine.publish('EVENT', { n: 2 });
+
+    await expect(iterator.next()).rejects.toThrow('overflowed');
+    expect(engine.getMetrics().activeSubscriptions).toBe(0);
+
+    await engine.close();
+  });
+
+  it('should bound each subscriber on its own and report its queue', async () => {
+    const engine = new MemoryPubSub({ bufferSize: 3, overflow: 'drop-oldest' });
+    const slow = engine.asyncIterator('EVENT', { bufferSize: 2 });
+    const fast = engine.asyncIterator('EVENT');
+
+    for (const n of [1, 2, 3, 4]) {
+      const next = fast.next();
+      await engine.publish('EVENT', { n });
+      expect((await next).value.n).toBe(n);
+    }
+
+    expect(slow.getMetrics()).toMatchObject({ queued: 2, maxQueued: 2, bufferSize: 2, dropped: 2, delivered: 0 });
+    expect(fast.getMetrics()).toMatchObject({ queued: 0, bufferSize: 3, dropped: 0, delivered: 4 });
+    expect(engine.getMetrics()).toMatchObject({ activeSubscriptions: 2, queued: 2, dropped: 2 });
+
+    await engine.close();
+  });
+
+  it('should refuse unknown policies and empty buffers', () => {
+    expect(() => new MemoryPubSub({ overflow: 'block' })).toThrow('Unknown subscription overflow policy: block');
+    expect(() => new MemoryPubSub().asyncIterator('EVENT', { bufferSize: 0 })).toThrow('positive integer');
+  });
+});
+
+describe('Event replay', () => {
+  const userEvent = (id) => ({ userUpdated: { user: { id, email: `${id}@example.com` } } });
+
+  beforeEach(() => {
+    events.length = 0;
+  });
+
+  it('should attach the event log ID to published events', async () => {
+    const iterator = subscribe(TOPICS.USER_UPDATED);
+
+    await publish(TOPICS.USER_UPDATED, userEvent('a'));
+
+    expect((await iterator.next()).value.userUpdated).toMatchObject({ eventId: 1, user: { id: 'a' } });
+    await iterator.return();
+  });
+
+  it('should not store or deliver the tokens of users', async () => {
+    const iterator = subscribe(TOPICS.USER_UPDATED);
+
+    await UserService.updateUser('user-1', { firstName: 'Ada' });
+    const delivered = (await iterator.next()).value.userUpdated.user;
+    await iterator.return();
+
+    for (const user of [events[0].payload.userUpdated.user, delivered]) {
+      expect(user).toMatchObject({ id: 'user-1', firstName: 'Ada' });
+      ['password', 'authToken', 'resetPasswordToken', 'emailVerificationToken', 'tokenVersion']
+        .forEach((field) => expect(user).not.toHaveProperty(field));
+    }
+  });
+
+  it('should replay events after lastEventId before live events', async () => {
+    await publish(TOPICS.USER_UPDATED, userEvent('a'));
+    await publish(TOPICS.USER_UPDATED, userEvent('b'));
+    await publish(TOPICS.USER_UPDATED, userEvent('c'));
+
+    const iterator = subscribe(TOPICS.USER_UPDATED, { lastEventId: '1' });
+    const pending = [iterator.next(), iterator.next(), iterator.next()];
+    await publish(TOPICS.USER_UPDATED, userEvent('d'));
+
+    const received = (await Promise.all(pending)).map(({ value }) => value.userUpdated.eventId);
+    expect(received).toEqual([2, 3, 4]);
+    await iterator.return();
+  });
+
+  it('should not deliver a replayed event twice', async () => {
+    const live = pubsub.asyncIterator(TOPICS.USER_UPDATED);
+    await publish(TOPICS.USER_UPDATED, userEvent('a'));
+    await live.return();
+
+    const iterator = subscribe(TOPICS.USER_UPDATED, { since: new Date(0) });
+    expect((await iterator.next()).value.userUpdated.eventId).toBe(1);
+
+    await publish(TOPICS.USER_UPDATED, userEvent('b'));
+    expect((await iterator.next()).value.userUpdated.eventId).toBe(2);
+    expect(await nextOrTimeout(iterator)).toBe('timeout');
+    await iterator.return();
+  });
+
+  it('should apply the subscription filter to replayed events', async () => {
+    await publish(TOPICS.USER_UPDATED, userEvent('someone-else'));
+    await publish(TOPICS.USER_UPDATED, userEvent(user.id));
+
+    const iterator = userSubscriptions.userUpdated.subscribe(
+      null, { lastEventId: '0' }, { authenticated: true, user }, null,
+    );
+
+    expect((await iterator.next()).value.userUpdated.user.id).toBe(user.id);
+    expect(await nextOrTimeout(iterator)).toBe('timeout');
+    await iterator.return();
+  });
+
+  it('should reject invalid replay arguments', () => {
+    expect(() => subscribe(TOPICS.USER_UPDATED, { lastEventId: 'abc' })).toThrow('Invalid lastEventId');
+    expect(() => subscribe(TOPICS.USER_UPDATED, { lastEventId: '1', since: new Date() }))
+      .toThrow('Use either lastEventId or since');
+    expect(pubsub.getMetrics().activeSubscriptions).toBe(0);
+  });
+});
+
+describe('User lifecycle subscription authorization', () => {
+  const sysadmin = { id: 'sysadmin-1', email: 'sysadmin@example.com', role: 'SYSADMIN' };
+  const fields = [
+    ['userCreated', TOPICS.USER_CREATED],
+    ['userUpdated', TOPICS.USER_UPDATED],
+    ['userDeleted', TOPICS.USER_DELETED],
+  ];
+
+  // Subscribe every subscriber, publish an event about `aboutId` and collect who received it
+  const deliveredTo = async (field, topic, subscribers, aboutId) => {
+    const iterators = subscribers.map((subscriber) => userSubscriptions[field].subscribe(
+      null, {}, { authenticated: true, user: subscriber }, null,
+    ));
+
+    await publish(topic, { [field]: { user: { id: aboutId, email: `${aboutId}@example.com` } } });
+
+    const received = await Promise.all(iterators.map((iterator) => nextOrTimeout(iterator)));
+    await Promise.all(iterators.map((iterator) => iterator.return()));
+    return subscribers.filter((subscriber, i) => received[i] !== 'timeout').map(({ id }) => id);
+  };
+
+  beforeEach(() => {
+    events.length = 0;
+  });
+
+  it.each(fields)('should reject unauthenticated %s subscribers', (field) => {
+    const { subscribe } = userSubscriptions[field];
+
+    expect(() => subscribe(null, {}, { authenticated: false, user: null }, null))
+      .toThrow('Authentication required for subscriptions');
+    expect(() => subscribe(null, {}, { authenticated: false, user, authError: 'Token expired' }, null))
+      .toThrow('Authentication required for subscriptions');
+    expect(pubsub.getMetrics().activeSubscriptions).toBe(0);
+  });
+
+  it.each(fields)('should only deliver %s events about themselves to users', async (field, topic) => {
+    const other = { id: 'user-2', email: 'other@example.com', role: 'USER' };
+
+    expect(await deliveredTo(field, topic, [user, other, admin, sysadmin], user.id))
+      .toEqual([user.id, admin.id, sysadmin.id]);
+    expect(await deliveredTo(field, topic, [user, other], 'user-3')).toEqual([]);
+  });
+
+  it('should not deliver events without a user to users', async () => {
+    const iterator = userSubscriptions.userUpdated.subscribe(null, {}, { authenticated: true, user }, null);
+
+    await publish(TOPICS.USER_UPDATED, { userUpdated: { user: null } });
+
+    expect(await nextOrTimeout(iterator)).toBe('timeout');
+    await iterator.return();
+  });
+});
+
+describe('WebSocket connection authentication', () => {
+  const connection = (connectionParams = {}) => ({
+    connectionParams,
+    extra: { socket: { close: jest.fn(), on: jest.fn() }, request: { headers: {}, socket: {} } },
+  });
+
+  afterEach(() => {
+    config.websocket.requireAuth = false;
+  });
+
+  it('should reject anonymous connections when authentication is required', async () => {
+    config.websocket.requireAuth = true;
+    const ctx = connection();
+
+    // graphql-ws closes the socket with 4403 Forbidden
+    await expect(handleConnect(ctx)).resolves.toBe(false);
+    expect(ctx.extra.socket.close).not.toHaveBeenCalled();
+  });
+
+  it('should accept anonymous connections when authentication is optional', async () => {
+    const ctx = connection();
+
+    await expect(handleConnect(ctx)).resolves.toBe(true);
+    expect(ctx.extra.socket.close).not.toHaveBeenCalled();
+    handleClose(ctx);
+  });
+
+  it('should deliver tokens refreshed before tokenRefreshed was subscribed', async () => {
+    const ctx = connection();
+    await handleConnect(ctx);
+    const tokens = { accessToken: 'access', refreshToken: 'refresh', expiresAt: new Date() };
+    ctx.extra.session.pendingTokens = tokens;
+
+    const iterator = tokenRefreshIterator(ctx.extra.session);
+    expect((await iterator.next()).value.tokenRefreshed).toEqual(tokens);
+    expect(ctx.extra.session.pendingTokens).toBeNull();
+
+    handleClose(ctx);
+    await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true });
+  });
+
+  it('should track connections in the registry until they close', async () => {
+    const ctx = connection();
+    await handleConnect(ctx);
+
+    connectionRegistry.subscriptionStarted(ctx, 'op-1', { operationName: 'OnUserUpdated' });
+    connectionRegistry.messageSent(ctx);
+
+    const [entry] = connectionRegistry.list();
+    expect(entry).toMatchObject({ userId: null, messagesSent: 1, subscriptions: [{ id: 'op-1', operationName: 'OnUserUpdated' }] });
+
+    expect(connectionRegistry.disconnect(entry.id, 'Maintenance')).toBe(true);
+    expect(ctx.extra.socket.close).toHaveBeenCalledWith(4403, 'Maintenance');
+
+    handleClose(ctx);
+    expect(connectionRegistry.list()).toEqual([]);
+    expect(connectionRegistry.disconnect(entry.id)).toBe(false);
+  });
+});
+
+describe('WebSocket session expiry', () => {
+  const connection = () => ({
+    connectionParams: { authorization: 'Bearer expiring', refreshToken: 'refresh-1' },
+    extra: { socket: { close: jest.fn(), on: jest.fn() }, request: { headers: {}, socket: {} } },
+  });
+  // Connected with an access token that has just expired, its expiry handling runs right away
+  const connectExpired = async (ctx) => {
+    jest.spyOn(AuthService, 'authenticate')
+      .mockResolvedValueOnce({ user: { ...user, exp: Math.floor(Date.now() / 1000) - 1 } });
+    await handleConnect(ctx);
+  };
+  const expiryHandled = () => new Promise((resolve) => setTimeout(resolve, 20));
+  const session = { user: { ...user, role: 'MODERATOR' }, current: true, expiresAt: new Date(Date.now() + 86400 * 1000) };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should re-verify the session without rotating when nobody takes the new tokens', async () => {
+    jest.spyOn(TokenService, 'verifyRefreshSession').mockResolvedValue(session);
+    const refresh = jest.spyOn(AuthService, 'refresh');
+    const ctx = connection();
+
+    await connectExpired(ctx);
+    await expiryHandled();
+
+    expect(refresh).not.toHaveBeenCalled();
+    expect(ctx.extra.socket.close).not.toHaveBeenCalled();
+    expect(ctx.extra.session.user.role).toBe('MODERATOR');
+    expect(ctx.extra.session.user.exp * 1000).toBeGreaterThan(Date.now());
+    handleClose(ctx);
+  });
+
+  it('should rotate and push the tokens to a tokenRefreshed subscriber', async () => {
+    jest.spyOn(TokenService, 'verifyRefreshSession').mockResolvedValue(session);
+    const tokens = { accessToken: generateAccessToken(user), refreshToken: 'refresh-2' };
+    jest.spyOn(AuthService, 'refresh').mockResolvedValue(tokens);
+    const ctx = connection();
+
+    await connectExpired(ctx);
+    const iterator = tokenRefreshIterator(ctx.extra.session);
+    await expiryHandled();
+
+    expect((await iterator.next()).value.tokenRefreshed).toMatchObject(tokens);
+    expect(ctx.extra.session.refreshToken).toBe('refresh-2');
+    handleClose(ctx);
+  });
+
+  it('should close the connection once its session ended', async () => {
+    jest.spyOn(TokenService, 'verifyRefreshSession').mockRejectedValue(new Error('Token has been revoked'));
+    const ctx = connection();
+
+    await connectExpired(ctx);
+    await expiryHandled();
+
+    expect(ctx.extra.socket.close).toHaveBeenCalledWith(4401, 'Token expired');
+    handleClose(ctx);
+  });
+});
@@ -0,0 +1,286 @@
+import bcrypt from 'bcrypt';
+import { jest } from '@jest/globals';
+
+// In-memory User table with the Prisma filters the user services use
+const db = { users: [], refreshTokens: [] };
+const compare = (value, condition) => {
+  if (condition instanceof Date) return value?.getTime() === condition.getTime();
+  if (condition === null || typeof condition !== 'object') return (value ?? null) === condition;
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case 'not': return !compare(value, operand);
+      case 'in': return operand.includes(value);
+      case 'lt': return value !== null && value !== undefined && value < operand;
+      case 'lte': return value !== null && value !== undefined && value <= operand;
+      case 'gt': return value !== null && value !== undefined && value > operand;
+      case 'gte': return value !== null && value !== undefined && value >= operand;
+      case 'contains': return String(value ?? '').toLowerCase().includes(operand.toLowerCase());
+      case 'mode': return true;
+      default: throw new Error(`Unsupported filter: ${op}`);
+    }
+  });
+};
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (field === 'AND') return condition.every((clause) => matches(row, clause));
+  if (field === 'OR') return condition.some((clause) => matches(row, clause));
+  return compare(row[field], condition);
+});
+const sortBy = (orderBy = []) => (a, b) => {
+  for (const [field, direction] of orderBy.flatMap(Object.entries)) {
+    if (a[field] < b[field]) return direction === 'asc' ? -1 : 1;
+    if (a[field] > b[field]) return direction === 'asc' ? 1 : -1;
+  }
+  return 0;
+};
+const pick = (row, select) => (select
+  ? Object.fromEntries(Object.keys(select).map((field) => [field, row[field]]))
+  : { ...row });
+const notFound = () => Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+
+jest.unstable_mockModule('../prisma/client.js', () => ({
+  default: {
+    user: {
+      findFirst: async ({ where, select }) => {
+        const row = db.users.find((user) => matches(user, where));
+        return row ? pick(row, select) : null;
+      },
+      findUnique: async ({ where, select }) => {
+        const row = db.users.find((user) => matches(user, where));
+        return row ? pick(row, select) : null;
+      },
+      findMany: async ({ where, orderBy, take, select }) => db.users
+        .filter((user) => matches(user, where))
+        .sort(sortBy(orderBy))
+        .slice(0, take)
+        .map((row) => pick(row, select)),
+      count: async ({ where }) => db.users.filter((user) => matches(user, where)).length,
+      update: async ({ where, data }) => {
+        const row = db.users.find((user) => matches(user, where));
+        if (!row) throw notFound();
+        for (const [field, value] of Object.entries(data)) {
+          row[field] = value?.increment !== undefined ? row[field] + value.increment : value;
+        }
+        return { ...row };
+      },
+      delete: async ({ where }) => {
+        const index = db.users.findIndex((user) => matches(user, where));
+        if (index < 0) throw notFound();
+        return db.users.splice(index, 1)[0];
+      },
+      deleteMany: async ({ where }) => {
+        const kept = db.users.filter((user) => !matches(user, where));
+        const count = db.users.length - kept.length;
+        db.users = kept;
+        return { count };
+      },
+    },
+    refreshToken: {
+      updateMany: async ({ where }) => ({ count: db.refreshTokens.filter((token) => matches(token, where)).length }),
+    },
+  },
+}));
+
+const { UserService } = await import('../src/express/services/userService.js');
+const { AuthService } = await import('../src/express/services/authService.js');
+const { UserController } = await import('../src/express/controllers/userController.js');
+const { config } = await import('../src/config/index.js');
+const { encodeCursor, decodeCursor, keysetQuery, toConnection } = await import('../src/utils/pagination.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const password = 'correct horse';
+const passwordHash = bcrypt.hashSync(password, 4);
+
+/**
+ * User row with every column the services read, secrets included
+ * @param {number} n - Sequence number, users created later have higher numbers
+ */
+const userRow = (n, fields = {}) => ({
+  id: `user-${n}`,
+  email: `user${n}@example.com`,
+  userName: `user${n}`,
+  firstName: null,
+  lastName: null,
+  role: 'USER',
+  isActive: true,
+  isVerified: true,
+  password: passwordHash,
+  authToken: `access-token-${n}`,
+  resetPasswordToken: 'reset-hash',
+  emailVerificationToken: null,
+  tokenVersion: 0,
+  failedLoginAttempts: 0,
+  lockedUntil: null,
+  createdAt: new Date(Date.UTC(2026, 0, n)),
+  updatedAt: new Date(Date.UTC(2026, 0, n)),
+  deletedAt: null,
+  ...fields,
+});
+
+const secrets = ['password', 'authToken', 'resetPasswordToken', 'emailVerificationToken', 'tokenVersion'];
+const expectPublic = (user) => secrets.forEach((field) => expect(user).not.toHaveProperty(field));
+
+beforeEach(() => {
+  db.users = [userRow(1), userRow(2)];
+});
+
+describe('Soft delete', () => {
+  it('hides deleted users from lookups and login', async () => {
+    const deleted = await UserService.deleteUser('user-1');
+
+    expect(deleted).toMatchObject({ id: 'user-1', deletedAt: expect.any(Date) });
+    expectPublic(deleted);
+
+    await expect(UserService.getUserById('user-1')).rejects.toThrow('User not found');
+    expect((await UserService.listUsers()).edges.map(({ node }) => node.id)).toEqual(['user-2']);
+    await expect(AuthService.login('user1@example.com', password)).rejects.toThrow('Invalid email or password');
+    await expect(UserService.deleteUser('user-1')).rejects.toThrow('User not found');
+  });
+
+  it('restores deleted users', async () => {
+    await UserService.deleteUser('user-1');
+
+    const restored = await UserService.restoreUser('user-1');
+
+    expect(restored).toMatchObject({ id: 'user-1', deletedAt: null });
+    expectPublic(restored);
+    await expect(UserService.getUserById('user-1')).resolves.toMatchObject({ id: 'user-1' });
+    await expect(UserService.restoreUser('user-2')).rejects.toThrow('Deleted user not found');
+  });
+
+  it('only purges deleted users', async () => {
+    await expect(UserService.purgeUser('user-1')).rejects.toThrow('Only deleted users can be purged');
+    await expect(UserService.purgeUser('missing')).rejects.toThrow('User not found');
+
+    await UserService.deleteUser('user-1');
+    await expect(UserService.purgeUser('user-1')).resolves.toEqual({ message: 'User purged successfully' });
+    expect(db.users.map(({ id }) => id)).toEqual(['user-2']);
+  });
+
+  it('purges the users deleted longer ago than the retention window', async () => {
+    const retention = config.users.deletedRetention;
+    db.users = [
+      userRow(1, { deletedAt: new Date(Date.now() - retention * 1000 - DAY) }),
+      userRow(2, { deletedAt: new Date(Date.now() - retention * 1000 + DAY) }),
+      userRow(3),
+    ];
+
+    await expect(UserService.purgeDeletedUsers()).resolves.toBe(1);
+    expect(db.users.map(({ id }) => id)).toEqual(['user-2', 'user-3']);
+
+    await expect(UserService.purgeDeletedUsers(0)).resolves.toBe(1);
+    expect(db.users.map(({ id }) => id)).toEqual(['user-3']);
+  });
+});
+
+describe('Users returned to admins', () => {
+  const admin = { id: 'admin-1', role: 'ADMIN' };
+
+  it('returns only the public fields of another user after an update', async () => {
+    const updated = await UserService.updateUser('user-1', { firstName: 'Ada' }, admin);
+
+    expect(updated).toMatchObject({ id: 'user-1', firstName: 'Ada' });
+    expectPublic(updated);
+
+    const own = await UserService.updateUser('user-1', { lastName: 'Lovelace' }, { id: 'user-1', role: 'USER' });
+    expect(own).toMatchObject({ lastName: 'Lovelace', authToken: 'access-token-1' });
+    expect(own).not.toHaveProperty('password');
+  });
+
+  it('returns only the public fields of another user profile', async () => {
+    const res = { json: jest.fn() };
+
+    await UserController.getProfile({ params: { id: 'user-1' }, user: admin }, res, jest.fn());
+
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ id: 'user-1' });
+    expectPublic(res.json.mock.calls[0][0].data);
+  });
+});
+
+describe('Pagination', () => {
+  const cursorOf = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  it('builds keyset queries that fetch one extra row', () => {
+    const after = encodeCursor(userRow(2), 'createdAt');
+    const createdAt = new Date(Date.UTC(2026, 0, 2));
+
+    expect(keysetQuery({ first: 2, field: 'createdAt', direction: 'desc', isDate: true })).toEqual({
+      take: 3,
+      where: {},
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    });
+    expect(keysetQuery({ first: 2, after, field: 'createdAt', direction: 'asc', isDate: true }).where).toEqual({
+      OR: [{ createdAt: { gt: createdAt } }, { createdAt, id: { gt: 'user-2' } }],
+    });
+    expect(keysetQuery({ first: 1000, field: 'email', direction: 'asc' }).take).toBe(101);
+    expect(() => keysetQuery({ first: 0, field: 'email', direction: 'asc' })).toThrow('first must be a positive integer');
+  });
+
+  it('only reports a next page when the extra row came back', () => {
+    const rows = [userRow(3), userRow(2), userRow(1)];
+
+    const full = toConnection(rows, { take: 3, field: 'createdAt', hasPreviousPage: false, totalCount: 3 });
+    expect(full.edges.map(({ node }) => node.id)).toEqual(['user-3', 'user-2']);
+    expect(full.pageInfo).toMatchObject({ hasNextPage: true, endCursor: full.edges[1].cursor });
+
+    const last = toConnection(rows.slice(2), { take: 3, field: 'createdAt', hasPreviousPage: true, totalCount: 3 });
+    expect(last.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+    expect(toConnection([], { take: 3, field: 'createdAt', hasPreviousPage: false, totalCount: 0 }).pageInfo)
+      .toMatchObject({ startCursor: null, endCursor: null });
+  });
+
+  it('round-trips cursors and rejects tampered ones', async () => {
+    const cursor = encodeCursor(userRow(2), 'createdAt');
+
+    expect(decodeCursor(cursor, true)).toEqual({ value: new Date(Date.UTC(2026, 0, 2)), id: 'user-2' });
+    expect(decodeCursor(encodeCursor(userRow(2), 'email'))).toEqual({ value: 'user2@example.com', id: 'user-2' });
+
+    for (const tampered of ['not a cursor', cursorOf(['yesterday', 'user-1']), cursorOf([null, 'user-1']), cursorOf(['2026-01-01', 1])]) {
+      expect(() => decodeCursor(tampered, true)).toThrow('Invalid cursor');
+    }
+    await expect(UserService.listUsers({ after: cursorOf(['yesterday', 'user-1']) })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  it('pages through users sharing a sort value without skipping or repeating any', async () => {
+    const tie = new Date(Date.UTC(2026, 0, 2));
+    db.users = [1, 2, 3, 4, 5].map((n) => userRow(n, n === 2 || n === 3 ? { createdAt: tie } : {}));
+
+    const seen = [];
+    let after;
+    let page;
+    do {
+      page = await UserService.listUsers({ first: 2, after });
+      seen.push(...page.edges.map(({ node }) => node.id));
+      after = page.pageInfo.endCursor;
+    } while (page.pageInfo.hasNextPage);
+
+    expect(seen).toEqual(['user-5', 'user-4', 'user-3', 'user-2', 'user-1']);
+    expect(page.totalCount).toBe(5);
+  });
+
+  it('sets the Link and X-Total-Count headers of the user listing', async () => {
+    db.users = [1, 2, 3].map((n) => userRow(n));
+    const list = async (query) => {
+      const req = { query, path: '/', baseUrl: '/api/users', protocol: 'https', get: () => 'api.example.com' };
+      const res = { set: jest.fn(), json: jest.fn() };
+      const next = jest.fn();
+      await UserController.getAllUsers(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      return { headers: Object.fromEntries(res.set.mock.calls), body: res.json.mock.calls[0][0] };
+    };
+
+    const first = await list({ first: '2', role: 'USER' });
+    expect(first.headers['X-Total-Count']).toBe('3');
+    expect(first.body.data.map(({ id }) => id)).toEqual(['user-3', 'user-2']);
+    first.body.data.forEach(expectPublic);
+
+    const after = encodeCursor(userRow(2), 'createdAt');
+    expect(first.headers.Link).toBe([
+      '<https://api.example.com/api/users?first=2&role=USER>; rel="first"',
+      `<https://api.example.com/api/users?first=2&role=USER&after=${after}>; rel="next"`,
+    ].join(', '));
+
+    const last = await list({ first: '2', role: 'USER', after });
+    expect(last.body.data.map(({ id }) => id)).toEqual(['user-1']);
+    expect(last.headers.Link).toBe('<https://api.example.com/api/users?first=2&role=USER>; rel="first"');
+  });
+});